@@ -3,6 +3,9 @@ const fs = require('fs');
 const path = require('path');
 const csv = require('csvtojson');
 
+// 仓库中提交的 hyg_v3_mag6.json 的 hip 字段与 d3-celestial 星表交叉证认过，
+// 再发布须保留 public/data/LICENSE-d3-celestial.txt 中的版权与许可声明
+
 // 默认使用与脚本同目录下的 CSV，输出也写回同目录
 const SCRIPT_DIR = __dirname;
 const DEFAULT_INPUT = path.join(SCRIPT_DIR, 'hygdata_v42.csv');
@@ -44,7 +47,8 @@ async function main() {
         ra: getRaDeg(r),
         dec: getDecDeg(r),
         mag: Number(r.mag),
-        bv
+        bv,
+        hip: toNumberOrUndefined(r.hip) // 依巴谷星表编号，星座连线按它查找恒星；HYG 中太阳等无编号的为空
       };
     })
     .filter(s => Number.isFinite(s.ra) && Number.isFinite(s.dec) && Number.isFinite(s.mag))
@@ -1,71 +1,114 @@
+import { LunarTheory } from './LunarTheory.js';
+import { VSOP87Theory } from './VSOP87Theory.js';
+import { ReferenceFrames } from './ReferenceFrames.js';
+import { PlanetMagnitudeModel } from './PlanetMagnitudeModel.js';
+import { ConstellationBoundaries } from './ConstellationBoundaries.js';
+import { PtolemaicModel, CopernicanModel } from './HistoricalModels.js';
+import { IAU_ROTATION_ELEMENTS } from './RotationElements.js';
+import { RootFinder } from '../utils/RootFinder.js';
+import {
+    JPL_ELEMENTS_1800_2050,
+    JPL_ELEMENTS_3000BC_3000AD,
+    JPL_MEAN_ANOMALY_TERMS,
+    JPL_SHORT_TABLE_RANGE
+} from './KeplerianElements.js';
+
 /**
  * 天文计算器
  * 负责计算太阳系行星的位置，基于简化的天体力学模型
  * 实现了从古代天文学观测推演行星位置的基本原理
  */
 export class AstronomicalCalculator {
-    constructor() {
-        // 行星轨道参数 (简化的开普勒轨道元素)
+    /**
+     * @param {{ includePluto?: boolean }} [options]
+     */
+    constructor(options = {}) {
+        const { includePluto = true } = options;
+        
+        // 行星基本信息，轨道根数取自 JPL 近似星历 (见 KeplerianElements.js)
         this.planetData = {
-            mercury: {
-                name: '水星',
-                color: '#8C7853',
-                semiMajorAxis: 0.387, // 天文单位
-                eccentricity: 0.206,
-                inclination: 7.0, // 度
-                longitudeOfAscendingNode: 48.3, // 度
-                argumentOfPeriapsis: 77.5, // 度
-                meanAnomalyAtEpoch: 174.8, // 2000年1月1日的平近点角
-                meanDailyMotion: 4.0923 // 度/天
-            },
-            venus: {
-                name: '金星',
-                color: '#FFC649',
-                semiMajorAxis: 0.723,
-                eccentricity: 0.007,
-                inclination: 3.4,
-                longitudeOfAscendingNode: 76.7,
-                argumentOfPeriapsis: 131.6,
-                meanAnomalyAtEpoch: 50.1,
-                meanDailyMotion: 1.6022
-            },
-            mars: {
-                name: '火星',
-                color: '#CD5C5C',
-                semiMajorAxis: 1.524,
-                eccentricity: 0.093,
-                inclination: 1.9,
-                longitudeOfAscendingNode: 49.6,
-                argumentOfPeriapsis: 336.1,
-                meanAnomalyAtEpoch: 19.4,
-                meanDailyMotion: 0.5240
-            },
-            jupiter: {
-                name: '木星',
-                color: '#D8CA9D',
-                semiMajorAxis: 5.203,
-                eccentricity: 0.049,
-                inclination: 1.3,
-                longitudeOfAscendingNode: 100.5,
-                argumentOfPeriapsis: 14.8,
-                meanAnomalyAtEpoch: 20.0,
-                meanDailyMotion: 0.0831
-            },
-            saturn: {
-                name: '土星',
-                color: '#FAD5A5',
-                semiMajorAxis: 9.537,
-                eccentricity: 0.057,
-                inclination: 2.5,
-                longitudeOfAscendingNode: 113.7,
-                argumentOfPeriapsis: 93.0,
-                meanAnomalyAtEpoch: 317.0,
-                meanDailyMotion: 0.0334
-            }
+            mercury: { name: '水星', color: '#8C7853' },
+            venus: { name: '金星', color: '#FFC649' },
+            mars: { name: '火星', color: '#CD5C5C' },
+            jupiter: { name: '木星', color: '#D8CA9D' },
+            saturn: { name: '土星', color: '#FAD5A5' },
+            uranus: { name: '天王星', color: '#AFDBF5' },
+            neptune: { name: '海王星', color: '#4B70DD' }
+        };
+        
+        // 矮行星（可选）
+        if (includePluto) {
+            this.planetData.pluto = { name: '冥王星', color: '#C2B280' };
+        }
+        
+        // 太阳与月球不使用开普勒轨道参数，单独计算
+        this.sunData = {
+            name: '太阳',
+            color: '#FFD700',
+            radiusKm: 695700
+        };
+        this.moonData = {
+            name: '月球',
+            color: '#D8D8D8',
+            radiusKm: 1737.4
+        };
+        // 地球只在从其他行星观测时作为天体出现
+        this.earthData = {
+            name: '地球',
+            color: '#4A90D9'
         };
+        this.lunarTheory = new LunarTheory();
+        this.magnitudeModel = new PlanetMagnitudeModel();
+        this.constellationBoundaries = new ConstellationBoundaries();
+        
+        // 星历后端：'keplerian'（JPL 轨道根数）或 'vsop87'（VSOP87 截断级数）
+        this.vsop87 = new VSOP87Theory();
+        this.ephemerisBackend = 'keplerian';
+        
+        // 历史行星模型，与开普勒轨道根数（作为“真值”）对照
+        this.historicalModels = {
+            ptolemaic: new PtolemaicModel(),
+            copernican: new CopernicanModel((key, T) => this.getOrbitalElements(key, T))
+        };
+        
+        // 历史模型误差曲线缓存：每颗行星一段时间窗口内的采样
+        this.modelErrorCache = new Map();
+        
+        // 观测者地理位置（默认广州，东经为正）
+        this.observer = {
+            latitudeDeg: 23.1291,
+            longitudeDeg: 113.2644
+        };
+        
+        // 观测平台：'earth' 或其他有 IAU 自转参数的行星；观测地经纬度视为该行星上的行星中心经纬度
+        this.observerBody = 'earth';
+        
+        // 出没时刻缓存（按日期、观测地与星历后端）
+        this.riseSetCache = null;
+        
+        // 留点缓存：每颗行星一段时间窗口内的留点
+        this.stationaryCache = new Map();
+        
+        // 视运动轨迹采样缓存：每个天体按时刻 (毫秒) 保存赤经赤纬
+        this.pathCache = new Map();
+        
+        // 坐标历元：'J2000'（J2000 平春分点的天体测量位置）或 'date'（瞬时真春分点的视位置）
+        this.equinox = 'date';
+        
+        // 天文单位 (千米)
+        this.auKm = 149597870.7;
+        
+        // 地球赤道半径 (千米)
+        this.earthRadiusKm = 6378.137;
+        
+        // 光速 (AU/天)
+        this.lightSpeedAuPerDay = 173.1446327;
         
         // 历元日期 (J2000.0 = 2000年1月1日 12:00 UTC)
         this.epochDate = new Date('2000-01-01T12:00:00Z');
+        
+        // 事件监听器
+        this.listeners = new Map();
     }
     
     /**
@@ -76,42 +119,698 @@ export class AstronomicalCalculator {
         console.log('天文计算器初始化完成');
     }
     
+    /**
+     * 注册新天体（行星、矮行星或小天体）
+     * 注册后会自动参与位置计算、渲染、聚焦下拉框和信息面板
+     *
+     * 轨道参数支持两种格式：
+     * 1. JPL 格式：{ elements: { semiMajorAxis, eccentricity, inclination, meanLongitude,
+     *    longitudeOfPerihelion, longitudeOfAscendingNode } }，每项为 [J2000 值, 每世纪变化率] 或常数
+     * 2. 固定根数：{ semiMajorAxis, eccentricity, inclination, longitudeOfAscendingNode,
+     *    argumentOfPeriapsis, meanAnomalyAtEpoch (J2000), meanDailyMotion (度/天) }
+     * 可选 absoluteMagnitude (H) 与 slopeParameter (G) 用于按 H-G 系统计算视星等
+     * @param {string} key - 天体标识，如 'ceres'
+     * @param {Object} body - 名称、颜色与轨道参数
+     */
+    registerBody(key, body) {
+        if (!key || typeof key !== 'string') {
+            throw new Error('天体标识必须为非空字符串');
+        }
+        if (['all', 'sun', 'moon', 'earth'].includes(key)) {
+            throw new Error(`天体标识已被保留：${key}`);
+        }
+        
+        const elements = body?.elements
+            ? body.elements
+            : this.convertFixedElements(key, body);
+        
+        const requiredFields = [
+            'semiMajorAxis',
+            'eccentricity',
+            'inclination',
+            'meanLongitude',
+            'longitudeOfPerihelion',
+            'longitudeOfAscendingNode'
+        ];
+        const isValid = (value) => Number.isFinite(value)
+            || (Array.isArray(value) && value.length > 0 && value.every(Number.isFinite));
+        const missing = requiredFields.filter(field => !isValid(elements[field]));
+        if (missing.length > 0) {
+            throw new Error(`天体 ${key} 缺少轨道参数：${missing.join(', ')}`);
+        }
+        
+        this.planetData[key] = {
+            name: body.name || key,
+            color: body.color || '#FFFFFF',
+            absoluteMagnitude: body.absoluteMagnitude,
+            slopeParameter: body.slopeParameter,
+            elements
+        };
+        this.stationaryCache.delete(key);
+        this.modelErrorCache.delete(key);
+        this.pathCache.delete(key);
+        this.emit('bodiesChange', this.getBodies());
+    }
+    
+    /**
+     * 将固定历元根数（平近点角 + 平均日运动）转换为 JPL 格式
+     */
+    convertFixedElements(key, body) {
+        const requiredFields = [
+            'semiMajorAxis',
+            'eccentricity',
+            'inclination',
+            'longitudeOfAscendingNode',
+            'argumentOfPeriapsis',
+            'meanAnomalyAtEpoch',
+            'meanDailyMotion'
+        ];
+        const missing = requiredFields.filter(field => !Number.isFinite(body?.[field]));
+        if (missing.length > 0) {
+            throw new Error(`天体 ${key} 缺少轨道参数：${missing.join(', ')}`);
+        }
+        
+        const longitudeOfPerihelion = body.argumentOfPeriapsis + body.longitudeOfAscendingNode;
+        return {
+            semiMajorAxis: [body.semiMajorAxis, 0],
+            eccentricity: [body.eccentricity, 0],
+            inclination: [body.inclination, 0],
+            meanLongitude: [body.meanAnomalyAtEpoch + longitudeOfPerihelion, body.meanDailyMotion * 36525],
+            longitudeOfPerihelion: [longitudeOfPerihelion, 0],
+            longitudeOfAscendingNode: [body.longitudeOfAscendingNode, 0]
+        };
+    }
+    
+    /**
+     * 移除已注册的天体
+     */
+    unregisterBody(key) {
+        if (!(key in this.planetData)) return;
+        
+        delete this.planetData[key];
+        this.stationaryCache.delete(key);
+        this.modelErrorCache.delete(key);
+        this.pathCache.delete(key);
+        // 观测平台被移除时回到地球
+        if (this.observerBody === key) {
+            this.setObserverBody('earth');
+        }
+        this.emit('bodiesChange', this.getBodies());
+    }
+    
+    /**
+     * 获取全部可计算天体的列表（按显示顺序）
+     * @returns {Array<{key: string, name: string, color: string}>}
+     */
+    getBodies() {
+        return [
+            { key: 'sun', name: this.sunData.name, color: this.sunData.color },
+            { key: 'moon', name: this.moonData.name, color: this.moonData.color },
+            ...Object.entries(this.planetData).map(([key, planetData]) => ({
+                key,
+                name: planetData.name,
+                color: planetData.color
+            }))
+        ];
+    }
+    
+    /**
+     * 获取可选的星历后端
+     */
+    getEphemerisBackends() {
+        return [
+            { key: 'keplerian', name: '开普勒轨道根数 (JPL)' },
+            { key: 'vsop87', name: 'VSOP87 截断级数' }
+        ];
+    }
+    
+    /**
+     * 切换星历后端
+     * VSOP87 不包含的天体（冥王星及自定义天体）仍使用开普勒轨道根数
+     * @param {'keplerian'|'vsop87'} backend
+     */
+    setEphemerisBackend(backend) {
+        if (!this.getEphemerisBackends().some(item => item.key === backend)) {
+            throw new Error(`未知的星历后端：${backend}`);
+        }
+        this.ephemerisBackend = backend;
+        this.emit('ephemerisChange', backend);
+    }
+    
+    /**
+     * 获取可选的坐标历元
+     */
+    getEquinoxOptions() {
+        return [
+            { key: 'date', name: '瞬时真春分点 (视位置)' },
+            { key: 'J2000', name: 'J2000 平春分点' }
+        ];
+    }
+    
+    /**
+     * 切换坐标历元
+     * 'J2000'：只做光行时修正，坐标与星表同属 J2000 平赤道
+     * 'date'：再加周年光行差、岁差与章动，得到瞬时真赤道上的视位置，星表与星座连线随之旋转
+     * @param {'J2000'|'date'} equinox
+     */
+    setEquinox(equinox) {
+        if (!this.getEquinoxOptions().some(item => item.key === equinox)) {
+            throw new Error(`未知的坐标历元：${equinox}`);
+        }
+        this.equinox = equinox;
+        this.emit('equinoxChange', equinox);
+    }
+    
+    /**
+     * 设置观测者地理位置
+     * @param {number} latitudeDeg - 纬度 (度，北为正)
+     * @param {number} longitudeDeg - 经度 (度，东为正)
+     */
+    setObserverLocation(latitudeDeg, longitudeDeg) {
+        if (!Number.isFinite(latitudeDeg) || latitudeDeg < -90 || latitudeDeg > 90 || !Number.isFinite(longitudeDeg)) {
+            throw new Error(`无效的观测地点：${latitudeDeg}, ${longitudeDeg}`);
+        }
+        this.observer = { latitudeDeg, longitudeDeg };
+        this.emit('observerChange', { ...this.observer });
+    }
+    
+    /**
+     * 获取可选的观测平台：地球与有 IAU 自转参数的行星
+     */
+    getObserverBodies() {
+        return [
+            { key: 'earth', name: this.earthData.name },
+            ...Object.entries(this.planetData)
+                .filter(([key]) => key in IAU_ROTATION_ELEMENTS)
+                .map(([key, planetData]) => ({ key, name: planetData.name }))
+        ];
+    }
+    
+    /**
+     * 切换观测平台
+     * 从其他行星观测时，地球作为行星出现在天空中，天球按该行星的自转轴与自转周期转动
+     * @param {string} key - 'earth' 或行星标识
+     */
+    setObserverBody(key) {
+        if (!this.getObserverBodies().some(body => body.key === key)) {
+            throw new Error(`无法从该天体观测：${key}`);
+        }
+        this.observerBody = key;
+        this.riseSetCache = null;
+        this.stationaryCache.clear();
+        this.emit('observerBodyChange', key);
+    }
+    
+    /**
+     * 计算天体的自转姿态（IAU WGCCRE 模型）
+     * @param {string} key - 天体标识（含 'earth'）
+     * @param {Date} date - 观测时刻
+     * @returns {{ matrix: number[][], primeMeridian: number, rotationRate: number, radiusKm: number }}
+     *   matrix 将 J2000 赤道坐标转到该天体的赤道坐标（x 轴指向其赤道在 ICRF 赤道上的升交点）；
+     *   primeMeridian 为本初子午线自升交点起的角度 W (度)，rotationRate 为 W 的日变化率 (度/天)
+     */
+    calculateBodyOrientation(key, date) {
+        const rotation = IAU_ROTATION_ELEMENTS[key];
+        if (!rotation) {
+            throw new Error(`缺少该天体的自转参数：${key}`);
+        }
+        const T = this.getJulianCenturies(date);
+        const d = T * 36525;
+        let poleRa = rotation.poleRa[0] + rotation.poleRa[1] * T;
+        let poleDec = rotation.poleDec[0] + rotation.poleDec[1] * T;
+        let primeMeridian = rotation.primeMeridian[0] + rotation.primeMeridian[1] * d;
+        if (rotation.periodic) {
+            const { argument, ra, dec, meridian } = rotation.periodic;
+            const N = this.degToRad(argument[0] + argument[1] * T);
+            poleRa += ra * Math.sin(N);
+            poleDec += dec * Math.cos(N);
+            primeMeridian += meridian * Math.sin(N);
+        }
+        
+        return {
+            matrix: ReferenceFrames.multiply(
+                ReferenceFrames.rotationX(this.degToRad(90 - poleDec)),
+                ReferenceFrames.rotationZ(this.degToRad(90 + poleRa))
+            ),
+            primeMeridian: ((primeMeridian % 360) + 360) % 360,
+            rotationRate: rotation.primeMeridian[1],
+            radiusKm: rotation.radiusKm
+        };
+    }
+    
+    /**
+     * 获取当前历元下的天球姿态，供渲染器统一旋转星表、星座连线并对齐地平
+     * 从其他行星观测时，'date' 历元即该行星的赤道坐标系，恒星时由其本初子午线给出
+     * @param {Date} date - 观测时刻 (UTC)
+     * @param {{ latitudeDeg: number, longitudeDeg: number }} [observer] - 观测者地理位置，默认使用 setObserverLocation 的设置
+     * @returns {{ equinox: string, observerBody: string, catalogMatrix: number[][], zenith: {ra: number, dec: number},
+     *   pole: {ra: number, dec: number}, localSiderealTime: number, obliquity: number, eclipticMatrix: number[][] }}
+     *   catalogMatrix 将 J2000 赤道坐标转到当前历元，黄道为按 obliquity 倾斜的大圆再经 eclipticMatrix 旋转；
+     *   pole 为观测天体当前的北天极，用于确定地平北方；天顶赤经、恒星时与黄赤交角单位均为度
+     */
+    getSkyFrame(date, observer = this.observer) {
+        const T = this.getJulianCenturies(date);
+        const { matrix: toDate, siderealTime } = this.calculateObserverFrame(date);
+        
+        const localSiderealTime = ((siderealTime + observer.longitudeDeg) % 360 + 360) % 360;
+        let zenith = ReferenceFrames.fromSpherical(localSiderealTime, observer.latitudeDeg);
+        let pole = { x: 0, y: 0, z: 1 };
+        if (this.equinox === 'J2000') {
+            zenith = ReferenceFrames.applyMatrix(ReferenceFrames.transpose(toDate), zenith);
+            pole = ReferenceFrames.applyMatrix(ReferenceFrames.transpose(toDate), pole);
+        }
+        const zenithCoords = ReferenceFrames.toSpherical(zenith);
+        const poleCoords = ReferenceFrames.toSpherical(pole);
+        const catalogMatrix = this.equinox === 'date' ? toDate : ReferenceFrames.identity();
+        
+        // 地球上黄道在当前历元下直接按黄赤交角倾斜；其他行星的赤道与黄道无此关系，改为旋转 J2000 黄道
+        const onEarth = this.observerBody === 'earth';
+        return {
+            equinox: this.equinox,
+            observerBody: this.observerBody,
+            catalogMatrix,
+            zenith: { ra: zenithCoords.lon, dec: zenithCoords.lat },
+            pole: { ra: poleCoords.lon, dec: poleCoords.lat },
+            localSiderealTime,
+            obliquity: onEarth ? ReferenceFrames.obliquity(T, this.equinox) : ReferenceFrames.J2000_OBLIQUITY,
+            eclipticMatrix: onEarth ? ReferenceFrames.identity() : catalogMatrix
+        };
+    }
+    
+    /**
+     * 观测平台的赤道坐标系与恒星时
+     * 地球为瞬时真赤道与格林尼治视恒星时；其他行星为 IAU 赤道坐标系与本初子午线角 W
+     * @param {Date} date - 观测时刻
+     * @param {string} [body] - 观测平台
+     * @returns {{ matrix: number[][], siderealTime: number, siderealRate: number, radiusKm: number }}
+     *   matrix 将 J2000 赤道坐标转到平台赤道坐标；恒星时单位为度，变化率为 度/天
+     */
+    calculateObserverFrame(date, body = this.observerBody) {
+        if (body === 'earth') {
+            return {
+                matrix: ReferenceFrames.frameMatrix(this.getJulianCenturies(date), 'date'),
+                siderealTime: ReferenceFrames.greenwichSiderealTime(date, true),
+                siderealRate: 360.985647,
+                radiusKm: this.earthRadiusKm
+            };
+        }
+        const orientation = this.calculateBodyOrientation(body, date);
+        return {
+            matrix: orientation.matrix,
+            siderealTime: orientation.primeMeridian,
+            siderealRate: orientation.rotationRate,
+            radiusKm: orientation.radiusKm
+        };
+    }
+    
     /**
      * 计算所有行星在指定日期的位置
      * @param {Date} date - 观测日期
+     * @param {{ backend?: 'keplerian'|'vsop87' }} [options] - 默认使用当前星历后端
      * @returns {Object} 行星位置信息
      */
-    calculatePlanetPositions(date) {
+    calculatePlanetPositions(date, options = {}) {
+        const { backend = this.ephemerisBackend } = options;
         const positions = {};
+        const observer = this.calculateObserverState(date, backend);
+        
+        positions.sun = this.calculateSunPosition(date, backend, observer);
+        positions.moon = this.calculateMoonPosition(date, backend, observer);
         
-        for (const [key, planetData] of Object.entries(this.planetData)) {
-            positions[key] = this.calculatePlanetPosition(planetData, date);
+        // 从其他行星观测时地球成为行星之一，观测平台自身不出现在天空中
+        if (observer.body !== 'earth') {
+            positions.earth = this.calculatePlanetPosition('earth', date, backend, observer);
+        }
+        for (const key of Object.keys(this.planetData)) {
+            if (key === observer.body) continue;
+            positions[key] = this.calculatePlanetPosition(key, date, backend, observer);
         }
         
         return positions;
     }
     
     /**
-     * 计算单个行星的位置
-     * @param {Object} planetData - 行星轨道参数
+     * 计算单个天体（含太阳与月球）的位置
+     * @param {string} key - 天体标识
      * @param {Date} date - 观测日期
-     * @returns {Object} 行星位置和天文信息
+     * @param {'keplerian'|'vsop87'} [backend] - 星历后端
+     */
+    calculateBodyPosition(key, date, backend = this.ephemerisBackend) {
+        if (key === 'sun') return this.calculateSunPosition(date, backend);
+        if (key === 'moon') return this.calculateMoonPosition(date, backend);
+        if (!(key in this.planetData) && key !== 'earth') {
+            throw new Error(`未知天体：${key}`);
+        }
+        return this.calculatePlanetPosition(key, date, backend);
+    }
+    
+    /**
+     * 地心（观测平台）黄经变化率 (度/天)，取前后半天的中心差分
      */
-    calculatePlanetPosition(planetData, date) {
-        // 计算从历元到观测日期的天数
-        const daysSinceEpoch = (date.getTime() - this.epochDate.getTime()) / (1000 * 60 * 60 * 24);
+    calculateLongitudeRate(key, date, backend = this.ephemerisBackend) {
+        const halfDay = 43200000;
+        const before = this.calculateBodyPosition(key, new Date(date.getTime() - halfDay), backend);
+        const after = this.calculateBodyPosition(key, new Date(date.getTime() + halfDay), backend);
+        return RootFinder.wrapAngle(after.eclipticCoords.longitude - before.eclipticCoords.longitude);
+    }
+    
+    /**
+     * 查找日期范围内行星的留，即地心黄经变化率为零的时刻
+     * 由顺行转逆行的留为逆行开始 ('retrogradeStart')，由逆行转顺行的留为逆行结束 ('retrogradeEnd')
+     * @param {string} key - 行星标识
+     * @param {Date} startDate - 起始日期
+     * @param {Date} endDate - 结束日期
+     * @param {{ backend?: 'keplerian'|'vsop87', stepDays?: number }} [options] - 扫描步长须短于最短的逆行期，
+     *   默认按轨道大小选取（水星约 3 周的逆行用 4 天，外行星用 12 天）
+     * @returns {Array<{key: string, name: string, color: string, date: Date, type: string, longitude: number, celestialCoords: Object}>}
+     */
+    findStationaryPoints(key, startDate, endDate, options = {}) {
+        const planetData = this.planetData[key];
+        if (!planetData) {
+            throw new Error(`只有行星才有留与逆行：${key}`);
+        }
+        const { backend = this.ephemerisBackend } = options;
+        const semiMajorAxis = this.getOrbitalElements(key, this.getJulianCenturies(startDate)).semiMajorAxis;
+        const stepDays = options.stepDays || (semiMajorAxis < 0.5 ? 4 : semiMajorAxis < 1 ? 8 : 12);
+        
+        const day = 86400000;
+        // 粗扫描使用几何黄经（只需日心位置，计算量小），再在根附近用视黄经变化率精确求根
+        const geometricLongitude = (time) => {
+            const date = new Date(time);
+            const planet = this.calculateHeliocentricPosition(key, date, backend).eclipticCoords;
+            const observer = this.calculateObserverPosition(date, backend);
+            return this.radToDeg(Math.atan2(planet.y - observer.y, planet.x - observer.x));
+        };
+        const geometricRate = (time) => RootFinder.wrapAngle(
+            geometricLongitude(time + day / 2) - geometricLongitude(time - day / 2)
+        );
+        const apparentRate = (time) => this.calculateLongitudeRate(key, new Date(time), backend);
+        
+        const roots = RootFinder.findRoots(geometricRate, startDate.getTime(), endDate.getTime(), stepDays * day, 3600000);
+        
+        return roots.map(root => {
+            const a = root.x - day;
+            const b = root.x + day;
+            const fa = apparentRate(a);
+            const fb = apparentRate(b);
+            const time = (fa < 0) !== (fb < 0)
+                ? RootFinder.regulaFalsi(apparentRate, a, b, 60000, fa, fb)
+                : root.x;
+            const date = new Date(time);
+            const position = this.calculatePlanetPosition(key, date, backend);
+            return {
+                key,
+                name: planetData.name,
+                color: planetData.color,
+                date,
+                type: root.direction < 0 ? 'retrogradeStart' : 'retrogradeEnd',
+                longitude: position.eclipticCoords.longitude,
+                celestialCoords: { ...position.celestialCoords }
+            };
+        });
+    }
+    
+    /**
+     * 获取指定日期前后的留点（带缓存，日期移出窗口时重新搜索）
+     * 窗口按会合周期确定：至少覆盖前半个、后一个会合周期，保证能找到下一次留
+     * @param {string} key - 行星标识
+     * @param {Date} date - 当前日期
+     * @returns {Array} 留点列表，结构同 findStationaryPoints
+     */
+    getStationaryPoints(key, date) {
+        const day = 86400000;
+        const time = date.getTime();
+        const synodicPeriod = this.getSynodicPeriod(key, date) * day;
+        const cached = this.stationaryCache.get(key);
+        if (cached
+            && cached.backend === this.ephemerisBackend
+            && cached.equinox === this.equinox
+            && cached.observerBody === this.observerBody
+            && cached.start <= time - synodicPeriod / 2
+            && cached.end >= time + synodicPeriod) {
+            return cached.points;
+        }
+        
+        const start = time - synodicPeriod;
+        const end = time + synodicPeriod * 2;
+        const points = this.findStationaryPoints(key, new Date(start), new Date(end));
+        this.stationaryCache.set(key, {
+            backend: this.ephemerisBackend,
+            equinox: this.equinox,
+            observerBody: this.observerBody,
+            start,
+            end,
+            points
+        });
+        return points;
+    }
+    
+    /**
+     * 行星相对观测平台的会合周期 (天)，轨道相近的天体限制在 1000 天以内
+     */
+    getSynodicPeriod(key, date) {
+        const T = this.getJulianCenturies(date);
+        const periodOf = (body) => 365.25 * Math.pow(this.getOrbitalElements(body, T).semiMajorAxis, 1.5);
+        return Math.min(1000, 1 / Math.abs(1 / periodOf(this.observerBody) - 1 / periodOf(key)));
+    }
+    
+    /**
+     * 获取行星当前的顺行/逆行状态与下一次留
+     * @param {string} key - 行星标识
+     * @param {Date} date - 当前日期
+     * @returns {{ retrograde: boolean, longitudeRate: number, nextStationary: Object|null }} 黄经变化率单位为 度/天
+     */
+    getRetrogradeState(key, date) {
+        const longitudeRate = this.calculateLongitudeRate(key, date);
+        const nextStationary = this.getStationaryPoints(key, date)
+            .find(point => point.date.getTime() > date.getTime()) || null;
+        
+        return {
+            retrograde: longitudeRate < 0,
+            longitudeRate,
+            nextStationary
+        };
+    }
+    
+    /**
+     * 比较两种星历后端在指定日期的结果
+     * @param {Date} date - 观测日期
+     * @returns {Object} 每个天体两种后端的赤经赤纬、角距 (角分) 与距离差 (AU)
+     */
+    compareEphemerides(date) {
+        const keplerian = this.calculatePlanetPositions(date, { backend: 'keplerian' });
+        const vsop87 = this.calculatePlanetPositions(date, { backend: 'vsop87' });
+        const comparison = {};
+        
+        for (const key of Object.keys(keplerian)) {
+            // 月球由月球理论单独计算，与星历后端无关
+            if (key === 'moon') continue;
+            
+            const a = keplerian[key].celestialCoords;
+            const b = vsop87[key].celestialCoords;
+            comparison[key] = {
+                name: keplerian[key].name,
+                keplerian: { ...a },
+                vsop87: { ...b },
+                separationArcmin: this.angularSeparation(a.ra * 15, a.dec, b.ra * 15, b.dec) * 60,
+                distanceDifference: b.distance - a.distance,
+                supportedByVSOP87: key === 'sun' || this.vsop87.supports(key)
+            };
+        }
+        
+        return comparison;
+    }
+    
+    /**
+     * 获取可选的历史行星模型
+     */
+    getHistoricalModels() {
+        return Object.values(this.historicalModels).map(model => ({ key: model.key, name: model.name, color: model.color }));
+    }
+    
+    /**
+     * 按历史模型计算行星位置，输出结构与 calculatePlanetPosition 相同（另含 model、modelName 与 modelColor）
+     * 历史模型预报的就是肉眼所见的方向，不再做光行时与光行差修正；它们都是地心模型，观测平台固定为地球
+     * @param {string} key - 行星标识
+     * @param {Date} date - 观测日期
+     * @param {'ptolemaic'|'copernican'} model - 历史模型
+     * @param {Object} [observer] - 地球位置与速度，批量计算时复用
+     * @returns {Object|null} 模型不包含该天体时返回 null
+     */
+    calculateModelPosition(key, date, model, observer = this.calculateObserverState(date, 'keplerian', 'earth')) {
+        const historical = this.historicalModels[model];
+        if (!historical) {
+            throw new Error(`未知的行星模型：${model}`);
+        }
+        const planetData = this.planetData[key];
+        if (!planetData || !historical.supports(key)) return null;
+        
+        const geocentricCoords = historical.calculateGeocentric(key, date);
+        const coords = this.projectGeocentric(geocentricCoords, date, observer, { aberration: false });
+        
+        return {
+            name: planetData.name,
+            color: planetData.color,
+            model,
+            modelName: historical.name,
+            modelColor: historical.color,
+            position: {
+                x: geocentricCoords.x * 50,
+                y: geocentricCoords.y * 50,
+                z: geocentricCoords.z * 50
+            },
+            ...coords,
+            constellation: this.getConstellationFromCoords(coords.astrometricCoords.ra, coords.astrometricCoords.dec)
+        };
+    }
+    
+    /**
+     * 比较历史模型与开普勒模型在指定日期的结果
+     * @param {Date} date - 观测日期
+     * @param {string[]} [models] - 参与比较的历史模型
+     * @returns {Object<string, {name: string, truth: Object, models: Object}>} 每颗行星的开普勒位置，
+     *   以及各模型的位置、与开普勒位置的角距 separation 与黄经差 longitudeError (度)
+     */
+    compareModels(date, models = Object.keys(this.historicalModels)) {
+        const observer = this.calculateObserverState(date, 'keplerian', 'earth');
+        const comparison = {};
+        
+        for (const key of Object.keys(this.planetData)) {
+            const positions = models
+                .map(model => this.calculateModelPosition(key, date, model, observer))
+                .filter(Boolean);
+            if (positions.length === 0) continue;
+            
+            const truth = this.calculatePlanetPosition(key, date, 'keplerian', observer);
+            comparison[key] = { name: truth.name, truth, models: {} };
+            for (const position of positions) {
+                comparison[key].models[position.model] = {
+                    ...position,
+                    separation: this.angularSeparation(
+                        truth.celestialCoords.ra * 15, truth.celestialCoords.dec,
+                        position.celestialCoords.ra * 15, position.celestialCoords.dec
+                    ),
+                    longitudeError: RootFinder.wrapAngle(position.eclipticCoords.longitude - truth.eclipticCoords.longitude)
+                };
+            }
+        }
+        
+        return comparison;
+    }
+    
+    /**
+     * 获取指定日期前后一年内历史模型相对开普勒模型的角距曲线（带缓存，日期偏离窗口中心半年以上时重新采样）
+     * 直接比较 J2000 地心方向，省去坐标投影
+     * @param {string} key - 行星标识
+     * @param {Date} date - 当前日期
+     * @param {string[]} [models] - 参与比较的历史模型
+     * @returns {{ key: string, name: string, models: Array<{key: string, name: string, color: string}>,
+     *   samples: Array<{date: Date, errors: Object<string, number>}> }}
+     *   errors 为各模型的角距 (度)，模型不包含该天体时缺省
+     */
+    getModelErrorSeries(key, date, models = Object.keys(this.historicalModels)) {
+        const day = 86400000;
+        const halfWindow = 366 * day;
+        const step = 5 * day;
+        const time = date.getTime();
+        const signature = models.join(',');
+        const cached = this.modelErrorCache.get(key);
+        if (cached && cached.signature === signature && Math.abs(time - cached.center) <= halfWindow / 2) {
+            return cached.series;
+        }
+        
+        const samples = [];
+        for (let t = time - halfWindow; t <= time + halfWindow; t += step) {
+            const sampleDate = new Date(t);
+            const earthPosition = this.calculateEarthPosition(sampleDate, 'keplerian');
+            const truth = ReferenceFrames.toSpherical(
+                this.calculateGeocentricVector(key, sampleDate, 'keplerian', earthPosition).geocentricCoords
+            );
+            const errors = {};
+            for (const model of models) {
+                const historical = this.historicalModels[model];
+                if (!historical.supports(key)) continue;
+                const predicted = ReferenceFrames.toSpherical(historical.calculateGeocentric(key, sampleDate));
+                errors[model] = this.angularSeparation(truth.lon, truth.lat, predicted.lon, predicted.lat);
+            }
+            samples.push({ date: sampleDate, errors });
+        }
+        
+        const series = {
+            key,
+            name: this.planetData[key].name,
+            models: this.getHistoricalModels().filter(model => models.includes(model.key)),
+            samples
+        };
+        this.modelErrorCache.set(key, { signature, center: time, series });
+        return series;
+    }
+    
+    /**
+     * 计算指定时刻的轨道根数
+     * 内置天体在 1800-2050 年使用 JPL 表1，其余时间使用 3000 BC - 3000 AD 的表2（含附加项）
+     * @param {string} key - 天体标识（含 'earth'，即地月质心）
+     * @param {number} T - 自 J2000.0 起算的儒略世纪数
+     * @returns {Object} 半长轴(AU)、偏心率、倾角、平近点角、近点幅角、升交点黄经(度)
+     */
+    getOrbitalElements(key, T) {
+        const customElements = this.planetData[key]?.elements;
+        const useShortTable = T >= JPL_SHORT_TABLE_RANGE.start && T <= JPL_SHORT_TABLE_RANGE.end;
+        const elements = customElements
+            || (useShortTable ? JPL_ELEMENTS_1800_2050 : JPL_ELEMENTS_3000BC_3000AD)[key];
+        if (!elements) {
+            throw new Error(`未知天体：${key}`);
+        }
+        
+        const valueAt = (field) => {
+            const [value, rate = 0] = [].concat(elements[field]);
+            return value + rate * T;
+        };
+        
+        const meanLongitude = valueAt('meanLongitude');
+        const longitudeOfPerihelion = valueAt('longitudeOfPerihelion');
+        const longitudeOfAscendingNode = valueAt('longitudeOfAscendingNode');
+        
+        let meanAnomaly = meanLongitude - longitudeOfPerihelion;
+        
+        // 长期表中木星至冥王星的平近点角附加项
+        const extraTerms = !customElements && !useShortTable && JPL_MEAN_ANOMALY_TERMS[key];
+        if (extraTerms) {
+            const fT = this.degToRad(extraTerms.f * T);
+            meanAnomaly += extraTerms.b * T * T + extraTerms.c * Math.cos(fT) + extraTerms.s * Math.sin(fT);
+        }
+        
+        // 归一化到 [-180, 180)
+        meanAnomaly = ((meanAnomaly + 180) % 360 + 360) % 360 - 180;
         
-        // 计算平近点角
-        const meanAnomaly = (planetData.meanAnomalyAtEpoch + planetData.meanDailyMotion * daysSinceEpoch) % 360;
+        return {
+            semiMajorAxis: valueAt('semiMajorAxis'),
+            eccentricity: valueAt('eccentricity'),
+            inclination: valueAt('inclination'),
+            meanAnomaly,
+            argumentOfPeriapsis: longitudeOfPerihelion - longitudeOfAscendingNode,
+            longitudeOfAscendingNode
+        };
+    }
+    
+    /**
+     * 计算日心黄道坐标 (J2000 平黄道，AU)
+     * @param {string} key - 天体标识（含 'earth'）
+     * @param {Date} date - 观测日期
+     * @param {'keplerian'|'vsop87'} [backend] - 星历后端
+     */
+    calculateHeliocentricPosition(key, date, backend = this.ephemerisBackend) {
+        const T = this.getJulianCenturies(date);
+        const elements = this.getOrbitalElements(key, T);
         
         // 解开普勒方程求偏近点角
-        const eccentricAnomaly = this.solveKeplerEquation(meanAnomaly, planetData.eccentricity);
+        const eccentricAnomaly = this.solveKeplerEquation(elements.meanAnomaly, elements.eccentricity);
         
         // 计算真近点角
-        const trueAnomaly = this.calculateTrueAnomaly(eccentricAnomaly, planetData.eccentricity);
+        const trueAnomaly = this.calculateTrueAnomaly(eccentricAnomaly, elements.eccentricity);
         
         // 计算日心距离
-        const heliocentricDistance = planetData.semiMajorAxis * (1 - planetData.eccentricity * Math.cos(this.degToRad(eccentricAnomaly)));
+        const heliocentricDistance = elements.semiMajorAxis * (1 - elements.eccentricity * Math.cos(this.degToRad(eccentricAnomaly)));
         
         // 计算轨道平面内的坐标
         const x_orbit = heliocentricDistance * Math.cos(this.degToRad(trueAnomaly));
@@ -120,30 +819,65 @@ export class AstronomicalCalculator {
         // 转换到黄道坐标系
         const eclipticCoords = this.orbitToEcliptic(
             x_orbit, y_orbit, 0,
-            planetData.inclination,
-            planetData.argumentOfPeriapsis,
-            planetData.longitudeOfAscendingNode
+            elements.inclination,
+            elements.argumentOfPeriapsis,
+            elements.longitudeOfAscendingNode
         );
         
-        // 转换到地心坐标系
-        const earthPosition = this.calculateEarthPosition(date);
-        const geocentricCoords = {
-            x: eclipticCoords.x - earthPosition.x,
-            y: eclipticCoords.y - earthPosition.y,
-            z: eclipticCoords.z - earthPosition.z
+        const orbitInfo = {
+            meanAnomaly: elements.meanAnomaly,
+            eccentricAnomaly,
+            trueAnomaly,
+            heliocentricDistance,
+            elements,
+            ephemeris: 'keplerian'
         };
         
-        // 计算赤经赤纬 (地球视角)
-        const equatorialCoords = this.eclipticToEquatorial(geocentricCoords, date);
+        // VSOP87 覆盖的天体用级数结果替换位置，轨道根数仅作参考信息
+        if (backend === 'vsop87' && this.vsop87.supports(key)) {
+            const vsop = this.vsop87.calculate(key, T);
+            return {
+                eclipticCoords: { x: vsop.x, y: vsop.y, z: vsop.z },
+                orbitInfo: {
+                    ...orbitInfo,
+                    heliocentricDistance: vsop.radius,
+                    ephemeris: 'vsop87'
+                }
+            };
+        }
+        
+        return { eclipticCoords, orbitInfo };
+    }
+    
+    /**
+     * 计算单个行星的位置
+     * @param {string} key - 天体标识
+     * @param {Date} date - 观测日期
+     * @param {'keplerian'|'vsop87'} [backend] - 星历后端
+     * @param {Object} [observer] - 地球位置与速度，批量计算时复用
+     * @returns {Object} 行星位置和天文信息
+     */
+    calculatePlanetPosition(key, date, backend = this.ephemerisBackend, observer = this.calculateObserverState(date, backend)) {
+        const planetData = key === 'earth' ? this.earthData : this.planetData[key];
+        const earthPosition = observer.position;
+        const { heliocentric, geocentricCoords } = this.calculateGeocentricVector(key, date, backend, earthPosition);
+        const { eclipticCoords, orbitInfo } = heliocentric;
+        const phase = this.calculatePhase(eclipticCoords, geocentricCoords, earthPosition);
+        if (key === 'saturn') {
+            phase.ringTilt = this.magnitudeModel.subObserverLatitude('saturn', geocentricCoords, this.getJulianCenturies(date));
+        }
+        
+        // 计算赤经赤纬 (地球视角，当前坐标历元)
+        const coords = this.projectGeocentric(geocentricCoords, date, observer);
         
         // 计算星座位置
-        const constellation = this.getConstellationFromCoords(equatorialCoords.ra, equatorialCoords.dec);
+        const constellation = this.getConstellationFromCoords(coords.astrometricCoords.ra, coords.astrometricCoords.dec);
         
         return {
             name: planetData.name,
             color: planetData.color,
             
-            // 3D坐标 (用于渲染)
+            // 3D坐标 (J2000 地心黄道，用于渲染)
             position: {
                 x: geocentricCoords.x * 50, // 缩放用于显示
                 y: geocentricCoords.y * 50,
@@ -151,26 +885,243 @@ export class AstronomicalCalculator {
             },
             
             // 天文坐标
-            celestialCoords: {
-                ra: equatorialCoords.ra,        // 赤经 (小时)
-                dec: equatorialCoords.dec,      // 赤纬 (度)
-                distance: Math.sqrt(geocentricCoords.x**2 + geocentricCoords.y**2 + geocentricCoords.z**2)
-            },
+            ...coords,
             
             // 观测信息
             constellation: constellation,
-            magnitude: this.calculateApparentMagnitude(planetData, heliocentricDistance, Math.sqrt(geocentricCoords.x**2 + geocentricCoords.y**2 + geocentricCoords.z**2)),
+            magnitude: this.calculateApparentMagnitude(key, eclipticCoords, geocentricCoords, phase.phaseAngle, date),
+            phase,
+            
+            // 日心坐标 (J2000 黄道，AU；已做光行时修正，即光线离开行星时的位置)，用于日心俯视图
+            heliocentricCoords: { ...eclipticCoords },
             
             // 轨道信息
-            orbitInfo: {
-                meanAnomaly,
-                eccentricAnomaly,
-                trueAnomaly,
-                heliocentricDistance
-            }
+            orbitInfo
         };
     }
     
+    /**
+     * 计算经光行时修正的地心矢量
+     * 光行时修正：取光线离开行星时刻的位置，两次迭代即可收敛
+     * @param {string} key - 天体标识
+     * @param {Date} date - 观测日期
+     * @param {'keplerian'|'vsop87'} backend - 星历后端
+     * @param {{x: number, y: number, z: number}} earthPosition - 地球日心坐标 (J2000 黄道，AU)
+     * @returns {{ heliocentric: Object, geocentricCoords: Object }} heliocentric 为 calculateHeliocentricPosition 的结果
+     */
+    calculateGeocentricVector(key, date, backend, earthPosition) {
+        let heliocentric = this.calculateHeliocentricPosition(key, date, backend);
+        let geocentricCoords = this.subtractVectors(heliocentric.eclipticCoords, earthPosition);
+        
+        for (let i = 0; i < 2; i++) {
+            const lightTimeDays = this.vectorLength(geocentricCoords) / this.lightSpeedAuPerDay;
+            heliocentric = this.calculateHeliocentricPosition(key, new Date(date.getTime() - lightTimeDays * 86400000), backend);
+            geocentricCoords = this.subtractVectors(heliocentric.eclipticCoords, earthPosition);
+        }
+        
+        return { heliocentric, geocentricCoords };
+    }
+    
+    /**
+     * 计算太阳的地心位置（观测平台日心位置取反）
+     * @param {Date} date - 观测日期
+     * @param {'keplerian'|'vsop87'} [backend] - 星历后端
+     * @param {Object} [observer] - 地球位置与速度，批量计算时复用
+     * @returns {Object} 太阳位置和天文信息
+     */
+    calculateSunPosition(date, backend = this.ephemerisBackend, observer = this.calculateObserverState(date, backend)) {
+        const observerPosition = observer.position;
+        const geocentricCoords = {
+            x: -observerPosition.x,
+            y: -observerPosition.y,
+            z: -observerPosition.z
+        };
+        const distance = this.vectorLength(geocentricCoords);
+        const angularDiameter = this.calculateAngularDiameter(this.sunData.radiusKm, distance * this.auKm);
+        // 太阳位于日心，光行时不改变其位置，视位置的偏移全部来自周年光行差
+        const coords = this.projectGeocentric(geocentricCoords, date, observer, { semiDiameter: angularDiameter / 2 });
+        
+        return {
+            type: 'sun',
+            name: this.sunData.name,
+            color: this.sunData.color,
+            position: {
+                x: geocentricCoords.x * 50,
+                y: geocentricCoords.y * 50,
+                z: geocentricCoords.z * 50
+            },
+            ...coords,
+            constellation: this.getConstellationFromCoords(coords.astrometricCoords.ra, coords.astrometricCoords.dec),
+            // 太阳 V 星等 -26.74 (1 AU)，按距离平方反比修正
+            magnitude: -26.74 + 5 * Math.log10(distance),
+            angularDiameter,
+            phase: {
+                phaseAngle: 0,
+                illuminatedFraction: 1
+            },
+            orbitInfo: null
+        };
+    }
+    
+    /**
+     * 计算月球的地心位置（Meeus 第47章截断级数）
+     * @param {Date} date - 观测日期
+     * @param {'keplerian'|'vsop87'} [backend] - 计算月相所用太阳位置的星历后端
+     * @param {Object} [observer] - 地球位置与速度，批量计算时复用
+     * @returns {Object} 月球位置、视星等与月相信息
+     */
+    calculateMoonPosition(date, backend = this.ephemerisBackend, observer = this.calculateObserverState(date, backend)) {
+        const T = this.getJulianCenturies(date);
+        const lunar = this.lunarTheory.calculate(T);
+        
+        // 月球理论给出当天平黄道坐标，经当天平赤道逆向岁差回到 J2000 黄道，与行星统一
+        const meanOfDate = ReferenceFrames.eclipticToEquatorial(
+            ReferenceFrames.fromSpherical(lunar.longitude, lunar.latitude, lunar.distance / this.auKm),
+            ReferenceFrames.meanObliquity(T)
+        );
+        let geocentricCoords = ReferenceFrames.equatorialToEcliptic(
+            ReferenceFrames.applyMatrix(ReferenceFrames.transpose(ReferenceFrames.precessionMatrix(T)), meanOfDate),
+            ReferenceFrames.J2000_OBLIQUITY
+        );
+        // 从其他行星观测：加上地球相对观测平台的位置（不计光行时）
+        if (observer.body !== 'earth') {
+            geocentricCoords = this.subtractVectors(
+                geocentricCoords,
+                this.subtractVectors(observer.position, this.calculateEarthPosition(date, backend))
+            );
+        }
+        const distance = this.vectorLength(geocentricCoords);
+        const longitude = Math.atan2(geocentricCoords.y, geocentricCoords.x);
+        
+        // 月球随地球一同运动，周年光行差基本抵消，不再修正
+        const angularDiameter = this.calculateAngularDiameter(this.moonData.radiusKm, distance * this.auKm);
+        const coords = this.projectGeocentric(geocentricCoords, date, observer, {
+            aberration: false,
+            semiDiameter: angularDiameter / 2
+        });
+        
+        // 月相：由日月距角求相位角与被照亮比例
+        const observerPosition = observer.position;
+        const sunCoords = { x: -observerPosition.x, y: -observerPosition.y, z: -observerPosition.z };
+        const sunDistance = Math.sqrt(sunCoords.x**2 + sunCoords.y**2 + sunCoords.z**2);
+        const cosElongation = (sunCoords.x * geocentricCoords.x + sunCoords.y * geocentricCoords.y + sunCoords.z * geocentricCoords.z) / (sunDistance * distance);
+        const elongation = Math.acos(Math.max(-1, Math.min(1, cosElongation)));
+        const phaseAngle = Math.atan2(sunDistance * Math.sin(elongation), distance - sunDistance * Math.cos(elongation));
+        const phaseAngleDeg = this.radToDeg(phaseAngle);
+        
+        // 月球黄经领先太阳 0~180° 为上半月（盈）
+        const sunLongitude = Math.atan2(sunCoords.y, sunCoords.x);
+        const longitudeDifference = ((this.radToDeg(longitude - sunLongitude) % 360) + 360) % 360;
+        
+        return {
+            type: 'moon',
+            name: this.moonData.name,
+            color: this.moonData.color,
+            position: {
+                x: geocentricCoords.x * 50,
+                y: geocentricCoords.y * 50,
+                z: geocentricCoords.z * 50
+            },
+            ...coords,
+            constellation: this.getConstellationFromCoords(coords.astrometricCoords.ra, coords.astrometricCoords.dec),
+            // 月球视星等（相位角单位为度，距离单位为 AU）
+            magnitude: 0.21 + 5 * Math.log10(sunDistance * distance) + 0.026 * phaseAngleDeg + 4e-9 * phaseAngleDeg ** 4,
+            angularDiameter,
+            phase: {
+                phaseAngle: phaseAngleDeg,
+                illuminatedFraction: (1 + Math.cos(phaseAngle)) / 2,
+                elongation: this.radToDeg(elongation),
+                waxing: longitudeDifference < 180
+            },
+            orbitInfo: null
+        };
+    }
+    
+    /**
+     * 计算地球本影与半影在月球距离处的大小，以及月球相对影锥的位置
+     * 影锥轴为太阳→地球方向；地球半径取纬度 45° 处的值（赤道半径 × 0.99834），并按 Danjon 方法放大 1/85 以计入大气层
+     * 食分 = (影半径 + 月球半径 - 月心到轴的距离) / 月球直径，大于 0 即月球进入该影
+     * @param {Date} date - 观测日期
+     * @param {'keplerian'|'vsop87'} [backend] - 星历后端
+     * @returns {{ center: {ra: number, dec: number}, distance: number, umbraRadius: number, penumbraRadius: number,
+     *   moonSeparation: number, umbralMagnitude: number, penumbralMagnitude: number }}
+     *   center 为影锥轴在天球上的位置（当前坐标历元，赤经单位为小时）；distance 为月球沿轴的距离 (AU)；
+     *   各半径与 moonSeparation 为从地心看的角度 (度)
+     */
+    calculateEarthShadow(date, backend = this.ephemerisBackend) {
+        const observer = this.calculateObserverState(date, backend, 'earth');
+        const sun = this.calculateSunPosition(date, backend, observer);
+        const moon = this.calculateMoonPosition(date, backend, observer);
+        const toVector = (position) => ReferenceFrames.fromSpherical(
+            position.astrometricCoords.ra * 15,
+            position.astrometricCoords.dec,
+            position.celestialCoords.distance * this.auKm
+        );
+        const sunVector = toVector(sun);
+        const moonVector = toVector(moon);
+        
+        // 月心在影锥轴上的投影距离与偏离轴的距离 (千米)
+        const sunDistance = this.vectorLength(sunVector);
+        const axis = { x: -sunVector.x / sunDistance, y: -sunVector.y / sunDistance, z: -sunVector.z / sunDistance };
+        const along = moonVector.x * axis.x + moonVector.y * axis.y + moonVector.z * axis.z;
+        const offset = this.vectorLength(this.subtractVectors(moonVector, {
+            x: axis.x * along,
+            y: axis.y * along,
+            z: axis.z * along
+        }));
+        
+        const earthRadius = this.earthRadiusKm * 0.99834 * (1 + 1 / 85);
+        const umbra = earthRadius - along * (this.sunData.radiusKm - earthRadius) / sunDistance;
+        const penumbra = earthRadius + along * (this.sunData.radiusKm + earthRadius) / sunDistance;
+        const moonRadius = this.moonData.radiusKm;
+        const toAngle = (km) => this.radToDeg(Math.atan2(km, along));
+        
+        return {
+            center: {
+                ra: (sun.celestialCoords.ra + 12) % 24,
+                dec: -sun.celestialCoords.dec
+            },
+            distance: along / this.auKm,
+            umbraRadius: toAngle(umbra),
+            penumbraRadius: toAngle(penumbra),
+            moonSeparation: toAngle(offset),
+            umbralMagnitude: (umbra + moonRadius - offset) / (2 * moonRadius),
+            penumbralMagnitude: (penumbra + moonRadius - offset) / (2 * moonRadius)
+        };
+    }
+    
+    /**
+     * 计算天体视直径 (度)
+     * @param {number} radiusKm - 天体半径 (千米)
+     * @param {number} distanceKm - 天体距离 (千米)
+     */
+    calculateAngularDiameter(radiusKm, distanceKm) {
+        return this.radToDeg(2 * Math.asin(radiusKm / distanceKm));
+    }
+    
+    /**
+     * 计算两点间的角距 (度)
+     * @param {number} ra1 - 赤经1 (度)
+     * @param {number} dec1 - 赤纬1 (度)
+     * @param {number} ra2 - 赤经2 (度)
+     * @param {number} dec2 - 赤纬2 (度)
+     */
+    angularSeparation(ra1, dec1, ra2, dec2) {
+        const d1 = this.degToRad(dec1);
+        const d2 = this.degToRad(dec2);
+        const dRa = this.degToRad(ra2 - ra1);
+        // 半正矢公式，小角度时数值稳定
+        const h = Math.sin((d2 - d1) / 2) ** 2 + Math.cos(d1) * Math.cos(d2) * Math.sin(dRa / 2) ** 2;
+        return this.radToDeg(2 * Math.asin(Math.min(1, Math.sqrt(h))));
+    }
+    
+    /**
+     * 自 J2000.0 起算的儒略世纪数（地球时 TT，已加入 ΔT）
+     */
+    getJulianCenturies(date) {
+        return ReferenceFrames.toJulianCenturiesTT(date);
+    }
+    
     /**
      * 解开普勒方程
      * E - e*sin(E) = M
@@ -225,104 +1176,569 @@ export class AstronomicalCalculator {
     }
     
     /**
-     * 计算地球位置 (简化：假设地球在原点附近的小椭圆轨道)
+     * 按指定时刻的轨道根数计算一整圈轨道 (J2000 黄道日心坐标，AU)
+     * 偏近点角等间隔取点，各段弧长大致均匀
+     * @param {string} key - 天体标识（含 'earth'）
+     * @param {Date} date - 取轨道根数的时刻
+     * @param {number} [segments=180] - 分段数
+     * @returns {Array<{x: number, y: number, z: number}>} 非闭合轨道（偏心率 ≥ 1）返回空数组
+     */
+    calculateOrbitPath(key, date, segments = 180) {
+        const elements = this.getOrbitalElements(key, this.getJulianCenturies(date));
+        const { semiMajorAxis: a, eccentricity: e } = elements;
+        if (!(e < 1)) return [];
+        
+        const semiMinorAxis = a * Math.sqrt(1 - e * e);
+        const points = [];
+        for (let i = 0; i < segments; i++) {
+            const E = (i / segments) * 2 * Math.PI;
+            points.push(this.orbitToEcliptic(
+                a * (Math.cos(E) - e),
+                semiMinorAxis * Math.sin(E),
+                0,
+                elements.inclination,
+                elements.argumentOfPeriapsis,
+                elements.longitudeOfAscendingNode
+            ));
+        }
+        return points;
+    }
+    
+    /**
+     * 计算天体在天球上的视运动轨迹：centerDate 前后、步长固定的等间隔采样
+     * 采样时刻对齐到从 Unix 纪元起的整数个步长，与中心时刻的零头和播放速度无关；
+     * 各时刻的结果按天体缓存，时间推进时只补算新进入窗口的采样
+     * @param {string[]} keys - 天体标识（含 'sun'、'moon'，从其他行星观测时可含 'earth'）
+     * @param {Date} centerDate - 窗口中心
+     * @param {{ windowDays?: number, stepDays?: number }} [options] - 窗口半宽与采样步长 (天)
+     * @returns {Object<string, Array<{date: Date, ra: number, dec: number}>>} 按时间排序的采样，
+     *   赤经 (小时)、赤纬 (度) 与 celestialCoords 同一坐标历元
+     */
+    calculateApparentPaths(keys, centerDate, options = {}) {
+        const { windowDays = 91, stepDays = 1 } = options;
+        const day = 86400000;
+        const step = stepDays * day;
+        const count = Math.round(windowDays / stepDays);
+        const center = Math.round(centerDate.getTime() / step) * step;
+        const times = [];
+        for (let i = -count; i <= count; i++) {
+            times.push(center + i * step);
+        }
+        
+        const signature = `${this.ephemerisBackend}|${this.equinox}|${this.observerBody}|${step}`;
+        const caches = keys.map(key => {
+            let cache = this.pathCache.get(key);
+            if (!cache || cache.signature !== signature) {
+                cache = { signature, samples: new Map() };
+                this.pathCache.set(key, cache);
+            }
+            return cache.samples;
+        });
+        
+        // 同一时刻的观测者状态由各天体共用
+        for (const time of times) {
+            let observer = null;
+            keys.forEach((key, index) => {
+                if (caches[index].has(time)) return;
+                const date = new Date(time);
+                observer = observer || this.calculateObserverState(date);
+                caches[index].set(time, this.calculateApparentCoords(key, date, observer));
+            });
+        }
+        
+        const current = new Set(times);
+        const paths = {};
+        keys.forEach((key, index) => {
+            const samples = caches[index];
+            // 丢弃不在当前采样网格上的结果
+            for (const time of samples.keys()) {
+                if (!current.has(time)) samples.delete(time);
+            }
+            paths[key] = times.map(time => ({ date: new Date(time), ...samples.get(time) }));
+        });
+        return paths;
+    }
+    
+    /**
+     * 只计算天体的赤经赤纬（省略星等、月相与星座），用于批量采样
+     * @returns {{ ra: number, dec: number }} 赤经 (小时)、赤纬 (度)
+     */
+    calculateApparentCoords(key, date, observer) {
+        if (key === 'moon') {
+            const { ra, dec } = this.calculateMoonPosition(date, this.ephemerisBackend, observer).celestialCoords;
+            return { ra, dec };
+        }
+        const geocentricCoords = key === 'sun'
+            ? { x: -observer.position.x, y: -observer.position.y, z: -observer.position.z }
+            : this.calculateGeocentricVector(key, date, this.ephemerisBackend, observer.position).geocentricCoords;
+        const { ra, dec } = this.projectGeocentric(geocentricCoords, date, observer).celestialCoords;
+        return { ra, dec };
+    }
+
+    /**
+     * 恒星在当前坐标历元下的赤道坐标、地平坐标与所在星座
+     * 只做岁差章动（或换到其他行星的赤道坐标系），忽略自行与周年光行差 (≤ 20″)
+     * @param {number} raDeg - J2000 赤经 (度)
+     * @param {number} decDeg - J2000 赤纬 (度)
+     * @param {Date} date - 观测时刻
+     * @param {Object} [observer] - calculateObserverState 的结果
+     * @returns {{ celestialCoords: Object, astrometricCoords: Object, apparentCoords: Object,
+     *   horizontalCoords: Object, constellation: string, equinox: string }} 赤经单位为小时，其余为度
+     */
+    calculateStarPosition(raDeg, decDeg, date, observer = this.calculateObserverState(date)) {
+        const astrometricVector = ReferenceFrames.fromSpherical(raDeg, decDeg);
+        const apparent = ReferenceFrames.toSpherical(ReferenceFrames.applyMatrix(observer.trueOfDateMatrix, astrometricVector));
+        const spherical = this.equinox === 'date' ? apparent : ReferenceFrames.toSpherical(astrometricVector);
+
+        return {
+            equinox: this.equinox,
+            celestialCoords: {
+                ra: spherical.lon / 15,
+                dec: spherical.lat
+            },
+            astrometricCoords: {
+                ra: raDeg / 15,
+                dec: decDeg
+            },
+            apparentCoords: {
+                ra: apparent.lon / 15,
+                dec: apparent.lat
+            },
+            // 恒星距离视为无穷远，没有周日视差
+            horizontalCoords: this.calculateHorizontalCoords(apparent.lon, apparent.lat, Infinity, observer),
+            constellation: this.getConstellationFromCoords(raDeg / 15, decDeg)
+        };
+    }
+
+    /**
+     * 计算地球日心位置
+     * 开普勒模型以地月质心近似，VSOP87 给出地心位置；太阳的地心位置即为其反向
+     */
+    calculateEarthPosition(date, backend = this.ephemerisBackend) {
+        return this.calculateHeliocentricPosition('earth', date, backend).eclipticCoords;
+    }
+    
+    /**
+     * 计算观测平台的日心位置 (J2000 黄道，AU)
+     * @param {string} [body] - 'earth' 或行星标识
      */
-    calculateEarthPosition(date) {
-        const daysSinceEpoch = (date.getTime() - this.epochDate.getTime()) / (1000 * 60 * 60 * 24);
-        const earthMeanAnomaly = (100.0 + 0.9856 * daysSinceEpoch) % 360; // 地球公转
+    calculateObserverPosition(date, backend = this.ephemerisBackend, body = this.observerBody) {
+        return body === 'earth'
+            ? this.calculateEarthPosition(date, backend)
+            : this.calculateHeliocentricPosition(body, date, backend).eclipticCoords;
+    }
+    
+    /**
+     * 计算观测者状态：观测平台的日心位置与速度（用于光行时与光行差）、
+     * 观测地经纬度、地方视恒星时，以及 J2000 → 平台赤道（地球为瞬时真赤道）的转换矩阵
+     * @param {string} [body] - 观测平台，默认使用 setObserverBody 的设置；地心计算（天象事件、月食）固定传 'earth'
+     * @returns {{ body: string, position: Object, velocity: Object, latitudeDeg: number, longitudeDeg: number,
+     *   localSiderealTime: number, trueOfDateMatrix: number[][], radiusKm: number }}
+     *   位置与速度为 J2000 黄道坐标 (AU, AU/天)；radiusKm 为平台半径，用于周日视差
+     */
+    calculateObserverState(date, backend = this.ephemerisBackend, body = this.observerBody) {
+        const halfDay = 43200000;
+        const before = this.calculateObserverPosition(new Date(date.getTime() - halfDay), backend, body);
+        const after = this.calculateObserverPosition(new Date(date.getTime() + halfDay), backend, body);
+        const { latitudeDeg, longitudeDeg } = this.observer;
+        const frame = this.calculateObserverFrame(date, body);
         
-        const earthDistance = 1.0; // 1 AU
-        const earthEccentricity = 0.017; // 地球轨道偏心率
+        return {
+            body,
+            position: this.calculateObserverPosition(date, backend, body),
+            velocity: this.subtractVectors(after, before),
+            latitudeDeg,
+            longitudeDeg,
+            localSiderealTime: ((frame.siderealTime + longitudeDeg) % 360 + 360) % 360,
+            trueOfDateMatrix: frame.matrix,
+            radiusKm: frame.radiusKm
+        };
+    }
+    
+    /**
+     * 将 J2000 地心黄道矢量换算为当前坐标历元下的赤道、黄道坐标与地平坐标
+     * 从其他行星观测时“地心”均指以观测平台为中心
+     * @param {{x: number, y: number, z: number}} geocentricCoords - 已做光行时修正的地心矢量 (AU)
+     * @param {Date} date - 观测日期
+     * @param {Object} observer - calculateObserverState 的结果
+     * @param {{ aberration?: boolean, semiDiameter?: number }} [options] - 视位置是否加入周年光行差；视半径 (度)
+     * @returns {{ celestialCoords: Object, astrometricCoords: Object, apparentCoords: Object,
+     *   eclipticCoords: Object, horizontalCoords: Object, equinox: string }}
+     */
+    projectGeocentric(geocentricCoords, date, observer, options = {}) {
+        const { aberration = true, semiDiameter = 0 } = options;
+        const T = this.getJulianCenturies(date);
+        const distance = this.vectorLength(geocentricCoords);
+        const astrometricVector = ReferenceFrames.eclipticToEquatorial(geocentricCoords, ReferenceFrames.J2000_OBLIQUITY);
+        const astrometric = ReferenceFrames.toSpherical(astrometricVector);
         
-        const earthEccentricAnomaly = this.solveKeplerEquation(earthMeanAnomaly, earthEccentricity);
-        const earthTrueAnomaly = this.calculateTrueAnomaly(earthEccentricAnomaly, earthEccentricity);
+        // 周年光行差（一阶）：视方向 = 几何方向 + 地球速度 / 光速
+        let apparentVector = geocentricCoords;
+        if (aberration) {
+            const scale = distance / this.lightSpeedAuPerDay;
+            apparentVector = {
+                x: geocentricCoords.x + observer.velocity.x * scale,
+                y: geocentricCoords.y + observer.velocity.y * scale,
+                z: geocentricCoords.z + observer.velocity.z * scale
+            };
+        }
+        // 瞬时真赤道上的视位置，地平坐标总是由它计算
+        const trueOfDate = ReferenceFrames.applyMatrix(
+            observer.trueOfDateMatrix,
+            ReferenceFrames.eclipticToEquatorial(apparentVector, ReferenceFrames.J2000_OBLIQUITY)
+        );
+        const apparent = ReferenceFrames.toSpherical(trueOfDate);
         
-        const x = earthDistance * Math.cos(this.degToRad(earthTrueAnomaly));
-        const y = earthDistance * Math.sin(this.degToRad(earthTrueAnomaly));
+        const equatorial = this.equinox === 'date' ? trueOfDate : astrometricVector;
+        const spherical = ReferenceFrames.toSpherical(equatorial);
+        // 其他行星的赤道与黄道无固定交角，黄经黄纬统一取 J2000 黄道
+        const ecliptic = observer.body === 'earth'
+            ? ReferenceFrames.toSpherical(
+                ReferenceFrames.equatorialToEcliptic(equatorial, ReferenceFrames.obliquity(T, this.equinox))
+            )
+            : ReferenceFrames.toSpherical(geocentricCoords);
         
-        return { x, y, z: 0 };
+        return {
+            equinox: this.equinox,
+            celestialCoords: {
+                ra: spherical.lon / 15,     // 赤经 (小时)
+                dec: spherical.lat,         // 赤纬 (度)
+                distance                    // 地心距离 (AU)
+            },
+            // J2000 天体测量位置，用于与星表比对
+            astrometricCoords: {
+                ra: astrometric.lon / 15,
+                dec: astrometric.lat
+            },
+            // 瞬时真赤道视位置，用于地平坐标与出没计算
+            apparentCoords: {
+                ra: apparent.lon / 15,
+                dec: apparent.lat
+            },
+            // 当前历元的地心黄经黄纬 (度)
+            eclipticCoords: {
+                longitude: ecliptic.lon,
+                latitude: ecliptic.lat
+            },
+            horizontalCoords: this.calculateHorizontalCoords(apparent.lon, apparent.lat, distance, observer, semiDiameter)
+        };
     }
     
     /**
-     * 黄道坐标转赤道坐标
+     * 赤道坐标 → 地平坐标（含周日视差与大气折射）
+     * @param {number} raDeg - 瞬时真赤经 (度)
+     * @param {number} decDeg - 瞬时真赤纬 (度)
+     * @param {number} distance - 地心距离 (AU)
+     * @param {Object} observer - calculateObserverState 的结果
+     * @param {number} [semiDiameter=0] - 视半径 (度)，用于判断是否在地平线上
+     * @returns {{ altitude: number, azimuth: number, geometricAltitude: number, aboveHorizon: boolean }}
+     *   altitude 为含折射的视高度，方位角自正北向东量度 (度)
      */
-    eclipticToEquatorial(coords, date) {
-        // 黄赤交角 (平均值，实际需要考虑章动等修正)
-        const obliquity = this.degToRad(23.4367);
+    calculateHorizontalCoords(raDeg, decDeg, distance, observer, semiDiameter = 0) {
+        const phi = this.degToRad(observer.latitudeDeg);
+        const dec = this.degToRad(decDeg);
+        const hourAngle = this.degToRad(observer.localSiderealTime - raDeg);
         
-        const x = coords.x;
-        const y = coords.y * Math.cos(obliquity) - coords.z * Math.sin(obliquity);
-        const z = coords.y * Math.sin(obliquity) + coords.z * Math.cos(obliquity);
+        const sinAlt = Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(hourAngle);
+        const geocentricAltitude = this.radToDeg(Math.asin(Math.max(-1, Math.min(1, sinAlt))));
+        let azimuth = this.radToDeg(Math.atan2(
+            -Math.cos(dec) * Math.sin(hourAngle),
+            Math.sin(dec) * Math.cos(phi) - Math.cos(dec) * Math.cos(hourAngle) * Math.sin(phi)
+        ));
+        if (azimuth < 0) azimuth += 360;
         
-        // 计算赤经赤纬
-        const ra = Math.atan2(y, x);
-        const dec = Math.asin(z / Math.sqrt(x*x + y*y + z*z));
+        // 周日视差使天体看起来更低（月球可达 1°）
+        const parallax = this.calculateHorizontalParallax(distance, observer.radiusKm);
+        const geometricAltitude = geocentricAltitude - this.radToDeg(
+            Math.asin(Math.sin(this.degToRad(parallax)) * Math.cos(this.degToRad(geocentricAltitude)))
+        );
+        // 大气折射只按地球标准大气计算
+        const altitude = geometricAltitude + (observer.body === 'earth' ? this.calculateRefraction(geometricAltitude) : 0);
         
         return {
-            ra: this.radToDeg(ra) / 15, // 转换为小时
-            dec: this.radToDeg(dec)
+            altitude,
+            azimuth,
+            geometricAltitude,
+            aboveHorizon: altitude + semiDiameter > 0
         };
     }
     
     /**
-     * 根据赤经赤纬确定所在星座
+     * 大气折射 (度)，Saemundsson 公式，标准大气
+     * @param {number} altitude - 真高度 (度)
      */
-    getConstellationFromCoords(ra, dec) {
-        // 简化的星座边界判断
-        const raHours = ra;
-        const decDeg = dec;
-        
-        // 黄道十二星座的大致范围
-        const constellationBounds = [
-            { name: '双鱼座', raStart: 0, raEnd: 2, decMin: -5, decMax: 25 },
-            { name: '白羊座', raStart: 2, raEnd: 4, decMin: 0, decMax: 30 },
-            { name: '金牛座', raStart: 4, raEnd: 7, decMin: 5, decMax: 35 },
-            { name: '双子座', raStart: 7, raEnd: 9, decMin: 10, decMax: 35 },
-            { name: '巨蟹座', raStart: 9, raEnd: 10, decMin: 5, decMax: 35 },
-            { name: '狮子座', raStart: 10, raEnd: 12, decMin: 0, decMax: 30 },
-            { name: '处女座', raStart: 12, raEnd: 15, decMin: -15, decMax: 15 },
-            { name: '天秤座', raStart: 15, raEnd: 16, decMin: -25, decMax: 0 },
-            { name: '天蝎座', raStart: 16, raEnd: 18, decMin: -45, decMax: -5 },
-            { name: '射手座', raStart: 18, raEnd: 20, decMin: -45, decMax: -15 },
-            { name: '摩羯座', raStart: 20, raEnd: 22, decMin: -25, decMax: -5 },
-            { name: '水瓶座', raStart: 22, raEnd: 24, decMin: -25, decMax: 5 }
-        ];
+    calculateRefraction(altitude) {
+        if (altitude < -1) return 0;
+        const arcmin = 1.02 / Math.tan(this.degToRad(altitude + 10.3 / (altitude + 5.11)));
+        return arcmin / 60;
+    }
+    
+    /**
+     * 地平视差 (度)
+     * @param {number} distance - 地心距离 (AU)
+     * @param {number} [radiusKm] - 观测平台半径 (千米)，默认为地球
+     */
+    calculateHorizontalParallax(distance, radiusKm = this.lunarTheory.earthRadiusKm) {
+        return this.radToDeg(Math.asin(radiusKm / (distance * this.auKm)));
+    }
+    
+    /**
+     * 计算所选日期（本地时间 0 时起 24 小时）内各天体的升起、中天与落下时刻
+     * "本地时间"指浏览器所在时区，与观测时间的设定和界面显示一致，而不是按观测地经度推算的时区；
+     * 观测地与浏览器相隔较远时，窗口对应观测地的日期可能早一天或晚一天
+     * 视位置取前一天、当天、后一天三个时刻做二次插值（Meeus《天文算法》第15章），
+     * 出没高度计入大气折射、视半径与地平视差
+     * @param {Date} date - 所选日期
+     * @param {{ backend?: 'keplerian'|'vsop87' }} [options]
+     * @returns {Object} 每个天体 { state, rise, transit, set, transitAltitude }；
+     *   state 为 'normal'、'circumpolar'（拱极，全天在地平线上）或 'neverRises'（全天在地平线下）
+     */
+    calculateRiseTransitSet(date, options = {}) {
+        const { backend = this.ephemerisBackend } = options;
+        const dayStart = new Date(date);
+        dayStart.setHours(0, 0, 0, 0);
         
-        for (const constellation of constellationBounds) {
-            let inRA = false;
-            if (constellation.raStart <= constellation.raEnd) {
-                inRA = raHours >= constellation.raStart && raHours <= constellation.raEnd;
-            } else {
-                // 跨越0时的情况
-                inRA = raHours >= constellation.raStart || raHours <= constellation.raEnd;
+        const cacheKey = [
+            dayStart.getTime(),
+            backend,
+            this.observerBody,
+            this.observer.latitudeDeg,
+            this.observer.longitudeDeg,
+            Object.keys(this.planetData).join(',')
+        ].join('|');
+        if (this.riseSetCache?.key === cacheKey) {
+            return this.riseSetCache.result;
+        }
+        
+        const day = 86400000;
+        const samples = [-1, 0, 1].map(offset =>
+            this.calculatePlanetPositions(new Date(dayStart.getTime() + offset * day), { backend })
+        );
+        const frame = this.calculateObserverFrame(dayStart);
+        
+        const result = {};
+        for (const key of Object.keys(samples[1])) {
+            result[key] = this.solveRiseTransitSet(samples.map(sample => sample[key]), dayStart, frame);
+        }
+        
+        this.riseSetCache = { key: cacheKey, result };
+        return result;
+    }
+    
+    /**
+     * 由前一天、当天、后一天同一时刻的视位置求出没时刻
+     * 木星、土星等自转快的平台一天内可能多次出没与中天，这里只报告窗口内的第一次
+     * @param {Object[]} samples - 三个时刻的天体位置
+     * @param {Date} dayStart - 当天起点
+     * @param {{ siderealTime: number, siderealRate: number, radiusKm: number }} frame - 起点时刻观测平台的
+     *   恒星时 (地球为格林尼治视恒星时，度)、其日变化率与平台半径，见 calculateObserverFrame
+     * @returns {{ state: string, rise: Date|null, transit: Date|null, set: Date|null, transitAltitude: number|null }}
+     */
+    solveRiseTransitSet(samples, dayStart, frame) {
+        const { siderealTime, siderealRate, radiusKm } = frame;
+        const { latitudeDeg, longitudeDeg } = this.observer;
+        const phi = this.degToRad(latitudeDeg);
+        const body = samples[1];
+        
+        // 赤经跨越 0h 时展开，保证插值连续
+        const ra = samples.map(sample => sample.apparentCoords.ra * 15);
+        for (let i = 1; i < 3; i++) {
+            while (ra[i] - ra[i - 1] > 180) ra[i] -= 360;
+            while (ra[i] - ra[i - 1] < -180) ra[i] += 360;
+        }
+        const dec = samples.map(sample => sample.apparentCoords.dec);
+        const interpolate = (values, n) => {
+            const a = values[1] - values[0];
+            const b = values[2] - values[1];
+            return values[1] + n / 2 * (a + b + n * (b - a));
+        };
+        
+        // 出没时的几何高度：折射 34′（仅地球）、视半径，月球还需加上地平视差
+        const semiDiameter = Number.isFinite(body.angularDiameter) ? body.angularDiameter / 2 : 0;
+        const refraction = this.observerBody === 'earth' ? 34 / 60 : 0;
+        const standardAltitude = -refraction - semiDiameter
+            + this.calculateHorizontalParallax(body.celestialCoords.distance, radiusKm);
+        
+        const hourAngleAt = (m) => {
+            const theta = siderealTime + siderealRate * m;
+            const H = theta + longitudeDeg - interpolate(ra, m);
+            return ((H + 180) % 360 + 360) % 360 - 180;
+        };
+        const altitudeAt = (m) => {
+            const d = this.degToRad(interpolate(dec, m));
+            const H = this.degToRad(hourAngleAt(m));
+            return this.radToDeg(Math.asin(Math.sin(phi) * Math.sin(d) + Math.cos(phi) * Math.cos(d) * Math.cos(H)));
+        };
+        const bisect = (f, a, b) => {
+            let fa = f(a);
+            for (let i = 0; i < 20; i++) {
+                const mid = (a + b) / 2;
+                const fm = f(mid);
+                if ((fm > 0) === (fa > 0)) {
+                    a = mid;
+                    fa = fm;
+                } else {
+                    b = mid;
+                }
             }
+            return (a + b) / 2;
+        };
+        const toDate = (m) => new Date(dayStart.getTime() + m * 86400000);
+        
+        // 以 10 分钟步长扫描高度与时角的变号，再二分细化（高纬度掠过地平时也能稳定求解）
+        const heightAt = (m) => altitudeAt(m) - standardAltitude;
+        const steps = 144;
+        let rise = null;
+        let set = null;
+        let transit = null;
+        // 逆向自转的平台（金星、天王星）时角随时间减小，上中天为时角由正变负
+        const direction = siderealRate < 0 ? -1 : 1;
+        let previousHeight = heightAt(0);
+        let previousHourAngle = hourAngleAt(0);
+        for (let i = 1; i <= steps; i++) {
+            const m0 = (i - 1) / steps;
+            const m1 = i / steps;
+            const height = heightAt(m1);
+            const hourAngle = hourAngleAt(m1);
             
-            if (inRA && decDeg >= constellation.decMin && decDeg <= constellation.decMax) {
-                return constellation.name;
+            if (rise === null && previousHeight <= 0 && height > 0) {
+                rise = bisect(heightAt, m0, m1);
+            }
+            if (set === null && previousHeight > 0 && height <= 0) {
+                set = bisect(heightAt, m0, m1);
             }
+            // 时角沿自转方向穿过 0° 为上中天；在 ±180° 处跳变的下中天不计
+            const before = direction * previousHourAngle;
+            const after = direction * hourAngle;
+            if (transit === null && before < 0 && after >= 0 && before > -90) {
+                transit = bisect(hourAngleAt, m0, m1);
+            }
+            
+            previousHeight = height;
+            previousHourAngle = hourAngle;
         }
         
-        return '未知星座';
+        let state = 'normal';
+        if (rise === null && set === null) {
+            state = heightAt(0.5) > 0 ? 'circumpolar' : 'neverRises';
+        }
+        
+        return {
+            state,
+            rise: rise === null ? null : toDate(rise),
+            transit: transit === null ? null : toDate(transit),
+            set: set === null ? null : toDate(set),
+            transitAltitude: transit === null ? null : altitudeAt(transit)
+        };
+    }
+    
+    subtractVectors(a, b) {
+        return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+    }
+    
+    vectorLength(v) {
+        return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+    }
+    
+    /**
+     * 根据 J2000 赤经赤纬确定所在星座（IAU 边界）
+     * @param {number} ra - 赤经 (小时)
+     * @param {number} dec - 赤纬 (度)
+     * @returns {string} 星座中文名
+     */
+    getConstellationFromCoords(ra, dec) {
+        return this.identifyConstellation(ra, dec).name;
+    }
+    
+    /**
+     * 根据 J2000 赤经赤纬查找所在星座的完整信息
+     * @param {number} ra - 赤经 (小时)
+     * @param {number} dec - 赤纬 (度)
+     * @returns {{abbreviation: string, name: string, englishName: string, ra1875: number, dec1875: number}}
+     */
+    identifyConstellation(ra, dec) {
+        return this.constellationBoundaries.identify(ra, dec);
     }
     
     /**
-     * 计算视星等
+     * 计算行星相位：相位角、被照亮比例与距日角 (度)
+     * @param {Object} heliocentricCoords - 行星日心坐标 (AU)
+     * @param {Object} geocentricCoords - 行星地心坐标 (AU)
+     * @param {Object} earthPosition - 地球日心坐标 (AU)
      */
-    calculateApparentMagnitude(planetData, heliocentricDistance, geocentricDistance) {
-        // 简化的星等计算
-        const baseMagnitudes = {
-            mercury: -0.6,
-            venus: -4.4,
-            mars: -2.9,
-            jupiter: -2.9,
-            saturn: -0.5
+    calculatePhase(heliocentricCoords, geocentricCoords, earthPosition) {
+        const angleBetween = (a, b) => {
+            const cos = (a.x * b.x + a.y * b.y + a.z * b.z) / (this.vectorLength(a) * this.vectorLength(b));
+            return Math.acos(Math.max(-1, Math.min(1, cos)));
         };
         
-        const baseMag = baseMagnitudes[planetData.name] || 0;
-        // 距离修正
-        const distanceEffect = 5 * Math.log10(heliocentricDistance * geocentricDistance);
+        // 相位角：在行星处看太阳与地球的夹角
+        const phaseAngle = angleBetween(heliocentricCoords, geocentricCoords);
+        // 距日角：在地球处看太阳与行星的夹角
+        const sunCoords = { x: -earthPosition.x, y: -earthPosition.y, z: -earthPosition.z };
         
-        return baseMag + distanceEffect;
+        return {
+            phaseAngle: this.radToDeg(phaseAngle),
+            illuminatedFraction: (1 + Math.cos(phaseAngle)) / 2,
+            elongation: this.radToDeg(angleBetween(sunCoords, geocentricCoords))
+        };
+    }
+    
+    /**
+     * 计算视星等 (Mallama & Hilton 2018)
+     * @param {string} key - 天体标识
+     * @param {Object} heliocentricCoords - 行星日心坐标 (AU)
+     * @param {Object} geocentricCoords - 行星地心坐标 (AU)
+     * @param {number} phaseAngle - 相位角 (度)
+     * @param {Date} date - 观测日期
+     * @returns {number|null} 自定义天体未提供绝对星等时为 null
+     */
+    calculateApparentMagnitude(key, heliocentricCoords, geocentricCoords, phaseAngle, date) {
+        return this.magnitudeModel.calculate(key, {
+            heliocentric: heliocentricCoords,
+            geocentric: geocentricCoords,
+            phaseAngle,
+            julianCenturies: this.getJulianCenturies(date)
+        }, this.planetData[key]);
+    }
+    
+    /**
+     * 添加事件监听器
+     */
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(callback);
+    }
+    
+    /**
+     * 移除事件监听器
+     */
+    off(event, callback) {
+        if (!this.listeners.has(event)) return;
+        
+        const callbacks = this.listeners.get(event);
+        const index = callbacks.indexOf(callback);
+        if (index > -1) {
+            callbacks.splice(index, 1);
+        }
+    }
+    
+    /**
+     * 触发事件
+     */
+    emit(event, data) {
+        if (!this.listeners.has(event)) return;
+        
+        const callbacks = this.listeners.get(event);
+        callbacks.forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error('天文计算器事件回调执行错误:', error);
+            }
+        });
     }
     
     /**
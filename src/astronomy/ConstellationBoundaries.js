@@ -0,0 +1,70 @@
+import BOUNDARY_DATA from '../data/constellation_boundaries.json';
+import { ReferenceFrames } from './ReferenceFrames.js';
+
+// B1875.0 对应的儒略日 (TT)
+const B1875_JULIAN_DATE = 2405889.258550475;
+
+/**
+ * IAU 星座边界
+ * 边界由 Delporte (1930) 沿 B1875.0 赤经赤纬线划定，数据表取自 Roman (1987)：
+ * 先把 J2000 坐标岁差到 B1875.0，再按赤纬下限从北向南查找第一个包含该点的赤经区间
+ */
+export class ConstellationBoundaries {
+    constructor(data = BOUNDARY_DATA) {
+        this.constellations = data.constellations;
+        this.boundaries = data.boundaries;
+
+        // J2000 → B1875 平赤道的岁差矩阵只需计算一次
+        const T = (B1875_JULIAN_DATE - 2451545.0) / 36525;
+        this.precessionMatrix = ReferenceFrames.precessionMatrix(T);
+    }
+
+    /**
+     * 查找指定位置所在的星座
+     * @param {number} raHours - J2000 赤经 (小时)
+     * @param {number} decDeg - J2000 赤纬 (度)
+     * @returns {{abbreviation: string, name: string, englishName: string, ra1875: number, dec1875: number}}
+     *   ra1875 单位为小时，dec1875 单位为度
+     */
+    identify(raHours, decDeg) {
+        if (!Number.isFinite(raHours) || !Number.isFinite(decDeg) || decDeg < -90 || decDeg > 90) {
+            throw new Error(`无效的赤经赤纬：${raHours}, ${decDeg}`);
+        }
+
+        const vector = ReferenceFrames.applyMatrix(
+            this.precessionMatrix,
+            ReferenceFrames.fromSpherical(raHours * 15, decDeg)
+        );
+        const b1875 = ReferenceFrames.toSpherical(vector);
+        const ra1875 = b1875.lon / 15;
+        const dec1875 = b1875.lat;
+
+        for (const [raLow, raHigh, decLow, abbreviation] of this.boundaries) {
+            if (dec1875 >= decLow && ra1875 >= raLow && ra1875 < raHigh) {
+                const constellation = this.constellations[abbreviation];
+                return {
+                    abbreviation,
+                    name: constellation.name,
+                    englishName: constellation.en,
+                    ra1875,
+                    dec1875
+                };
+            }
+        }
+
+        // 表的最后一段覆盖整个南极冠，正常情况下不会到达这里
+        throw new Error(`无法确定所在星座：${raHours}, ${decDeg}`);
+    }
+
+    /**
+     * 获取全部 88 个星座的缩写与名称
+     * @returns {Array<{abbreviation: string, name: string, englishName: string}>}
+     */
+    getConstellations() {
+        return Object.entries(this.constellations).map(([abbreviation, constellation]) => ({
+            abbreviation,
+            name: constellation.name,
+            englishName: constellation.en
+        }));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,821 @@
+import { ReferenceFrames } from './ReferenceFrames.js';
+import { RootFinder } from '../utils/RootFinder.js';
+
+const DAY = 86400000;
+
+// 事件类型与中文名称
+const EVENT_TYPES = {
+    conjunction: '合',
+    starConjunction: '合恒星',
+    opposition: '冲日',
+    superiorConjunction: '上合',
+    inferiorConjunction: '下合',
+    greatestElongationEast: '东大距',
+    greatestElongationWest: '西大距',
+    perihelion: '过近日点',
+    aphelion: '过远日点',
+    solarTerm: '节气',
+    newMoon: '新月',
+    firstQuarter: '上弦',
+    fullMoon: '满月',
+    lastQuarter: '下弦',
+    solarEclipse: '日食',
+    lunarEclipse: '月食',
+    occultation: '月掩星'
+};
+
+// 月相：月球与太阳的视黄经差
+const LUNAR_PHASES = [
+    { type: 'newMoon', title: '新月', angle: 0 },
+    { type: 'firstQuarter', title: '上弦月', angle: 90 },
+    { type: 'fullMoon', title: '满月', angle: 180 },
+    { type: 'lastQuarter', title: '下弦月', angle: 270 }
+];
+
+// 日月食类型的中文名称
+const ECLIPSE_TITLES = {
+    solarEclipse: { total: '日全食', annular: '日环食', hybrid: '全环食', partial: '日偏食' },
+    lunarEclipse: { total: '月全食', partial: '月偏食', penumbral: '半影月食' }
+};
+
+// 地心看月球与目标的角距小于此值 (度) 时才检查月掩星：地平视差最大约 1.02°，加上月球视半径与余量
+const OCCULTATION_CANDIDATE_SEPARATION = 1.6;
+
+// 二十四节气：太阳视黄经每增加 15° 交一个节气，按公历年内的先后排列（小寒在 1 月初，冬至在 12 月下旬）
+const SOLAR_TERMS = [
+    { key: 'xiaohan', name: '小寒', longitude: 285 },
+    { key: 'dahan', name: '大寒', longitude: 300 },
+    { key: 'lichun', name: '立春', longitude: 315 },
+    { key: 'yushui', name: '雨水', longitude: 330 },
+    { key: 'jingzhe', name: '惊蛰', longitude: 345 },
+    { key: 'chunfen', name: '春分', longitude: 0 },
+    { key: 'qingming', name: '清明', longitude: 15 },
+    { key: 'guyu', name: '谷雨', longitude: 30 },
+    { key: 'lixia', name: '立夏', longitude: 45 },
+    { key: 'xiaoman', name: '小满', longitude: 60 },
+    { key: 'mangzhong', name: '芒种', longitude: 75 },
+    { key: 'xiazhi', name: '夏至', longitude: 90 },
+    { key: 'xiaoshu', name: '小暑', longitude: 105 },
+    { key: 'dashu', name: '大暑', longitude: 120 },
+    { key: 'liqiu', name: '立秋', longitude: 135 },
+    { key: 'chushu', name: '处暑', longitude: 150 },
+    { key: 'bailu', name: '白露', longitude: 165 },
+    { key: 'qiufen', name: '秋分', longitude: 180 },
+    { key: 'hanlu', name: '寒露', longitude: 195 },
+    { key: 'shuangjiang', name: '霜降', longitude: 210 },
+    { key: 'lidong', name: '立冬', longitude: 225 },
+    { key: 'xiaoxue', name: '小雪', longitude: 240 },
+    { key: 'daxue', name: '大雪', longitude: 255 },
+    { key: 'dongzhi', name: '冬至', longitude: 270 }
+];
+
+// 分至点的英文键（TimeController.jumpToEvent 的旧接口）
+const SOLAR_TERM_ALIASES = {
+    spring_equinox: 'chunfen',
+    summer_solstice: 'xiazhi',
+    autumn_equinox: 'qiufen',
+    winter_solstice: 'dongzhi'
+};
+
+// 回归年 (天)
+const TROPICAL_YEAR = 365.2422;
+
+// 搜索连续计算超过此时长 (毫秒) 就让出一次主线程，避免长时间冻结界面
+const TIME_SLICE = 30;
+
+/**
+ * 天象事件搜索
+ * 在日期范围内按天采样各天体位置，再对角度差或其变化率求根，得到合、冲、大距与近远日点的时刻：
+ * - 行星之间、行星与亮星的合：J2000 地心黄经相等，且此刻角距不超过给定阈值
+ * - 冲日与上合/下合：视黄经与太阳相差 180° 或 0°；合日时比太阳近的为下合
+ * - 大距：内行星距日角取极大值
+ * - 近日点与远日点：日心距离取极值
+ * - 二十四节气（含分至点）：太阳视黄经（瞬时真春分点）为 15° 的整数倍
+ * - 月相：月球与太阳的视黄经差为 0°、90°、180°、270°；朔望附近再检查日食与月食
+ * - 月掩星：月球与行星或亮星同黄经时，在观测地检查站心角距是否小于月球视半径
+ */
+export class EventSearch {
+    /**
+     * @param {import('./AstronomicalCalculator.js').AstronomicalCalculator} calculator - 天文计算器
+     * @param {Iterable<{name: string, nameZh?: string, ra: number, dec: number}>} [stars] - 参与合恒星搜索的亮星
+     *   (J2000 赤经赤纬，度)；事件标题优先使用中文名
+     */
+    constructor(calculator, stars = []) {
+        this.calculator = calculator;
+        this.setStars(stars);
+    }
+
+    /**
+     * 设置参与合恒星搜索的亮星
+     */
+    setStars(stars) {
+        this.stars = [...stars].map(star => ({
+            name: star.nameZh || star.name,
+            ra: star.ra,
+            dec: star.dec,
+            longitude: this.toEclipticJ2000(star.ra, star.dec).lon
+        }));
+    }
+
+    /**
+     * 获取可搜索的事件类型
+     * @returns {Array<{key: string, name: string}>}
+     */
+    getEventTypes() {
+        return Object.entries(EVENT_TYPES).map(([key, name]) => ({ key, name }));
+    }
+
+    /**
+     * 搜索日期范围内的天象事件
+     * 计算量与日期范围成正比（每年约 0.7 秒），按 TIME_SLICE 分段执行，段间让出主线程
+     * @param {Date} startDate - 起始日期
+     * @param {Date} endDate - 结束日期
+     * @param {Object} [options]
+     * @param {number} [options.maxSeparation=3] - 合的最大角距 (度)
+     * @param {string[]} [options.bodies] - 参与搜索的天体，默认为全部行星（不含太阳与月球）
+     * @param {string[]} [options.types] - 事件类型，默认全部
+     * @returns {Promise<Array<{id: string, type: string, date: Date, bodies: string[], title: string,
+     *   separation?: number, elongation?: number, distance?: number, eclipseType?: string, eclipseMagnitude?: number,
+     *   disappearance?: Date, reappearance?: Date}>>} 按时间排序；
+     *   separation 与 elongation 单位为度，distance 为日心距离 (AU)；日月食带类型与食分，月掩星带掩始与掩终时刻
+     */
+    async search(startDate, endDate, options = {}) {
+        const start = startDate.getTime();
+        const end = endDate.getTime();
+        if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+            throw new Error('事件搜索的日期范围无效');
+        }
+        this.assertGeocentric();
+
+        const {
+            maxSeparation = 3,
+            bodies = Object.keys(this.calculator.planetData),
+            types = Object.keys(EVENT_TYPES)
+        } = options;
+        const wanted = new Set(types);
+        const events = [];
+        const pause = this.createPause();
+
+        const lunarTypes = ['newMoon', 'firstQuarter', 'fullMoon', 'lastQuarter', 'solarEclipse', 'lunarEclipse', 'occultation'];
+        const needsMoon = lunarTypes.some(type => wanted.has(type));
+        const samples = await this.sampleBodies(needsMoon && !bodies.includes('moon') ? [...bodies, 'moon'] : bodies, start, end, pause);
+
+        if (wanted.has('conjunction')) {
+            events.push(...await this.findConjunctions(samples, bodies, maxSeparation, pause));
+        }
+        if (wanted.has('starConjunction')) {
+            events.push(...await this.findStarConjunctions(samples, bodies, maxSeparation, pause));
+        }
+        if (['opposition', 'superiorConjunction', 'inferiorConjunction'].some(type => wanted.has(type))) {
+            await pause();
+            events.push(...this.findSolarEvents(samples, bodies));
+        }
+        if (wanted.has('greatestElongationEast') || wanted.has('greatestElongationWest')) {
+            await pause();
+            events.push(...this.findGreatestElongations(samples, bodies));
+        }
+        if (wanted.has('perihelion') || wanted.has('aphelion')) {
+            const apsisBodies = bodies.filter(key => key in this.calculator.planetData);
+            await pause();
+            events.push(...this.findApsides(['earth', ...apsisBodies], start, end));
+        }
+        if (wanted.has('solarTerm')) {
+            events.push(...await this.findSolarTerms(startDate, endDate, pause));
+        }
+        if (needsMoon) {
+            const phases = await this.findLunarPhases(samples, pause);
+            events.push(...phases);
+            if (wanted.has('solarEclipse') || wanted.has('lunarEclipse')) {
+                events.push(...await this.findEclipses(phases, pause));
+            }
+        }
+        if (wanted.has('occultation')) {
+            events.push(...await this.findOccultations(samples, bodies.filter(key => key !== 'sun' && key !== 'moon'), pause));
+        }
+
+        return events
+            .filter(event => wanted.has(event.type))
+            .sort((a, b) => a.date - b.date);
+    }
+
+    /**
+     * 返回一个异步函数：距上次让出主线程超过 TIME_SLICE 时等待下一轮事件循环，否则立即返回
+     * 各搜索步骤在循环中调用它，让浏览器在长时间搜索中仍能响应输入与绘制；
+     * 让出期间观测平台可能被切换，恢复后重新检查
+     */
+    createPause() {
+        let sliceStart = performance.now();
+        return async () => {
+            if (performance.now() - sliceStart < TIME_SLICE) return;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            this.assertGeocentric();
+            sliceStart = performance.now();
+        };
+    }
+
+    /**
+     * 按天采样太阳与各天体的位置，供各类事件共用
+     * @param {Function} pause - createPause 的结果
+     * @returns {Promise<{ times: number[], positions: Object<string, Object[]> }>}
+     */
+    async sampleBodies(bodies, start, end, pause) {
+        const calculator = this.calculator;
+        const backend = calculator.ephemerisBackend;
+        const keys = ['sun', ...bodies.filter(key => key !== 'sun')];
+        const times = [];
+        const positions = Object.fromEntries(keys.map(key => [key, []]));
+
+        for (let time = start; ; time = Math.min(time + DAY, end)) {
+            const date = new Date(time);
+            const observer = calculator.calculateObserverState(date, backend);
+            for (const key of keys) {
+                const position = key === 'sun'
+                    ? calculator.calculateSunPosition(date, backend, observer)
+                    : key === 'moon'
+                        ? calculator.calculateMoonPosition(date, backend, observer)
+                        : calculator.calculatePlanetPosition(key, date, backend, observer);
+                positions[key].push(position);
+            }
+            times.push(time);
+            if (time >= end) break;
+            await pause();
+        }
+
+        return { times, positions };
+    }
+
+    /**
+     * 天体之间的合（J2000 地心黄经相等）
+     */
+    async findConjunctions(samples, bodies, maxSeparation, pause) {
+        const events = [];
+        for (let i = 0; i < bodies.length; i++) {
+            for (let j = i + 1; j < bodies.length; j++) {
+                await pause();
+                const a = bodies[i];
+                const b = bodies[j];
+                const values = samples.times.map((time, index) => RootFinder.wrapAngle(
+                    this.getLongitudeJ2000(samples.positions[a][index]) - this.getLongitudeJ2000(samples.positions[b][index])
+                ));
+                const f = (time) => RootFinder.wrapAngle(
+                    this.getLongitudeJ2000(this.calculator.calculateBodyPosition(a, new Date(time)))
+                    - this.getLongitudeJ2000(this.calculator.calculateBodyPosition(b, new Date(time)))
+                );
+
+                for (const root of RootFinder.findRootsInSamples(f, samples.times, values, 60000, 180)) {
+                    const date = new Date(root.x);
+                    const first = this.calculator.calculateBodyPosition(a, date).astrometricCoords;
+                    const second = this.calculator.calculateBodyPosition(b, date).astrometricCoords;
+                    const separation = this.calculator.angularSeparation(first.ra * 15, first.dec, second.ra * 15, second.dec);
+                    if (separation > maxSeparation) continue;
+                    events.push(this.createEvent('conjunction', date, [a, b],
+                        `${this.getBodyName(a)}合${this.getBodyName(b)}`, { separation }));
+                }
+            }
+        }
+        return events;
+    }
+
+    /**
+     * 天体与亮星的合（亮星位置视为固定的 J2000 坐标）
+     */
+    async findStarConjunctions(samples, bodies, maxSeparation, pause) {
+        const events = [];
+        for (const key of bodies) {
+            const longitudes = samples.positions[key].map(position => this.getLongitudeJ2000(position));
+            for (const star of this.stars) {
+                await pause();
+                const values = longitudes.map(longitude => RootFinder.wrapAngle(longitude - star.longitude));
+                const f = (time) => RootFinder.wrapAngle(
+                    this.getLongitudeJ2000(this.calculator.calculateBodyPosition(key, new Date(time))) - star.longitude
+                );
+
+                for (const root of RootFinder.findRootsInSamples(f, samples.times, values, 60000, 180)) {
+                    const date = new Date(root.x);
+                    const coords = this.calculator.calculateBodyPosition(key, date).astrometricCoords;
+                    const separation = this.calculator.angularSeparation(coords.ra * 15, coords.dec, star.ra, star.dec);
+                    if (separation > maxSeparation) continue;
+                    events.push(this.createEvent('starConjunction', date, [key],
+                        `${this.getBodyName(key)}合${star.name}`, { separation, star: star.name }));
+                }
+            }
+        }
+        return events;
+    }
+
+    /**
+     * 行星与太阳的合与冲（当前坐标历元的视黄经）
+     * 外行星的合总在太阳背后，记为上合；内行星按与太阳的远近区分上合、下合，且不会出现冲
+     */
+    findSolarEvents(samples, bodies) {
+        const events = [];
+        const sun = samples.positions.sun;
+        for (const key of bodies) {
+            if (key === 'sun' || key === 'moon') continue;
+            const positions = samples.positions[key];
+
+            for (const offset of [0, 180]) {
+                const values = positions.map((position, index) => RootFinder.wrapAngle(
+                    position.eclipticCoords.longitude - sun[index].eclipticCoords.longitude - offset
+                ));
+                const f = (time) => {
+                    const date = new Date(time);
+                    return RootFinder.wrapAngle(
+                        this.calculator.calculateBodyPosition(key, date).eclipticCoords.longitude
+                        - this.calculator.calculateSunPosition(date).eclipticCoords.longitude - offset
+                    );
+                };
+
+                for (const root of RootFinder.findRootsInSamples(f, samples.times, values, 60000, 180)) {
+                    const date = new Date(root.x);
+                    const planet = this.calculator.calculateBodyPosition(key, date);
+                    const name = this.getBodyName(key);
+                    if (offset === 180) {
+                        events.push(this.createEvent('opposition', date, [key, 'sun'], `${name}冲日`,
+                            { elongation: planet.phase.elongation }));
+                        continue;
+                    }
+                    const sunDistance = this.calculator.calculateSunPosition(date).celestialCoords.distance;
+                    const inferior = planet.celestialCoords.distance < sunDistance;
+                    const isInner = this.isInnerBody(key, date);
+                    events.push(this.createEvent(
+                        inferior ? 'inferiorConjunction' : 'superiorConjunction',
+                        date,
+                        [key, 'sun'],
+                        isInner ? `${name}${inferior ? '下合' : '上合'}` : `${name}合日`,
+                        { elongation: planet.phase.elongation }
+                    ));
+                }
+            }
+        }
+        return events;
+    }
+
+    /**
+     * 内行星的东、西大距（距日角的极大值）
+     * 大距时行星在太阳以东为东大距（昏星），以西为西大距（晨星）
+     */
+    findGreatestElongations(samples, bodies) {
+        const events = [];
+        const { times } = samples;
+        for (const key of bodies) {
+            if (key === 'sun' || key === 'moon' || !this.isInnerBody(key, new Date(times[0]))) continue;
+            const elongations = samples.positions[key].map(position => position.phase.elongation);
+
+            // 变化率取相邻采样之差，定义在采样区间的中点
+            const midTimes = times.slice(1).map((time, index) => (time + times[index]) / 2);
+            const rates = midTimes.map((time, index) =>
+                (elongations[index + 1] - elongations[index]) / ((times[index + 1] - times[index]) / DAY));
+            const rate = (time) =>
+                this.calculator.calculateBodyPosition(key, new Date(time + DAY / 2)).phase.elongation
+                - this.calculator.calculateBodyPosition(key, new Date(time - DAY / 2)).phase.elongation;
+
+            for (const root of RootFinder.findRootsInSamples(rate, midTimes, rates, 60000)) {
+                // 由增转减为极大值，另一类根是合日附近的极小值
+                if (root.direction !== -1) continue;
+                const date = new Date(root.x);
+                const planet = this.calculator.calculateBodyPosition(key, date);
+                const sun = this.calculator.calculateSunPosition(date);
+                const east = RootFinder.wrapAngle(planet.eclipticCoords.longitude - sun.eclipticCoords.longitude) > 0;
+                events.push(this.createEvent(
+                    east ? 'greatestElongationEast' : 'greatestElongationWest',
+                    date,
+                    [key],
+                    `${this.getBodyName(key)}${east ? '东大距' : '西大距'}`,
+                    { elongation: planet.phase.elongation }
+                ));
+            }
+        }
+        return events;
+    }
+
+    /**
+     * 近日点与远日点（日心距离的极值）
+     * 采样步长取轨道周期的 1/36，只需日心位置，长周期天体的计算量很小
+     * @param {string[]} bodies - 天体标识，可含 'earth'
+     */
+    findApsides(bodies, start, end) {
+        const calculator = this.calculator;
+        const events = [];
+        for (const key of bodies) {
+            const semiMajorAxis = calculator.getOrbitalElements(key, calculator.getJulianCenturies(new Date(start))).semiMajorAxis;
+            const step = Math.max(1, 365.25 * Math.pow(semiMajorAxis, 1.5) / 36) * DAY;
+            const distance = (time) => calculator.calculateHeliocentricPosition(key, new Date(time)).orbitInfo.heliocentricDistance;
+            const rate = (time) => distance(time + DAY / 2) - distance(time - DAY / 2);
+
+            for (const root of RootFinder.findRoots(rate, start, end, step, 60000)) {
+                const date = new Date(root.x);
+                const perihelion = root.direction === 1;
+                events.push(this.createEvent(
+                    perihelion ? 'perihelion' : 'aphelion',
+                    date,
+                    [key],
+                    `${this.getBodyName(key)}${perihelion ? '过近日点' : '过远日点'}`,
+                    { distance: distance(root.x) }
+                ));
+            }
+        }
+        return events;
+    }
+
+    /**
+     * 获取二十四节气列表
+     * @returns {Array<{key: string, name: string, longitude: number}>} 按公历年内先后排列，longitude 为太阳视黄经 (度)
+     */
+    getSolarTerms() {
+        return SOLAR_TERMS.map(term => ({ ...term }));
+    }
+
+    /**
+     * 按标识查找节气
+     * @param {string} key - 节气标识，或分至点的英文键
+     * @returns {{key: string, name: string, longitude: number}|null}
+     */
+    getSolarTerm(key) {
+        const term = SOLAR_TERMS.find(item => item.key === (SOLAR_TERM_ALIASES[key] || key));
+        return term ? { ...term } : null;
+    }
+
+    /**
+     * 事件定义（合、冲、节气、交食）都以地心为准，在其他行星上观测时拒绝搜索
+     */
+    assertGeocentric() {
+        if (this.calculator.observerBody !== 'earth') {
+            throw new Error('天象事件按地心计算，请切换回地球观测');
+        }
+    }
+
+    /**
+     * 计算指定年份某个节气的交节时刻
+     * 以平太阳运动估计日期，再在前后 4 天内对太阳视黄经求根；
+     * VSOP87 后端误差在 1 分钟以内，开普勒后端以地月质心代替地球，误差可达 10 分钟
+     * @param {string} key - 节气标识，如 'lichun'，也接受 'spring_equinox' 等分至点的英文键
+     * @param {number} year - 公历年
+     * @returns {Object} 事件对象，结构同 search 的结果，另含 term 字段
+     */
+    findSolarTerm(key, year) {
+        const term = this.getSolarTerm(key);
+        if (!term) {
+            throw new Error(`未知的节气：${key}`);
+        }
+        if (!Number.isInteger(year)) {
+            throw new Error(`无效的年份：${year}`);
+        }
+        this.assertGeocentric();
+
+        // 小寒约在 1 月 5 日，其后每个节气约晚 1/24 个回归年
+        const estimate = Date.UTC(year, 0, 5) + ((term.longitude - 285 + 360) % 360) / 360 * TROPICAL_YEAR * DAY;
+        const f = (time) => RootFinder.wrapAngle(this.getApparentSolarLongitude(new Date(time)) - term.longitude);
+        const a = estimate - 4 * DAY;
+        const b = estimate + 4 * DAY;
+        const date = new Date(RootFinder.regulaFalsi(f, a, b, 1000));
+
+        return {
+            ...this.createEvent('solarTerm', date, ['sun'], term.name),
+            term: term.key
+        };
+    }
+
+    /**
+     * 日期范围内的全部节气
+     */
+    async findSolarTerms(startDate, endDate, pause) {
+        const events = [];
+        for (let year = startDate.getUTCFullYear(); year <= endDate.getUTCFullYear(); year++) {
+            for (const term of SOLAR_TERMS) {
+                await pause();
+                const event = this.findSolarTerm(term.key, year);
+                if (event.date >= startDate && event.date <= endDate) {
+                    events.push(event);
+                }
+            }
+        }
+        return events;
+    }
+
+    /**
+     * 太阳视黄经 (度)：含章动与光行差，相对瞬时真春分点，与当前坐标历元的设置无关
+     */
+    getApparentSolarLongitude(date) {
+        return this.getApparentLongitude(this.calculator.calculateSunPosition(date), date);
+    }
+
+    /**
+     * 位置对象的视黄经 (度)，由瞬时真赤道视位置换算到真黄道
+     */
+    getApparentLongitude(position, date) {
+        const { ra, dec } = position.apparentCoords;
+        const T = this.calculator.getJulianCenturies(date);
+        return ReferenceFrames.toSpherical(ReferenceFrames.equatorialToEcliptic(
+            ReferenceFrames.fromSpherical(ra * 15, dec),
+            ReferenceFrames.obliquity(T, 'date')
+        )).lon;
+    }
+
+    /**
+     * 月相：新月、上弦、满月、下弦
+     */
+    async findLunarPhases(samples, pause) {
+        const events = [];
+        const { times, positions } = samples;
+        for (const phase of LUNAR_PHASES) {
+            await pause();
+            const values = times.map((time, index) => RootFinder.wrapAngle(
+                this.getApparentLongitude(positions.moon[index], new Date(time))
+                - this.getApparentLongitude(positions.sun[index], new Date(time)) - phase.angle
+            ));
+            const f = (time) => {
+                const date = new Date(time);
+                const observer = this.calculator.calculateObserverState(date);
+                return RootFinder.wrapAngle(
+                    this.getApparentLongitude(this.calculator.calculateMoonPosition(date, undefined, observer), date)
+                    - this.getApparentLongitude(this.calculator.calculateSunPosition(date, undefined, observer), date)
+                    - phase.angle
+                );
+            };
+
+            for (const root of RootFinder.findRootsInSamples(f, times, values, 1000, 180)) {
+                events.push(this.createEvent(phase.type, new Date(root.x), ['moon'], phase.title));
+            }
+        }
+        return events;
+    }
+
+    /**
+     * 检查新月与满月附近的日食与月食
+     * 食甚取日月（或月球与地影）中心距离最小的时刻，在朔望前后 4 小时内求根
+     * @param {Array} phases - findLunarPhases 的结果
+     */
+    async findEclipses(phases, pause) {
+        const events = [];
+        const window = 4 * 3600000;
+        for (const phase of phases) {
+            await pause();
+            const time = phase.date.getTime();
+            if (phase.type === 'fullMoon') {
+                const separation = (t) => this.calculator.calculateEarthShadow(new Date(t)).moonSeparation;
+                const greatest = this.findMinimum(separation, time - window, time + window, time);
+                const shadow = this.calculator.calculateEarthShadow(new Date(greatest));
+                if (shadow.penumbralMagnitude <= 0) continue;
+                const eclipseType = shadow.umbralMagnitude >= 1 ? 'total'
+                    : shadow.umbralMagnitude > 0 ? 'partial' : 'penumbral';
+                events.push(this.createEvent('lunarEclipse', new Date(greatest), ['moon', 'sun'],
+                    ECLIPSE_TITLES.lunarEclipse[eclipseType], {
+                        eclipseType,
+                        eclipseMagnitude: eclipseType === 'penumbral' ? shadow.penumbralMagnitude : shadow.umbralMagnitude,
+                        umbralMagnitude: shadow.umbralMagnitude,
+                        penumbralMagnitude: shadow.penumbralMagnitude
+                    }));
+            } else if (phase.type === 'newMoon') {
+                const gamma = (t) => this.calculateSolarEclipseGeometry(new Date(t)).gamma;
+                const greatest = this.findMinimum(gamma, time - window, time + window, time);
+                const eclipse = this.classifySolarEclipse(this.calculateSolarEclipseGeometry(new Date(greatest)));
+                if (!eclipse) continue;
+                events.push(this.createEvent('solarEclipse', new Date(greatest), ['sun', 'moon'],
+                    ECLIPSE_TITLES.solarEclipse[eclipse.eclipseType], eclipse));
+            }
+        }
+        return events;
+    }
+
+    /**
+     * 日食的基本几何（地心，以地球赤道半径为单位）
+     * 影锥轴为太阳→月球方向，基本面过地心且垂直于轴：
+     * gamma 为地心到轴的距离，penumbraRadius 与 umbraRadius 为基本面上半影与本影的半径（本影为负表示到不了基本面，即环食）
+     * @returns {{ gamma: number, penumbraRadius: number, umbraRadius: number, moonDistance: number, sunMoonDistance: number }}
+     *   后两项为月球到基本面、日月之间沿轴的距离 (千米)
+     */
+    calculateSolarEclipseGeometry(date) {
+        const calculator = this.calculator;
+        const observer = calculator.calculateObserverState(date);
+        const toVector = (position) => ReferenceFrames.fromSpherical(
+            position.astrometricCoords.ra * 15,
+            position.astrometricCoords.dec,
+            position.celestialCoords.distance * calculator.auKm
+        );
+        const sun = toVector(calculator.calculateSunPosition(date, undefined, observer));
+        const moon = toVector(calculator.calculateMoonPosition(date, undefined, observer));
+
+        const sunMoon = calculator.subtractVectors(moon, sun);
+        const sunMoonDistance = calculator.vectorLength(sunMoon);
+        const axis = { x: sunMoon.x / sunMoonDistance, y: sunMoon.y / sunMoonDistance, z: sunMoon.z / sunMoonDistance };
+        // 月球沿轴到基本面的距离，及地心到轴的垂距
+        const moonDistance = -(moon.x * axis.x + moon.y * axis.y + moon.z * axis.z);
+        const gamma = calculator.vectorLength({
+            x: moon.x + axis.x * moonDistance,
+            y: moon.y + axis.y * moonDistance,
+            z: moon.z + axis.z * moonDistance
+        });
+
+        const sunRadius = calculator.sunData.radiusKm;
+        const moonRadius = calculator.moonData.radiusKm;
+        const earthRadius = calculator.earthRadiusKm;
+        return {
+            gamma: gamma / earthRadius,
+            penumbraRadius: (moonRadius + moonDistance * (sunRadius + moonRadius) / sunMoonDistance) / earthRadius,
+            umbraRadius: (moonRadius - moonDistance * (sunRadius - moonRadius) / sunMoonDistance) / earthRadius,
+            moonDistance,
+            sunMoonDistance
+        };
+    }
+
+    /**
+     * 日食分类与食分
+     * 轴穿过地球为中心食：基本面上本影半径为正是全食；为负但本影能到达离月球最近的地面点为全环食；否则为环食。
+     * 轴不穿过地球但本影或伪本影触及地球边缘为非中心全食/环食；只有半影触及为偏食，食分取地球边缘处的值
+     * @returns {{ eclipseType: string, eclipseMagnitude: number, gamma: number }|null} 没有日食时为 null
+     */
+    classifySolarEclipse(geometry) {
+        const { gamma, penumbraRadius, umbraRadius, moonDistance, sunMoonDistance } = geometry;
+        if (gamma >= 1 + penumbraRadius) return null;
+
+        const calculator = this.calculator;
+        const earthRadius = calculator.earthRadiusKm;
+        if (gamma < 1 + Math.abs(umbraRadius)) {
+            // 离月球最近的地面点（非中心食取地球边缘）沿轴的距离
+            const surfaceDistance = moonDistance - earthRadius * Math.sqrt(Math.max(0, 1 - gamma * gamma));
+            const surfaceUmbra = calculator.moonData.radiusKm
+                - surfaceDistance * (calculator.sunData.radiusKm - calculator.moonData.radiusKm) / sunMoonDistance;
+            const eclipseType = umbraRadius > 0 ? 'total'
+                : gamma < 1 && surfaceUmbra > 0 ? 'hybrid' : 'annular';
+            // 食分为该点看到的月日视直径之比
+            const eclipseMagnitude = (calculator.moonData.radiusKm / surfaceDistance)
+                / (calculator.sunData.radiusKm / (sunMoonDistance + surfaceDistance));
+            return { eclipseType, eclipseMagnitude, gamma };
+        }
+
+        return {
+            eclipseType: 'partial',
+            eclipseMagnitude: (1 + penumbraRadius - gamma) / (penumbraRadius - umbraRadius),
+            gamma
+        };
+    }
+
+    /**
+     * 月掩星：月球与行星、亮星同黄经时，在观测地检查站心角距
+     * 掩始、掩终为站心角距等于月球站心视半径的时刻，event.date 取两者的中点
+     */
+    async findOccultations(samples, bodies, pause) {
+        const events = [];
+        const { times, positions } = samples;
+        const moonLongitudes = positions.moon.map(position => this.getLongitudeJ2000(position));
+        const targets = [
+            ...bodies.map(key => ({ key, name: this.getBodyName(key), longitudes: positions[key].map(p => this.getLongitudeJ2000(p)) })),
+            ...this.stars.map(star => ({ star, name: star.name }))
+        ];
+        const moonAt = (time) => this.getLongitudeJ2000(this.calculator.calculateMoonPosition(new Date(time)));
+
+        for (const target of targets) {
+            const values = moonLongitudes.map((longitude, index) => RootFinder.wrapAngle(
+                longitude - (target.star ? target.star.longitude : target.longitudes[index])
+            ));
+            const f = target.star
+                ? (time) => RootFinder.wrapAngle(moonAt(time) - target.star.longitude)
+                : (time) => RootFinder.wrapAngle(moonAt(time)
+                    - this.getLongitudeJ2000(this.calculator.calculateBodyPosition(target.key, new Date(time))));
+
+            for (const root of RootFinder.findRootsInSamples(f, times, values, 600000, 180)) {
+                await pause();
+                if (this.calculateOccultationGeometry(root.x, target).geocentricSeparation > OCCULTATION_CANDIDATE_SEPARATION) continue;
+
+                // 站心视差最多使掩星时刻偏离同黄经时刻约 2 小时
+                const margin = (t) => {
+                    const geometry = this.calculateOccultationGeometry(t, target);
+                    return geometry.separation - geometry.moonRadius;
+                };
+                const contacts = RootFinder.findRoots(margin, root.x - 4 * 3600000, root.x + 4 * 3600000, 300000, 1000);
+                const disappearance = contacts.find(contact => contact.direction === -1);
+                const reappearance = contacts.find(contact => contact.direction === 1);
+                if (!disappearance || !reappearance) continue;
+
+                const date = new Date((disappearance.x + reappearance.x) / 2);
+                const aboveHorizon = this.calculator.calculateMoonPosition(date).horizontalCoords.altitude > 0;
+                events.push(this.createEvent('occultation', date, target.star ? ['moon'] : ['moon', target.key],
+                    `月掩${target.name}${aboveHorizon ? '' : '（地平线下）'}`, {
+                        star: target.star?.name,
+                        disappearance: new Date(disappearance.x),
+                        reappearance: new Date(reappearance.x),
+                        aboveHorizon
+                    }));
+            }
+        }
+        return events;
+    }
+
+    /**
+     * 观测地看月球与目标的站心角距与月球站心视半径 (度)，以及地心角距
+     * @param {number} time - 时间戳
+     * @param {{ key?: string, star?: Object }} target - 行星标识或亮星
+     */
+    calculateOccultationGeometry(time, target) {
+        const calculator = this.calculator;
+        const date = new Date(time);
+        const observer = calculator.calculateObserverState(date);
+        // 瞬时真赤道坐标 (千米)
+        const toVector = (position) => ReferenceFrames.fromSpherical(
+            position.apparentCoords.ra * 15,
+            position.apparentCoords.dec,
+            position.celestialCoords.distance * calculator.auKm
+        );
+        const moon = toVector(calculator.calculateMoonPosition(date, undefined, observer));
+        const targetVector = target.star
+            ? ReferenceFrames.applyMatrix(observer.trueOfDateMatrix, ReferenceFrames.fromSpherical(target.star.ra, target.star.dec))
+            : toVector(calculator.calculatePlanetPosition(target.key, date, undefined, observer));
+
+        const site = this.getObserverVector(observer);
+        const topocentricMoon = calculator.subtractVectors(moon, site);
+        // 恒星视差可以忽略
+        const topocentricTarget = target.star ? targetVector : calculator.subtractVectors(targetVector, site);
+        const moonDistance = calculator.vectorLength(topocentricMoon);
+
+        return {
+            separation: this.angleBetween(topocentricMoon, topocentricTarget),
+            geocentricSeparation: this.angleBetween(moon, targetVector),
+            moonRadius: calculator.radToDeg(Math.asin(calculator.moonData.radiusKm / moonDistance))
+        };
+    }
+
+    /**
+     * 观测地相对地心的位置矢量（瞬时真赤道，千米），按 WGS84 扁率把大地纬度换算为地心纬度
+     */
+    getObserverVector(observer) {
+        const axisRatio = 0.99664719;
+        const latitude = this.calculator.degToRad(observer.latitudeDeg);
+        const u = Math.atan(axisRatio * Math.tan(latitude));
+        const siderealTime = this.calculator.degToRad(observer.localSiderealTime);
+        const radius = this.calculator.earthRadiusKm;
+        return {
+            x: radius * Math.cos(u) * Math.cos(siderealTime),
+            y: radius * Math.cos(u) * Math.sin(siderealTime),
+            z: radius * axisRatio * Math.sin(u)
+        };
+    }
+
+    /**
+     * 两矢量的夹角 (度)
+     */
+    angleBetween(a, b) {
+        const cos = (a.x * b.x + a.y * b.y + a.z * b.z) / (this.calculator.vectorLength(a) * this.calculator.vectorLength(b));
+        return this.calculator.radToDeg(Math.acos(Math.max(-1, Math.min(1, cos))));
+    }
+
+    /**
+     * 在区间内求函数的极小值点：对中心差分求根，导数不变号时返回初值
+     */
+    findMinimum(f, start, end, initial) {
+        const h = 60000;
+        const slope = (t) => f(t + h) - f(t - h);
+        const a = slope(start);
+        const b = slope(end);
+        if (!(a < 0 && b > 0)) return initial;
+        return RootFinder.regulaFalsi(slope, start, end, 1000, a, b);
+    }
+
+    /**
+     * 构造事件对象，id 由类型、天体与时刻组成，可用于在事件列表中定位
+     */
+    createEvent(type, date, bodies, title, details = {}) {
+        return {
+            id: `${type}:${bodies.join('-')}${details.star ? '-' + details.star : ''}:${date.getTime()}`,
+            type,
+            typeName: EVENT_TYPES[type],
+            date,
+            bodies,
+            title,
+            ...details
+        };
+    }
+
+    /**
+     * 轨道在地球轨道以内的天体（有上合、下合与大距，没有冲）
+     */
+    isInnerBody(key, date) {
+        if (!(key in this.calculator.planetData)) return false;
+        return this.calculator.getOrbitalElements(key, this.calculator.getJulianCenturies(date)).semiMajorAxis < 1;
+    }
+
+    getBodyName(key) {
+        if (key === 'earth') return '地球';
+        if (key === 'sun') return this.calculator.sunData.name;
+        if (key === 'moon') return this.calculator.moonData.name;
+        return this.calculator.planetData[key]?.name || key;
+    }
+
+    /**
+     * 位置对象的 J2000 地心黄经 (度)
+     */
+    getLongitudeJ2000(position) {
+        const { ra, dec } = position.astrometricCoords;
+        return this.toEclipticJ2000(ra * 15, dec).lon;
+    }
+
+    /**
+     * J2000 赤经赤纬 (度) → J2000 黄经黄纬
+     */
+    toEclipticJ2000(raDeg, decDeg) {
+        return ReferenceFrames.toSpherical(ReferenceFrames.equatorialToEcliptic(
+            ReferenceFrames.fromSpherical(raDeg, decDeg),
+            ReferenceFrames.J2000_OBLIQUITY
+        ));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,251 @@
+import { ReferenceFrames } from './ReferenceFrames.js';
+
+/**
+ * 托勒密《至大论》行星参数
+ * 来源：G.J. Toomer, "Ptolemy's Almagest" (1984)；均轮半径 R = 60，其余长度同单位
+ * 历元为纳波纳萨尔纪元（前 747 年 2 月 26 日亚历山大港正午），角度与日运动以六十进制给出
+ *
+ * 字段含义：
+ *   eccentricity    偏心距 e（地球到均轮中心；对点在 2e 处，水星在 e 处）
+ *   epicycleRadius  本轮半径 r
+ *   apogee          均轮远地点黄经 (度)，随恒星天每 100 埃及年东移 1°
+ *   meanLongitude   本轮中心平黄经 λ̄ (度)；金星、水星与平太阳相同
+ *   meanAnomaly     本轮上的平近点角 α (度)，自对点—本轮中心连线量起
+ *   longitudeMotion 平黄经日运动 (六十进制度)
+ *   anomalyMotion   平近点角日运动 (六十进制度)
+ *   inner           内行星：本轮中心即平太阳方向，本轮对应行星绕日轨道
+ *   crank           水星：均轮中心绕距地球 2e 的点反向转动
+ */
+export const PTOLEMAIC_PARAMETERS = {
+    mercury: {
+        eccentricity: [3, 0],
+        epicycleRadius: [22, 30],
+        apogee: [181, 10],
+        meanLongitude: [330, 45],
+        meanAnomaly: [21, 55],
+        longitudeMotion: [0, 59, 8, 17, 13, 12, 31],
+        anomalyMotion: [3, 6, 24, 6, 59, 35, 50],
+        inner: true,
+        crank: true
+    },
+    venus: {
+        eccentricity: [1, 15],
+        epicycleRadius: [43, 10],
+        apogee: [46, 10],
+        meanLongitude: [330, 45],
+        meanAnomaly: [71, 7],
+        longitudeMotion: [0, 59, 8, 17, 13, 12, 31],
+        anomalyMotion: [0, 36, 59, 25, 53, 11, 28],
+        inner: true
+    },
+    mars: {
+        eccentricity: [6, 0],
+        epicycleRadius: [39, 30],
+        apogee: [106, 40],
+        meanLongitude: [3, 32],
+        meanAnomaly: [327, 13],
+        longitudeMotion: [0, 31, 26, 36, 53, 51, 33],
+        anomalyMotion: [0, 27, 41, 40, 19, 20, 58]
+    },
+    jupiter: {
+        eccentricity: [2, 45],
+        epicycleRadius: [11, 30],
+        apogee: [152, 9],
+        meanLongitude: [184, 41],
+        meanAnomaly: [146, 4],
+        longitudeMotion: [0, 4, 59, 14, 26, 46, 31],
+        anomalyMotion: [0, 54, 9, 2, 46, 26, 0]
+    },
+    saturn: {
+        eccentricity: [3, 25],
+        epicycleRadius: [6, 30],
+        apogee: [224, 10],
+        meanLongitude: [296, 43],
+        meanAnomaly: [34, 2],
+        longitudeMotion: [0, 2, 0, 33, 31, 28, 51],
+        anomalyMotion: [0, 57, 7, 43, 41, 43, 40]
+    }
+};
+
+// 纳波纳萨尔纪元的儒略日 (亚历山大港正午，约 UT 10 时)
+export const NABONASSAR_EPOCH_JD = 1448637.92;
+
+// 托勒密岁差：每 100 埃及年 (36500 天) 1°
+const PTOLEMAIC_PRECESSION = 1 / 36500;
+
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * 六十进制 → 十进制，如 [0, 59, 8] 表示 0;59,8
+ */
+function fromSexagesimal(digits) {
+    return digits.reduce((sum, digit, index) => sum + digit / Math.pow(60, index), 0);
+}
+
+/**
+ * 瞬时黄道上的地心黄经黄纬 → J2000 地心黄道直角坐标，便于与星历模型共用投影流程
+ */
+function ofDateToJ2000(longitude, latitude, distance, T) {
+    const equatorial = ReferenceFrames.eclipticToEquatorial(
+        ReferenceFrames.fromSpherical(longitude, latitude, distance),
+        ReferenceFrames.obliquity(T, 'date')
+    );
+    return ReferenceFrames.equatorialToEcliptic(
+        ReferenceFrames.applyMatrix(ReferenceFrames.transpose(ReferenceFrames.frameMatrix(T, 'date')), equatorial),
+        ReferenceFrames.J2000_OBLIQUITY
+    );
+}
+
+/**
+ * 托勒密本轮—均轮模型
+ * 偏心均轮加对点（equant）：本轮中心在均轮上运动，但绕对点匀角速转动；行星在本轮上匀速转动
+ * 外行星的本轮半径始终平行于平太阳方向，金星、水星的本轮中心即平太阳方向
+ *
+ * 只实现黄经理论，黄纬取 0；黄经是托勒密自己的回归黄经，
+ * 他的回归年偏长约 6 分钟，误差随年代累积（托勒密时代约 1°，水星可达 5°；今天偏 5°–15°）
+ * 距离按本轮与地球轨道的对应关系换算为 AU：外行星 1/r AU，内行星 1/60 AU 每单位
+ */
+export class PtolemaicModel {
+    constructor(parameters = PTOLEMAIC_PARAMETERS) {
+        this.key = 'ptolemaic';
+        this.name = '托勒密本轮-均轮';
+        this.color = '#FF9F43';
+        this.parameters = {};
+        for (const [key, planet] of Object.entries(parameters)) {
+            this.parameters[key] = {
+                eccentricity: fromSexagesimal(planet.eccentricity),
+                epicycleRadius: fromSexagesimal(planet.epicycleRadius),
+                apogee: fromSexagesimal(planet.apogee),
+                meanLongitude: fromSexagesimal(planet.meanLongitude),
+                meanAnomaly: fromSexagesimal(planet.meanAnomaly),
+                longitudeMotion: fromSexagesimal(planet.longitudeMotion),
+                anomalyMotion: fromSexagesimal(planet.anomalyMotion),
+                inner: Boolean(planet.inner),
+                crank: Boolean(planet.crank)
+            };
+        }
+    }
+
+    /**
+     * 是否有该行星的参数（托勒密只知道五大行星）
+     */
+    supports(key) {
+        return Object.prototype.hasOwnProperty.call(this.parameters, key);
+    }
+
+    /**
+     * 计算托勒密模型给出的地心黄经与距离
+     * @param {string} key - 行星标识
+     * @param {Date} date - 观测日期
+     * @returns {{ longitude: number, latitude: number, distance: number }} 黄经 (度)、黄纬 (恒为 0)、距离 (AU)
+     */
+    calculateEcliptic(key, date) {
+        const planet = this.parameters[key];
+        if (!planet) {
+            throw new Error(`托勒密模型不包含该天体：${key}`);
+        }
+
+        const days = ReferenceFrames.toJulianDate(date) - NABONASSAR_EPOCH_JD;
+        const apogee = planet.apogee + days * PTOLEMAIC_PRECESSION;
+        const meanLongitude = planet.meanLongitude + days * planet.longitudeMotion;
+        const meanAnomaly = planet.meanAnomaly + days * planet.anomalyMotion;
+        const { eccentricity: e, epicycleRadius: r } = planet;
+
+        // 以地球为原点、远地点方向为 x 轴的平面坐标
+        const kappa = (meanLongitude - apogee) * DEG_TO_RAD;
+        const equantDistance = planet.crank ? e : 2 * e;
+        let centerX = e;
+        let centerY = 0;
+        if (planet.crank) {
+            // 水星的均轮中心在半径 e 的小圆上，与本轮中心反向转动
+            centerX = 2 * e + e * Math.cos(kappa);
+            centerY = -e * Math.sin(kappa);
+        }
+
+        // 本轮中心：自对点沿 κ 方向的射线与均轮 (R = 60) 的交点
+        const dx = Math.cos(kappa);
+        const dy = Math.sin(kappa);
+        const offsetX = equantDistance - centerX;
+        const offsetY = -centerY;
+        const b = offsetX * dx + offsetY * dy;
+        const c = offsetX * offsetX + offsetY * offsetY - 3600;
+        const t = -b + Math.sqrt(b * b - c);
+        const epicycleX = equantDistance + t * dx;
+        const epicycleY = t * dy;
+
+        // 行星：本轮上自对点—本轮中心连线量起的平近点角
+        const anomaly = kappa + meanAnomaly * DEG_TO_RAD;
+        const x = epicycleX + r * Math.cos(anomaly);
+        const y = epicycleY + r * Math.sin(anomaly);
+
+        const longitude = ((Math.atan2(y, x) / DEG_TO_RAD + apogee) % 360 + 360) % 360;
+        const auPerUnit = planet.inner ? 1 / 60 : 1 / r;
+        return { longitude, latitude: 0, distance: Math.hypot(x, y) * auPerUnit };
+    }
+
+    /**
+     * 地心黄道直角坐标 (J2000 平黄道，AU)，与星历模型的地心矢量同一接口
+     */
+    calculateGeocentric(key, date) {
+        const { longitude, latitude, distance } = this.calculateEcliptic(key, date);
+        return ofDateToJ2000(longitude, latitude, distance, ReferenceFrames.toJulianCenturiesTT(date));
+    }
+}
+
+/**
+ * 哥白尼圆轨道模型
+ * 行星与地球都在以太阳为中心的圆上匀速运动：半径取半长轴，相位取平黄经，
+ * 轨道面（倾角与升交点）不变，相当于偏心率置零的开普勒轨道
+ * 与开普勒模型的差别来自中心差，火星冲日前后地心方向误差可超过 10°（托勒密的对点反而更准）
+ */
+export class CopernicanModel {
+    /**
+     * @param {(key: string, T: number) => Object} getOrbitalElements - 轨道根数，结构同 AstronomicalCalculator.getOrbitalElements
+     */
+    constructor(getOrbitalElements) {
+        this.key = 'copernican';
+        this.name = '哥白尼圆轨道';
+        this.color = '#48DBFB';
+        this.getOrbitalElements = getOrbitalElements;
+    }
+
+    /**
+     * 有轨道根数的天体都可以用圆轨道近似
+     */
+    supports(key) {
+        try {
+            this.getOrbitalElements(key, 0);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 圆轨道上的日心黄道坐标 (J2000 平黄道，AU)
+     */
+    calculateHeliocentric(key, T) {
+        const elements = this.getOrbitalElements(key, T);
+        const { semiMajorAxis: a, inclination, argumentOfPeriapsis, longitudeOfAscendingNode } = elements;
+
+        // 圆轨道上平近点角即真近点角，自升交点量起的纬度幅角 u = ω + M
+        const u = (argumentOfPeriapsis + elements.meanAnomaly) * DEG_TO_RAD;
+        const i = inclination * DEG_TO_RAD;
+        const node = longitudeOfAscendingNode * DEG_TO_RAD;
+        return {
+            x: a * (Math.cos(node) * Math.cos(u) - Math.sin(node) * Math.sin(u) * Math.cos(i)),
+            y: a * (Math.sin(node) * Math.cos(u) + Math.cos(node) * Math.sin(u) * Math.cos(i)),
+            z: a * Math.sin(u) * Math.sin(i)
+        };
+    }
+
+    /**
+     * 地心黄道直角坐标 (J2000 平黄道，AU)，与星历模型的地心矢量同一接口
+     */
+    calculateGeocentric(key, date) {
+        const T = ReferenceFrames.toJulianCenturiesTT(date);
+        const planet = this.calculateHeliocentric(key, T);
+        const earth = this.calculateHeliocentric('earth', T);
+        return { x: planet.x - earth.x, y: planet.y - earth.y, z: planet.z - earth.z };
+    }
+}
\ No newline at end of file
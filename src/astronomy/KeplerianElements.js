@@ -0,0 +1,180 @@
+/**
+ * JPL 近似星历的开普勒轨道根数
+ * 来源：E.M. Standish, "Keplerian Elements for Approximate Positions of the Major Planets"
+ * 参考 J2000 平黄道与平春分点，每个根数为 [J2000 值, 每儒略世纪变化率]
+ *
+ * 字段含义：
+ *   semiMajorAxis            半长轴 a (AU)
+ *   eccentricity             偏心率 e
+ *   inclination              轨道倾角 I (度)
+ *   meanLongitude            平黄经 L (度)
+ *   longitudeOfPerihelion    近日点黄经 ϖ (度)
+ *   longitudeOfAscendingNode 升交点黄经 Ω (度)
+ */
+
+// 表1：适用于 1800 AD - 2050 AD
+export const JPL_ELEMENTS_1800_2050 = {
+    mercury: {
+        semiMajorAxis: [0.38709927, 0.00000037],
+        eccentricity: [0.20563593, 0.00001906],
+        inclination: [7.00497902, -0.00594749],
+        meanLongitude: [252.25032350, 149472.67411175],
+        longitudeOfPerihelion: [77.45779628, 0.16047689],
+        longitudeOfAscendingNode: [48.33076593, -0.12534081]
+    },
+    venus: {
+        semiMajorAxis: [0.72333566, 0.00000390],
+        eccentricity: [0.00677672, -0.00004107],
+        inclination: [3.39467605, -0.00078890],
+        meanLongitude: [181.97909950, 58517.81538729],
+        longitudeOfPerihelion: [131.60246718, 0.00268329],
+        longitudeOfAscendingNode: [76.67984255, -0.27769418]
+    },
+    earth: {
+        // 地月质心
+        semiMajorAxis: [1.00000261, 0.00000562],
+        eccentricity: [0.01671123, -0.00004392],
+        inclination: [-0.00001531, -0.01294668],
+        meanLongitude: [100.46457166, 35999.37244981],
+        longitudeOfPerihelion: [102.93768193, 0.32327364],
+        longitudeOfAscendingNode: [0.0, 0.0]
+    },
+    mars: {
+        semiMajorAxis: [1.52371034, 0.00001847],
+        eccentricity: [0.09339410, 0.00007882],
+        inclination: [1.84969142, -0.00813131],
+        meanLongitude: [-4.55343205, 19140.30268499],
+        longitudeOfPerihelion: [-23.94362959, 0.44441088],
+        longitudeOfAscendingNode: [49.55953891, -0.29257343]
+    },
+    jupiter: {
+        semiMajorAxis: [5.20288700, -0.00011607],
+        eccentricity: [0.04838624, -0.00013253],
+        inclination: [1.30439695, -0.00183714],
+        meanLongitude: [34.39644051, 3034.74612775],
+        longitudeOfPerihelion: [14.72847983, 0.21252668],
+        longitudeOfAscendingNode: [100.47390909, 0.20469106]
+    },
+    saturn: {
+        semiMajorAxis: [9.53667594, -0.00125060],
+        eccentricity: [0.05386179, -0.00050991],
+        inclination: [2.48599187, 0.00193609],
+        meanLongitude: [49.95424423, 1222.49362201],
+        longitudeOfPerihelion: [92.59887831, -0.41897216],
+        longitudeOfAscendingNode: [113.66242448, -0.28867794]
+    },
+    uranus: {
+        semiMajorAxis: [19.18916464, -0.00196176],
+        eccentricity: [0.04725744, -0.00004397],
+        inclination: [0.77263783, -0.00242939],
+        meanLongitude: [313.23810451, 428.48202785],
+        longitudeOfPerihelion: [170.95427630, 0.40805281],
+        longitudeOfAscendingNode: [74.01692503, 0.04240589]
+    },
+    neptune: {
+        semiMajorAxis: [30.06992276, 0.00026291],
+        eccentricity: [0.00859048, 0.00005105],
+        inclination: [1.77004347, 0.00035372],
+        meanLongitude: [-55.12002969, 218.45945325],
+        longitudeOfPerihelion: [44.96476227, -0.32241464],
+        longitudeOfAscendingNode: [131.78422574, -0.00508664]
+    },
+    pluto: {
+        semiMajorAxis: [39.48211675, -0.00031596],
+        eccentricity: [0.24882730, 0.00005170],
+        inclination: [17.14001206, 0.00004818],
+        meanLongitude: [238.92903833, 145.20780515],
+        longitudeOfPerihelion: [224.06891629, -0.04062942],
+        longitudeOfAscendingNode: [110.30393684, -0.01183482]
+    }
+};
+
+// 表2a：适用于 3000 BC - 3000 AD
+export const JPL_ELEMENTS_3000BC_3000AD = {
+    mercury: {
+        semiMajorAxis: [0.38709843, 0.00000000],
+        eccentricity: [0.20563661, 0.00002123],
+        inclination: [7.00559432, -0.00590158],
+        meanLongitude: [252.25166724, 149472.67486623],
+        longitudeOfPerihelion: [77.45771895, 0.15940013],
+        longitudeOfAscendingNode: [48.33961819, -0.12214182]
+    },
+    venus: {
+        semiMajorAxis: [0.72332102, -0.00000026],
+        eccentricity: [0.00676399, -0.00005107],
+        inclination: [3.39777545, 0.00043494],
+        meanLongitude: [181.97970850, 58517.81560260],
+        longitudeOfPerihelion: [131.76755713, 0.05679648],
+        longitudeOfAscendingNode: [76.67261496, -0.27274174]
+    },
+    earth: {
+        // 地月质心
+        semiMajorAxis: [1.00000018, -0.00000003],
+        eccentricity: [0.01673163, -0.00003661],
+        inclination: [-0.00054346, -0.01337178],
+        meanLongitude: [100.46691572, 35999.37306329],
+        longitudeOfPerihelion: [102.93005885, 0.31795260],
+        longitudeOfAscendingNode: [-5.11260389, -0.24123856]
+    },
+    mars: {
+        semiMajorAxis: [1.52371243, 0.00000097],
+        eccentricity: [0.09336511, 0.00009149],
+        inclination: [1.85181869, -0.00724757],
+        meanLongitude: [-4.56813164, 19140.29934243],
+        longitudeOfPerihelion: [-23.91744784, 0.45223625],
+        longitudeOfAscendingNode: [49.71320984, -0.26852431]
+    },
+    jupiter: {
+        semiMajorAxis: [5.20248019, -0.00002864],
+        eccentricity: [0.04853590, 0.00018026],
+        inclination: [1.29861416, -0.00322699],
+        meanLongitude: [34.33479152, 3034.90371757],
+        longitudeOfPerihelion: [14.27495244, 0.18199196],
+        longitudeOfAscendingNode: [100.29282654, 0.13024619]
+    },
+    saturn: {
+        semiMajorAxis: [9.54149883, -0.00003065],
+        eccentricity: [0.05550825, -0.00032044],
+        inclination: [2.49424102, 0.00451969],
+        meanLongitude: [50.07571329, 1222.11494724],
+        longitudeOfPerihelion: [92.86136063, 0.54179478],
+        longitudeOfAscendingNode: [113.63998702, -0.25015002]
+    },
+    uranus: {
+        semiMajorAxis: [19.18797948, -0.00020455],
+        eccentricity: [0.04685740, -0.00001550],
+        inclination: [0.77298127, -0.00180155],
+        meanLongitude: [314.20276625, 428.49512595],
+        longitudeOfPerihelion: [172.43404441, 0.09266985],
+        longitudeOfAscendingNode: [73.96250215, 0.05739699]
+    },
+    neptune: {
+        semiMajorAxis: [30.06952752, 0.00006447],
+        eccentricity: [0.00895439, 0.00000818],
+        inclination: [1.77005520, 0.00022400],
+        meanLongitude: [304.22289287, 218.46515314],
+        longitudeOfPerihelion: [46.68158724, 0.01009938],
+        longitudeOfAscendingNode: [131.78635853, -0.00606302]
+    },
+    pluto: {
+        semiMajorAxis: [39.48686035, 0.00449751],
+        eccentricity: [0.24885238, 0.00006016],
+        inclination: [17.14104260, 0.00000501],
+        meanLongitude: [238.96535011, 145.18042903],
+        longitudeOfPerihelion: [224.09702598, -0.00968827],
+        longitudeOfAscendingNode: [110.30167986, -0.00809981]
+    }
+};
+
+// 表2b：3000 BC - 3000 AD 表中木星至冥王星平近点角的附加项
+// M = L - ϖ + b*T² + c*cos(f*T) + s*sin(f*T)，f 的单位为 度/世纪
+export const JPL_MEAN_ANOMALY_TERMS = {
+    jupiter: { b: -0.00012452, c: 0.06064060, s: -0.35635438, f: 38.35125000 },
+    saturn: { b: 0.00025899, c: -0.13434469, s: 0.87320147, f: 38.35125000 },
+    uranus: { b: 0.00058331, c: -0.97731848, s: 0.17689245, f: 7.67025000 },
+    neptune: { b: -0.00041348, c: 0.68346318, s: -0.10162547, f: 7.67025000 },
+    pluto: { b: -0.01262724, c: 0, s: 0, f: 0 }
+};
+
+// 表1的适用范围（自 J2000.0 起算的儒略世纪数）
+export const JPL_SHORT_TABLE_RANGE = { start: -2.0, end: 0.5 };
\ No newline at end of file
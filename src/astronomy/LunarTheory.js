@@ -0,0 +1,230 @@
+/**
+ * 月球位置理论
+ * 基于 Meeus《天文算法》第47章（截断的 ELP-2000/82 级数）
+ * 黄经精度约 10″，黄纬约 4″，足以用于星图显示与月相计算
+ */
+
+// 表47.A：黄经（单位 1e-6 度）与地月距离（单位 1e-3 千米）的周期项
+// 每行依次为 D, M, M', F 的系数以及 Σl、Σr 的振幅
+const LONGITUDE_DISTANCE_TERMS = [
+        [0, 0, 1, 0, 6288774, -20905355],
+        [2, 0, -1, 0, 1274027, -3699111],
+        [2, 0, 0, 0, 658314, -2955968],
+        [0, 0, 2, 0, 213618, -569925],
+        [0, 1, 0, 0, -185116, 48888],
+        [0, 0, 0, 2, -114332, -3149],
+        [2, 0, -2, 0, 58793, 246158],
+        [2, -1, -1, 0, 57066, -152138],
+        [2, 0, 1, 0, 53322, -170733],
+        [2, -1, 0, 0, 45758, -204586],
+        [0, 1, -1, 0, -40923, -129620],
+        [1, 0, 0, 0, -34720, 108743],
+        [0, 1, 1, 0, -30383, 104755],
+        [2, 0, 0, -2, 15327, 10321],
+        [0, 0, 1, 2, -12528, 0],
+        [0, 0, 1, -2, 10980, 79661],
+        [4, 0, -1, 0, 10675, -34782],
+        [0, 0, 3, 0, 10034, -23210],
+        [4, 0, -2, 0, 8548, -21636],
+        [2, 1, -1, 0, -7888, 24208],
+        [2, 1, 0, 0, -6766, 30824],
+        [1, 0, -1, 0, -5163, -8379],
+        [1, 1, 0, 0, 4987, -16675],
+        [2, -1, 1, 0, 4036, -12831],
+        [2, 0, 2, 0, 3994, -10445],
+        [4, 0, 0, 0, 3861, -11650],
+        [2, 0, -3, 0, 3665, 14403],
+        [0, 1, -2, 0, -2689, -7003],
+        [2, 0, -1, 2, -2602, 0],
+        [2, -1, -2, 0, 2390, 10056],
+        [1, 0, 1, 0, -2348, 6322],
+        [2, -2, 0, 0, 2236, -9884],
+        [0, 1, 2, 0, -2120, 5751],
+        [0, 2, 0, 0, -2069, 0],
+        [2, -2, -1, 0, 2048, -4950],
+        [2, 0, 1, -2, -1773, 4130],
+        [2, 0, 0, 2, -1595, 0],
+        [4, -1, -1, 0, 1215, -3958],
+        [0, 0, 2, 2, -1110, 0],
+        [3, 0, -1, 0, -892, 3258],
+        [2, 1, 1, 0, -810, 2616],
+        [4, -1, -2, 0, 759, -1897],
+        [0, 2, -1, 0, -713, -2117],
+        [2, 2, -1, 0, -700, 2354],
+        [2, 1, -2, 0, 691, 0],
+        [2, -1, 0, -2, 596, 0],
+        [4, 0, 1, 0, 549, -1423],
+        [0, 0, 4, 0, 537, -1117],
+        [4, -1, 0, 0, 520, -1571],
+        [1, 0, -2, 0, -487, -1739],
+        [2, 1, 0, -2, -399, 0],
+        [0, 0, 2, -2, -381, -4421],
+        [1, 1, 1, 0, 351, 0],
+        [3, 0, -2, 0, -340, 0],
+        [4, 0, -3, 0, 330, 0],
+        [2, -1, 2, 0, 327, 0],
+        [0, 2, 1, 0, -323, 1165],
+        [1, 1, -1, 0, 299, 0],
+        [2, 0, 3, 0, 294, 0],
+        [2, 0, -1, -2, 0, 8752]
+];
+
+// 表47.B：黄纬（单位 1e-6 度）的周期项
+// 每行依次为 D, M, M', F 的系数以及 Σb 的振幅
+const LATITUDE_TERMS = [
+        [0, 0, 0, 1, 5128122],
+        [0, 0, 1, 1, 280602],
+        [0, 0, 1, -1, 277693],
+        [2, 0, 0, -1, 173237],
+        [2, 0, -1, 1, 55413],
+        [2, 0, -1, -1, 46271],
+        [2, 0, 0, 1, 32573],
+        [0, 0, 2, 1, 17198],
+        [2, 0, 1, -1, 9266],
+        [0, 0, 2, -1, 8822],
+        [2, -1, 0, -1, 8216],
+        [2, 0, -2, -1, 4324],
+        [2, 0, 1, 1, 4200],
+        [2, 1, 0, -1, -3359],
+        [2, -1, -1, 1, 2463],
+        [2, -1, 0, 1, 2211],
+        [2, -1, -1, -1, 2065],
+        [0, 1, -1, -1, -1870],
+        [4, 0, -1, -1, 1828],
+        [0, 1, 0, 1, -1794],
+        [0, 0, 0, 3, -1749],
+        [0, 1, -1, 1, -1565],
+        [1, 0, 0, 1, -1491],
+        [0, 1, 1, 1, -1475],
+        [0, 1, 1, -1, -1410],
+        [0, 1, 0, -1, -1344],
+        [1, 0, 0, -1, -1335],
+        [0, 0, 3, 1, 1107],
+        [4, 0, 0, -1, 1021],
+        [4, 0, -1, 1, 833],
+        [0, 0, 1, -3, 777],
+        [4, 0, -2, 1, 671],
+        [2, 0, 0, -3, 607],
+        [2, 0, 2, -1, 596],
+        [2, -1, 1, -1, 491],
+        [2, 0, -2, 1, -451],
+        [0, 0, 3, -1, 439],
+        [2, 0, 2, 1, 422],
+        [2, 0, -3, -1, 421],
+        [2, 1, -1, 1, -366],
+        [2, 1, 0, 1, -351],
+        [4, 0, 0, 1, 331],
+        [2, -1, 1, 1, 315],
+        [2, -2, 0, -1, 302],
+        [0, 0, 1, 3, -283],
+        [2, 1, 1, -1, -229],
+        [1, 1, 0, -1, 223],
+        [1, 1, 0, 1, 223],
+        [0, 1, -2, -1, -220],
+        [2, 1, -1, -1, -220],
+        [1, 0, 1, 1, -185],
+        [2, -1, -2, -1, 181],
+        [0, 1, 2, 1, -177],
+        [4, 0, -2, -1, 176],
+        [4, -1, -1, -1, 166],
+        [1, 0, 1, -1, -164],
+        [4, 0, 1, -1, 132],
+        [1, 0, -1, -1, -119],
+        [4, -1, 0, -1, 115],
+        [2, -2, 0, 1, 107]
+];
+
+export class LunarTheory {
+    constructor() {
+        // 月球平均半径 (千米)
+        this.radiusKm = 1737.4;
+        // 地球赤道半径 (千米)
+        this.earthRadiusKm = 6378.137;
+    }
+
+    /**
+     * 计算月球的地心黄道坐标
+     * 结果参考当天的平黄道与平春分点，未包含章动
+     * @param {number} julianCenturies - 自 J2000.0 起算的儒略世纪数
+     * @returns {{longitude: number, latitude: number, distance: number}} 黄经(度)、黄纬(度)、地月距离(千米)
+     */
+    calculate(julianCenturies) {
+        const T = julianCenturies;
+
+        // 月球平黄经
+        const Lp = this.polynomial(T, 218.3164477, 481267.88123421, -0.0015786, 1 / 538841, -1 / 65194000);
+        // 平距角
+        const D = this.polynomial(T, 297.8501921, 445267.1114034, -0.0018819, 1 / 545868, -1 / 113065000);
+        // 太阳平近点角
+        const M = this.polynomial(T, 357.5291092, 35999.0502909, -0.0001536, 1 / 24490000);
+        // 月球平近点角
+        const Mp = this.polynomial(T, 134.9633964, 477198.8675055, 0.0087414, 1 / 69699, -1 / 14712000);
+        // 月球升交点平角距
+        const F = this.polynomial(T, 93.2720950, 483202.0175233, -0.0036539, -1 / 3526000, 1 / 863310000);
+
+        // 金星、木星摄动及地球扁率修正所需的辅助角
+        const A1 = 119.75 + 131.849 * T;
+        const A2 = 53.09 + 479264.290 * T;
+        const A3 = 313.45 + 481266.484 * T;
+
+        // 地球轨道偏心率随时间减小，对含 M 的项进行修正
+        const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+        const eccentricityFactor = (m) => (m === 0 ? 1 : (Math.abs(m) === 1 ? E : E * E));
+
+        let sumL = 0;
+        let sumR = 0;
+        for (const [d, m, mp, f, l, r] of LONGITUDE_DISTANCE_TERMS) {
+            const arg = this.degToRad(d * D + m * M + mp * Mp + f * F);
+            const factor = eccentricityFactor(m);
+            sumL += l * factor * Math.sin(arg);
+            sumR += r * factor * Math.cos(arg);
+        }
+
+        let sumB = 0;
+        for (const [d, m, mp, f, b] of LATITUDE_TERMS) {
+            const arg = this.degToRad(d * D + m * M + mp * Mp + f * F);
+            sumB += b * eccentricityFactor(m) * Math.sin(arg);
+        }
+
+        // 附加项
+        sumL += 3958 * this.sinDeg(A1) + 1962 * this.sinDeg(Lp - F) + 318 * this.sinDeg(A2);
+        sumB += -2235 * this.sinDeg(Lp) + 382 * this.sinDeg(A3) + 175 * this.sinDeg(A1 - F)
+            + 175 * this.sinDeg(A1 + F) + 127 * this.sinDeg(Lp - Mp) - 115 * this.sinDeg(Lp + Mp);
+
+        const longitude = ((Lp + sumL / 1e6) % 360 + 360) % 360;
+        const latitude = sumB / 1e6;
+        const distance = 385000.56 + sumR / 1000;
+
+        return { longitude, latitude, distance };
+    }
+
+    /**
+     * 月球赤道地平视差 (度)
+     */
+    horizontalParallax(distanceKm) {
+        return this.radToDeg(Math.asin(this.earthRadiusKm / distanceKm));
+    }
+
+    /**
+     * 多项式求值 c0 + c1*T + c2*T^2 + ...
+     */
+    polynomial(T, ...coefficients) {
+        let result = 0;
+        for (let i = coefficients.length - 1; i >= 0; i--) {
+            result = result * T + coefficients[i];
+        }
+        return result;
+    }
+
+    sinDeg(degrees) {
+        return Math.sin(this.degToRad(degrees));
+    }
+
+    degToRad(degrees) {
+        return degrees * Math.PI / 180;
+    }
+
+    radToDeg(radians) {
+        return radians * 180 / Math.PI;
+    }
+}
\ No newline at end of file
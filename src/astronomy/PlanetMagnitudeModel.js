@@ -0,0 +1,119 @@
+import { ReferenceFrames } from './ReferenceFrames.js';
+import { IAU_ROTATION_ELEMENTS } from './RotationElements.js';
+
+/**
+ * 行星视星等模型
+ * 采用 Mallama & Hilton (2018) "Computing apparent planetary magnitudes for The Astronomical Almanac"
+ * 的相位角公式；冥王星使用《天文年历》的常数绝对星等，自定义小天体使用 IAU H-G 系统
+ */
+
+export class PlanetMagnitudeModel {
+    /**
+     * 计算视星等
+     * @param {string} key - 天体标识
+     * @param {Object} geometry
+     * @param {{x: number, y: number, z: number}} geometry.heliocentric - 日心 J2000 黄道坐标 (AU)
+     * @param {{x: number, y: number, z: number}} geometry.geocentric - 地心 J2000 黄道坐标 (AU)
+     * @param {number} geometry.phaseAngle - 相位角 (度)
+     * @param {number} geometry.julianCenturies - 自 J2000.0 起算的儒略世纪数
+     * @param {{ absoluteMagnitude?: number, slopeParameter?: number }} [body] - 自定义天体的 H、G 参数
+     * @returns {number|null} V 星等；无法计算时返回 null
+     */
+    calculate(key, geometry, body = {}) {
+        const { heliocentric, geocentric, phaseAngle: a, julianCenturies: T } = geometry;
+        const r = this.length(heliocentric);
+        const delta = this.length(geocentric);
+        const distanceTerm = 5 * Math.log10(r * delta);
+
+        switch (key) {
+            case 'mercury':
+                return distanceTerm - 0.613 + 6.3280e-2 * a - 1.6336e-3 * a ** 2 + 3.3644e-5 * a ** 3
+                    - 3.4265e-7 * a ** 4 + 1.6893e-9 * a ** 5 - 3.0334e-12 * a ** 6;
+            case 'venus':
+                // 相位角大于 163.7° 时金星大气的前向散射使亮度回升
+                if (a <= 163.7) {
+                    return distanceTerm - 4.384 - 1.044e-3 * a + 3.687e-4 * a ** 2 - 2.814e-6 * a ** 3 + 8.938e-9 * a ** 4;
+                }
+                return distanceTerm + 236.05828 - 2.81914 * a + 8.39034e-3 * a ** 2;
+            case 'earth':
+                // 从其他行星观测地球时使用
+                return distanceTerm - 3.99 - 1.060e-3 * a + 2.054e-4 * a ** 2;
+            case 'mars':
+                if (a <= 50) {
+                    return distanceTerm - 1.601 + 0.02267 * a - 0.0001302 * a ** 2;
+                }
+                return distanceTerm - 0.367 - 0.02573 * a + 0.0003445 * a ** 2;
+            case 'jupiter': {
+                if (a <= 12) {
+                    return distanceTerm - 9.395 - 3.7e-4 * a + 6.16e-4 * a ** 2;
+                }
+                const x = a / 180;
+                return distanceTerm - 9.428
+                    - 2.5 * Math.log10(1 - 1.507 * x - 0.363 * x ** 2 - 0.062 * x ** 3 + 2.809 * x ** 4 - 1.876 * x ** 5);
+            }
+            case 'saturn': {
+                // 地球视角下的土星环倾角 β（环面即赤道面）
+                const ringTilt = Math.abs(this.subObserverLatitude('saturn', geocentric, T));
+                if (a <= 6.5 && ringTilt <= 27) {
+                    const sinB = Math.sin(ringTilt * Math.PI / 180);
+                    return distanceTerm - 8.914 - 1.825 * sinB + 0.026 * a - 0.378 * sinB * Math.exp(-2.25 * a);
+                }
+                // 仅本体（从地球上看不到 6.5° 以上的相位角）
+                return distanceTerm - 8.94 + 2.446e-4 * a + 2.672e-4 * a ** 2 - 1.505e-6 * a ** 3 + 4.767e-9 * a ** 4;
+            }
+            case 'uranus': {
+                // 亚地点与亚日点行星纬度的平均值，反映极区朝向
+                const subEarth = this.subObserverLatitude('uranus', geocentric, T);
+                const subSolar = this.subObserverLatitude('uranus', heliocentric, T);
+                const latitude = (Math.abs(subEarth) + Math.abs(subSolar)) / 2;
+                return distanceTerm - 7.110 - 8.4e-4 * latitude + 6.587e-3 * a + 1.045e-4 * a ** 2;
+            }
+            case 'neptune': {
+                // 海王星在 1980-2000 年间逐渐变亮
+                const year = 2000 + T * 100;
+                const absolute = year < 1980 ? -6.89 : year > 2000 ? -7.00 : -6.89 - 0.0054 * (year - 1980);
+                return distanceTerm + absolute + 7.944e-3 * a + 9.617e-5 * a ** 2;
+            }
+            case 'pluto':
+                return distanceTerm - 1.01;
+            default:
+                return this.calculateHG(distanceTerm, a, body);
+        }
+    }
+
+    /**
+     * IAU H-G 小行星星等系统
+     */
+    calculateHG(distanceTerm, phaseAngle, body) {
+        if (!Number.isFinite(body.absoluteMagnitude)) {
+            return null;
+        }
+        const G = Number.isFinite(body.slopeParameter) ? body.slopeParameter : 0.15;
+        const halfTan = Math.tan(phaseAngle * Math.PI / 360);
+        const phi1 = Math.exp(-3.33 * halfTan ** 0.63);
+        const phi2 = Math.exp(-1.87 * halfTan ** 1.22);
+        return body.absoluteMagnitude + distanceTerm - 2.5 * Math.log10((1 - G) * phi1 + G * phi2);
+    }
+
+    /**
+     * 从观测方向看行星赤道面的倾角（亚观测点纬度，度）
+     * @param {string} key - 'saturn' 或 'uranus'
+     * @param {Object} lineOfSight - 观测者指向行星的矢量（地心坐标，或以日心坐标求亚日点）
+     * @param {number} T - 自 J2000.0 起算的儒略世纪数
+     */
+    subObserverLatitude(key, lineOfSight, T) {
+        const { poleRa, poleDec } = IAU_ROTATION_ELEMENTS[key];
+        const poleVector = ReferenceFrames.equatorialToEcliptic(
+            ReferenceFrames.fromSpherical(poleRa[0] + poleRa[1] * T, poleDec[0] + poleDec[1] * T),
+            ReferenceFrames.J2000_OBLIQUITY
+        );
+        const length = this.length(lineOfSight);
+        // 行星指向观测者的单位矢量与北极的夹角
+        const dot = -(poleVector.x * lineOfSight.x + poleVector.y * lineOfSight.y + poleVector.z * lineOfSight.z) / length;
+        return Math.asin(Math.max(-1, Math.min(1, dot))) * 180 / Math.PI;
+    }
+
+    length(v) {
+        return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,328 @@
+/**
+ * 参考系与时间尺度
+ * 提供岁差 (IAU 2006)、章动 (IAU 1980 主要项)、黄赤交角、恒星时与 ΔT，
+ * 用于在 J2000 平春分点与瞬时真春分点之间转换坐标
+ *
+ * 矩阵均为 3x3 行主序二维数组，作用于赤道直角坐标 (x 指向春分点, z 指向北天极)
+ */
+
+// IAU 1980 章动序列中振幅最大的项（Meeus 表22.A），截断误差约 0.5″
+// 每行依次为 D, M, M', F, Ω 的系数，Δψ 振幅与变化率，Δε 振幅与变化率（单位 0.0001″）
+const NUTATION_TERMS = [
+    [0, 0, 0, 0, 1, -171996, -174.2, 92025, 8.9],
+    [-2, 0, 0, 2, 2, -13187, -1.6, 5736, -3.1],
+    [0, 0, 0, 2, 2, -2274, -0.2, 977, -0.5],
+    [0, 0, 0, 0, 2, 2062, 0.2, -895, 0.5],
+    [0, 1, 0, 0, 0, 1426, -3.4, 54, -0.1],
+    [0, 0, 1, 0, 0, 712, 0.1, -7, 0],
+    [-2, 1, 0, 2, 2, -517, 1.2, 224, -0.6],
+    [0, 0, 0, 2, 1, -386, -0.4, 200, 0],
+    [0, 0, 1, 2, 2, -301, 0, 129, -0.1],
+    [-2, -1, 0, 2, 2, 217, -0.5, -95, 0.3],
+    [-2, 0, 1, 0, 0, -158, 0, 0, 0],
+    [-2, 0, 0, 2, 1, 129, 0.1, -70, 0],
+    [0, 0, -1, 2, 2, 123, 0, -53, 0],
+    [2, 0, 0, 0, 0, 63, 0, 0, 0],
+    [0, 0, 1, 0, 1, 63, 0.1, -33, 0],
+    [2, 0, -1, 2, 2, -59, 0, 26, 0],
+    [0, 0, -1, 0, 1, -58, -0.1, 32, 0],
+    [0, 0, 1, 2, 1, -51, 0, 27, 0]
+];
+
+const ARCSEC_TO_RAD = Math.PI / (180 * 3600);
+const DEG_TO_RAD = Math.PI / 180;
+
+export class ReferenceFrames {
+    /**
+     * J2000.0 平黄赤交角 (度)
+     */
+    static get J2000_OBLIQUITY() {
+        return 23.4392911;
+    }
+
+    /**
+     * J2000 赤道坐标 → 银道坐标的旋转矩阵（Hipparcos 星表第 1 卷 §1.5.3）
+     * 银心位于赤经 266.40°、赤纬 −28.94°，北银极位于赤经 192.86°、赤纬 +27.13°
+     */
+    static get J2000_TO_GALACTIC() {
+        return [
+            [-0.0548755604162154, -0.8734370902348850, -0.4838350155487132],
+            [0.4941094278755837, -0.4448296299600112, 0.7469822444972189],
+            [-0.8676661490190047, -0.1980763734312015, 0.4559837761750669]
+        ];
+    }
+
+    /**
+     * 平黄赤交角 (IAU 2006)
+     * @param {number} T - 自 J2000.0 起算的儒略世纪数 (TT)
+     * @returns {number} 度
+     */
+    static meanObliquity(T) {
+        const arcsec = 84381.406
+            - 46.836769 * T
+            - 0.0001831 * T * T
+            + 0.00200340 * T ** 3
+            - 0.000000576 * T ** 4
+            - 0.0000000434 * T ** 5;
+        return arcsec / 3600;
+    }
+
+    /**
+     * 章动 (IAU 1980 主要项)
+     * @param {number} T - 自 J2000.0 起算的儒略世纪数 (TT)
+     * @returns {{longitude: number, obliquity: number}} 黄经章动 Δψ 与交角章动 Δε (度)
+     */
+    static nutation(T) {
+        const D = 297.85036 + 445267.111480 * T - 0.0019142 * T * T + T ** 3 / 189474;
+        const M = 357.52772 + 35999.050340 * T - 0.0001603 * T * T - T ** 3 / 300000;
+        const Mp = 134.96298 + 477198.867398 * T + 0.0086972 * T * T + T ** 3 / 56250;
+        const F = 93.27191 + 483202.017538 * T - 0.0036825 * T * T + T ** 3 / 327270;
+        const Omega = 125.04452 - 1934.136261 * T + 0.0020708 * T * T + T ** 3 / 450000;
+
+        let deltaPsi = 0;
+        let deltaEpsilon = 0;
+        for (const [d, m, mp, f, om, psi, psiT, eps, epsT] of NUTATION_TERMS) {
+            const arg = (d * D + m * M + mp * Mp + f * F + om * Omega) * DEG_TO_RAD;
+            deltaPsi += (psi + psiT * T) * Math.sin(arg);
+            deltaEpsilon += (eps + epsT * T) * Math.cos(arg);
+        }
+
+        // 0.0001″ → 度
+        return {
+            longitude: deltaPsi / 1e4 / 3600,
+            obliquity: deltaEpsilon / 1e4 / 3600
+        };
+    }
+
+    /**
+     * 岁差矩阵 (IAU 2006)：J2000 平赤道坐标 → 当天平赤道坐标
+     * @param {number} T - 自 J2000.0 起算的儒略世纪数 (TT)
+     */
+    static precessionMatrix(T) {
+        const zeta = (2.650545 + 2306.083227 * T + 0.2988499 * T * T + 0.01801828 * T ** 3
+            - 0.000005971 * T ** 4 - 0.0000003173 * T ** 5) * ARCSEC_TO_RAD;
+        const z = (-2.650545 + 2306.077181 * T + 1.0927348 * T * T + 0.01826837 * T ** 3
+            - 0.000028596 * T ** 4 - 0.0000002904 * T ** 5) * ARCSEC_TO_RAD;
+        const theta = (2004.191903 * T - 0.4294934 * T * T - 0.04182264 * T ** 3
+            - 0.000007089 * T ** 4 - 0.0000001274 * T ** 5) * ARCSEC_TO_RAD;
+
+        const cz = Math.cos(zeta), sz = Math.sin(zeta);
+        const cZ = Math.cos(z), sZ = Math.sin(z);
+        const ct = Math.cos(theta), st = Math.sin(theta);
+
+        return [
+            [cz * ct * cZ - sz * sZ, -sz * ct * cZ - cz * sZ, -st * cZ],
+            [cz * ct * sZ + sz * cZ, -sz * ct * sZ + cz * cZ, -st * sZ],
+            [cz * st, -sz * st, ct]
+        ];
+    }
+
+    /**
+     * 章动矩阵：当天平赤道坐标 → 当天真赤道坐标
+     * @param {number} T - 自 J2000.0 起算的儒略世纪数 (TT)
+     */
+    static nutationMatrix(T) {
+        const epsilon = this.meanObliquity(T) * DEG_TO_RAD;
+        const nutation = this.nutation(T);
+        const trueEpsilon = epsilon + nutation.obliquity * DEG_TO_RAD;
+        const dPsi = nutation.longitude * DEG_TO_RAD;
+
+        // N = R1(-ε-Δε) · R3(-Δψ) · R1(ε)
+        return this.multiply(
+            this.rotationX(-trueEpsilon),
+            this.multiply(this.rotationZ(-dPsi), this.rotationX(epsilon))
+        );
+    }
+
+    /**
+     * J2000 赤道坐标 → 指定历元赤道坐标的转换矩阵
+     * @param {number} T - 自 J2000.0 起算的儒略世纪数 (TT)
+     * @param {'J2000'|'date'} equinox - 'date' 为瞬时真赤道与真春分点
+     */
+    static frameMatrix(T, equinox) {
+        if (equinox !== 'date') {
+            return this.identity();
+        }
+        return this.multiply(this.nutationMatrix(T), this.precessionMatrix(T));
+    }
+
+    /**
+     * 指定历元的黄赤交角 (度)
+     */
+    static obliquity(T, equinox) {
+        if (equinox !== 'date') {
+            return this.J2000_OBLIQUITY;
+        }
+        return this.meanObliquity(T) + this.nutation(T).obliquity;
+    }
+
+    /**
+     * 格林尼治恒星时 (度)
+     * @param {Date} date - UTC 时刻
+     * @param {boolean} [apparent=false] - 是否加入赤经章动（视恒星时）
+     */
+    static greenwichSiderealTime(date, apparent = false) {
+        const jd = this.toJulianDate(date);
+        const T = (jd - 2451545.0) / 36525.0;
+        let gmst = 280.46061837 + 360.98564736629 * (jd - 2451545.0) + 0.000387933 * T * T - (T * T * T) / 38710000.0;
+
+        if (apparent) {
+            const Ttt = this.toJulianCenturiesTT(date);
+            const nutation = this.nutation(Ttt);
+            const trueEpsilon = (this.meanObliquity(Ttt) + nutation.obliquity) * DEG_TO_RAD;
+            gmst += nutation.longitude * Math.cos(trueEpsilon);
+        }
+
+        return ((gmst % 360) + 360) % 360;
+    }
+
+    /**
+     * ΔT = TT - UT (秒)，Espenak & Meeus 多项式
+     * @param {number} year - 小数年
+     */
+    static deltaT(year) {
+        if (year >= 1900 && year < 1920) {
+            const t = year - 1900;
+            return -2.79 + 1.494119 * t - 0.0598939 * t * t + 0.0061966 * t ** 3 - 0.000197 * t ** 4;
+        }
+        if (year >= 1920 && year < 1941) {
+            const t = year - 1920;
+            return 21.20 + 0.84493 * t - 0.076100 * t * t + 0.0020936 * t ** 3;
+        }
+        if (year >= 1941 && year < 1961) {
+            const t = year - 1950;
+            return 29.07 + 0.407 * t - t * t / 233 + t ** 3 / 2547;
+        }
+        if (year >= 1961 && year < 1986) {
+            const t = year - 1975;
+            return 45.45 + 1.067 * t - t * t / 260 - t ** 3 / 718;
+        }
+        if (year >= 1986 && year < 2005) {
+            const t = year - 2000;
+            return 63.86 + 0.3345 * t - 0.060374 * t * t + 0.0017275 * t ** 3
+                + 0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+        }
+        if (year >= 2005 && year < 2050) {
+            const t = year - 2000;
+            return 62.92 + 0.32217 * t + 0.005589 * t * t;
+        }
+        const u = (year - 1820) / 100;
+        if (year >= 2050 && year < 2150) {
+            return -20 + 32 * u * u - 0.5628 * (2150 - year);
+        }
+        return -20 + 32 * u * u;
+    }
+
+    /**
+     * 儒略日 (UT)
+     */
+    static toJulianDate(date) {
+        return date.getTime() / 86400000 + 2440587.5;
+    }
+
+    /**
+     * 自 J2000.0 起算的儒略世纪数 (TT)
+     */
+    static toJulianCenturiesTT(date) {
+        const jd = this.toJulianDate(date);
+        const year = 2000 + (jd - 2451545.0) / 365.25;
+        return (jd + this.deltaT(year) / 86400 - 2451545.0) / 36525;
+    }
+
+    /**
+     * 黄道直角坐标 → 赤道直角坐标
+     * @param {{x: number, y: number, z: number}} v
+     * @param {number} obliquityDeg - 黄赤交角 (度)
+     */
+    static eclipticToEquatorial(v, obliquityDeg) {
+        const e = obliquityDeg * DEG_TO_RAD;
+        return {
+            x: v.x,
+            y: v.y * Math.cos(e) - v.z * Math.sin(e),
+            z: v.y * Math.sin(e) + v.z * Math.cos(e)
+        };
+    }
+
+    /**
+     * 赤道直角坐标 → 黄道直角坐标
+     */
+    static equatorialToEcliptic(v, obliquityDeg) {
+        const e = obliquityDeg * DEG_TO_RAD;
+        return {
+            x: v.x,
+            y: v.y * Math.cos(e) + v.z * Math.sin(e),
+            z: -v.y * Math.sin(e) + v.z * Math.cos(e)
+        };
+    }
+
+    /**
+     * 直角坐标 → 球面坐标
+     * @returns {{lon: number, lat: number, r: number}} 经度 [0, 360)、纬度 (度) 与距离
+     */
+    static toSpherical(v) {
+        const r = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+        let lon = Math.atan2(v.y, v.x) / DEG_TO_RAD;
+        if (lon < 0) lon += 360;
+        const lat = r > 0 ? Math.asin(v.z / r) / DEG_TO_RAD : 0;
+        return { lon, lat, r };
+    }
+
+    /**
+     * 球面坐标 → 直角坐标
+     */
+    static fromSpherical(lonDeg, latDeg, r = 1) {
+        const lon = lonDeg * DEG_TO_RAD;
+        const lat = latDeg * DEG_TO_RAD;
+        return {
+            x: r * Math.cos(lat) * Math.cos(lon),
+            y: r * Math.cos(lat) * Math.sin(lon),
+            z: r * Math.sin(lat)
+        };
+    }
+
+    static applyMatrix(m, v) {
+        return {
+            x: m[0][0] * v.x + m[0][1] * v.y + m[0][2] * v.z,
+            y: m[1][0] * v.x + m[1][1] * v.y + m[1][2] * v.z,
+            z: m[2][0] * v.x + m[2][1] * v.y + m[2][2] * v.z
+        };
+    }
+
+    static multiply(a, b) {
+        const result = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                result[i][j] = a[i][0] * b[0][j] + a[i][1] * b[1][j] + a[i][2] * b[2][j];
+            }
+        }
+        return result;
+    }
+
+    static transpose(m) {
+        return [
+            [m[0][0], m[1][0], m[2][0]],
+            [m[0][1], m[1][1], m[2][1]],
+            [m[0][2], m[1][2], m[2][2]]
+        ];
+    }
+
+    static identity() {
+        return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    }
+
+    /**
+     * 坐标系绕 x 轴旋转 angle 弧度（坐标变换矩阵 R1）
+     */
+    static rotationX(angle) {
+        const c = Math.cos(angle), s = Math.sin(angle);
+        return [[1, 0, 0], [0, c, s], [0, -s, c]];
+    }
+
+    /**
+     * 坐标系绕 z 轴旋转 angle 弧度（坐标变换矩阵 R3）
+     */
+    static rotationZ(angle) {
+        const c = Math.cos(angle), s = Math.sin(angle);
+        return [[c, s, 0], [-s, c, 0], [0, 0, 1]];
+    }
+}
\ No newline at end of file
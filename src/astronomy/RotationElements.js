@@ -0,0 +1,72 @@
+/**
+ * 行星自转轴指向与本初子午线
+ * 来源：IAU WGCCRE 2009 报告 (Archinal et al., Celest. Mech. Dyn. Astr. 109, 101–135, 2011)
+ * 北极赤经 α0、赤纬 δ0 为 ICRF (J2000 赤道) 坐标，T 为自 J2000.0 起算的儒略世纪数；
+ * 本初子午线 W 自行星赤道与 ICRF 赤道的升交点沿行星赤道向东量度，d 为自 J2000.0 起算的日数
+ * 逆向自转的金星、天王星 Ẇ 为负；省略了振幅小于 0.01° 的周期项
+ *
+ * 字段含义：
+ *   poleRa         α0 (度) [J2000 值, 每世纪变化率]
+ *   poleDec        δ0 (度) [J2000 值, 每世纪变化率]
+ *   primeMeridian  W (度) [J2000 值, 每日变化率]
+ *   radiusKm       赤道半径 (千米)，气态行星取 1 bar 高度
+ *   periodic       海王星的周期项：N = argument[0] + argument[1]·T，
+ *                  α0 += ra·sin N，δ0 += dec·cos N，W += meridian·sin N
+ */
+export const IAU_ROTATION_ELEMENTS = {
+    mercury: {
+        poleRa: [281.0097, -0.0328],
+        poleDec: [61.4143, -0.0049],
+        primeMeridian: [329.5469, 6.1385025],
+        radiusKm: 2440.53
+    },
+    venus: {
+        poleRa: [272.76, 0],
+        poleDec: [67.16, 0],
+        primeMeridian: [160.20, -1.4813688],
+        radiusKm: 6051.8
+    },
+    earth: {
+        poleRa: [0, -0.641],
+        poleDec: [90, -0.557],
+        primeMeridian: [190.147, 360.9856235],
+        radiusKm: 6378.137
+    },
+    mars: {
+        poleRa: [317.68143, -0.1061],
+        poleDec: [52.88650, -0.0609],
+        primeMeridian: [176.630, 350.89198226],
+        radiusKm: 3396.19
+    },
+    jupiter: {
+        poleRa: [268.056595, -0.006499],
+        poleDec: [64.495303, 0.002413],
+        primeMeridian: [284.95, 870.5360000],
+        radiusKm: 71492
+    },
+    saturn: {
+        poleRa: [40.589, -0.036],
+        poleDec: [83.537, -0.004],
+        primeMeridian: [38.90, 810.7939024],
+        radiusKm: 60268
+    },
+    uranus: {
+        poleRa: [257.311, 0],
+        poleDec: [-15.175, 0],
+        primeMeridian: [203.81, -501.1600928],
+        radiusKm: 25559
+    },
+    neptune: {
+        poleRa: [299.36, 0],
+        poleDec: [43.46, 0],
+        primeMeridian: [253.18, 536.3128492],
+        radiusKm: 24764,
+        periodic: { argument: [357.85, 52.316], ra: 0.70, dec: -0.51, meridian: -0.48 }
+    },
+    pluto: {
+        poleRa: [132.993, 0],
+        poleDec: [-6.163, 0],
+        primeMeridian: [302.695, 56.3625225],
+        radiusKm: 1188.3
+    }
+};
\ No newline at end of file
@@ -0,0 +1,64 @@
+import { VSOP87B_TRUNCATED } from './VSOP87Data.js';
+
+/**
+ * VSOP87 行星理论（截断级数）
+ * 计算水星至海王星以及地球的日心黄道坐标，精度优于开普勒轨道根数模型
+ */
+export class VSOP87Theory {
+    constructor(series = VSOP87B_TRUNCATED) {
+        this.series = series;
+    }
+
+    /**
+     * 是否支持该天体（冥王星等不在 VSOP87 范围内）
+     */
+    supports(key) {
+        return Object.prototype.hasOwnProperty.call(this.series, key);
+    }
+
+    /**
+     * 计算日心黄道坐标 (J2000 平黄道，AU)
+     * @param {string} key - 天体标识（含 'earth'）
+     * @param {number} julianCenturies - 自 J2000.0 起算的儒略世纪数
+     * @returns {{x: number, y: number, z: number, longitude: number, latitude: number, radius: number}}
+     */
+    calculate(key, julianCenturies) {
+        const model = this.series[key];
+        if (!model) {
+            throw new Error(`VSOP87 不支持该天体：${key}`);
+        }
+
+        // VSOP87 的时间变量为儒略千年
+        const t = julianCenturies / 10;
+        const longitude = this.evaluate(model.L, t);
+        const latitude = this.evaluate(model.B, t);
+        const radius = this.evaluate(model.R, t);
+
+        const cosLat = Math.cos(latitude);
+        return {
+            x: radius * cosLat * Math.cos(longitude),
+            y: radius * cosLat * Math.sin(longitude),
+            z: radius * Math.sin(latitude),
+            longitude: ((longitude % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2),
+            latitude,
+            radius
+        };
+    }
+
+    /**
+     * 级数求值：Σ t^n · Σ A·cos(B + C·t)
+     */
+    evaluate(seriesList, t) {
+        let result = 0;
+        let power = 1;
+        for (const series of seriesList) {
+            let sum = 0;
+            for (const [A, B, C] of series) {
+                sum += A * Math.cos(B + C * t);
+            }
+            result += sum * power;
+            power *= t;
+        }
+        return result;
+    }
+}
\ No newline at end of file
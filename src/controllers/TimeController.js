@@ -16,6 +16,12 @@ export class TimeController {
         // 时间范围限制
         this.minDate = new Date('1900-01-01');
         this.maxDate = new Date('2100-12-31');
+        
+        // 天象事件列表（按时间排序），由 EventSearch 的搜索结果填充
+        this.events = [];
+        
+        // 事件搜索器，用于计算节气的精确时刻；未设置时分至点退回近似日期
+        this.eventSearch = null;
     }
     
     /**
@@ -128,13 +134,58 @@ export class TimeController {
         this.setDate(new Date());
     }
     
+    /**
+     * 设置事件搜索器
+     * @param {import('../astronomy/EventSearch.js').EventSearch} eventSearch
+     */
+    setEventSearch(eventSearch) {
+        this.eventSearch = eventSearch;
+    }
+    
+    /**
+     * 设置天象事件列表
+     * @param {Array<{id: string, date: Date, title: string}>} events - 事件列表，通常来自 EventSearch.search
+     */
+    setEvents(events) {
+        this.events = [...events].sort((a, b) => a.date - b.date);
+        this.emit('eventsChange', this.getEvents());
+    }
+    
+    /**
+     * 获取天象事件列表
+     */
+    getEvents() {
+        return [...this.events];
+    }
+    
     /**
      * 跳转到特定天文事件
+     * @param {Object|string} eventType - 事件对象、事件列表中的 id、节气标识（如 'lichun'），
+     *   或 'spring_equinox' 等分至点的英文键
+     * @param {number} [year] - 节气所在年份，默认当前年份
      */
     jumpToEvent(eventType, year = null) {
+        const event = typeof eventType === 'object' && eventType !== null
+            ? eventType
+            : this.events.find(item => item.id === eventType);
+        if (event) {
+            // 先通知精确时刻，便于监听方同步观测时间，再触发日期变化
+            this.emit('eventJump', event);
+            this.setDate(event.date);
+            return;
+        }
+        
         const targetYear = year || this.currentDate.getFullYear();
+        
+        // 节气与分至点：由太阳视黄经求出交节时刻
+        if (this.eventSearch && this.eventSearch.getSolarTerm(eventType)) {
+            this.jumpToEvent(this.eventSearch.findSolarTerm(eventType, targetYear));
+            return;
+        }
+        
         let targetDate;
         
+        // 未设置事件搜索器时只支持分至点的近似日期
         switch (eventType) {
             case 'spring_equinox':
                 // 春分 (大约3月20日)
@@ -160,6 +211,29 @@ export class TimeController {
         this.setDate(targetDate);
     }
     
+    /**
+     * 跳转到当前时刻之后的下一个事件
+     * @returns {Object|null} 跳转到的事件，没有更晚的事件时为 null
+     */
+    jumpToNextEvent() {
+        // 跳转后当前时刻即为事件时刻，留一分钟余量避免原地不动
+        const time = this.currentDate.getTime() + 60000;
+        const event = this.events.find(item => item.date.getTime() > time) || null;
+        if (event) this.jumpToEvent(event);
+        return event;
+    }
+    
+    /**
+     * 跳转到当前时刻之前的上一个事件
+     * @returns {Object|null} 跳转到的事件，没有更早的事件时为 null
+     */
+    jumpToPreviousEvent() {
+        const time = this.currentDate.getTime() - 60000;
+        const event = [...this.events].reverse().find(item => item.date.getTime() < time) || null;
+        if (event) this.jumpToEvent(event);
+        return event;
+    }
+    
     /**
      * 开始动画循环
      */
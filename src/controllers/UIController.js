@@ -1,3 +1,9 @@
+// 输入停顿多久后执行搜索 (毫秒)；模糊搜索一次需要数十毫秒，逐键搜索会拖慢输入
+const SEARCH_DELAY = 150;
+
+// 出没时刻的说明：按浏览器时区的当天计算与显示，与观测地经度无关
+const RISE_SET_HINT = '升、中天、落为浏览器时区所选日期 0 时起 24 小时内的时刻；观测地与浏览器不在同一时区时，对应观测地的日期可能相差一天';
+
 /**
  * UI控制器
  * 处理用户界面交互和信息显示
@@ -10,20 +16,65 @@ export class UIController {
             timeSpeed: document.getElementById('time-speed'),
             speedValue: document.getElementById('speed-value'),
             planetFocus: document.getElementById('planet-focus'),
+            viewMode: document.getElementById('view-mode'),
+            controlMode: document.getElementById('control-mode'),
+            landscape: document.getElementById('landscape'),
+            landscapeFile: document.getElementById('landscape-file'),
+            groundTransparent: document.getElementById('ground-transparent'),
+            showEquatorialGrid: document.getElementById('show-equatorial-grid'),
+            showEclipticGrid: document.getElementById('show-ecliptic-grid'),
+            showGalacticGrid: document.getElementById('show-galactic-grid'),
+            showAltAzGrid: document.getElementById('show-altaz-grid'),
+            showCelestialEquator: document.getElementById('show-celestial-equator'),
+            showMeridian: document.getElementById('show-meridian'),
+            viewReadout: document.getElementById('view-readout'),
+            historicalModel: document.getElementById('historical-model'),
+            ephemerisBackend: document.getElementById('ephemeris-backend'),
+            equinox: document.getElementById('equinox'),
+            eventList: document.getElementById('event-list'),
+            solarTerm: document.getElementById('solar-term'),
+            conjunctionThreshold: document.getElementById('conjunction-threshold'),
+            eventPrevious: document.getElementById('event-previous'),
+            eventSearch: document.getElementById('event-search'),
+            eventNext: document.getElementById('event-next'),
+            observerBody: document.getElementById('observer-body'),
             observerLocation: document.getElementById('observer-location'),
             fixedTime: document.getElementById('fixed-time'),
             playPause: document.getElementById('play-pause'),
             reset: document.getElementById('reset'),
             showConstellations: document.getElementById('show-constellations'),
             showPlanetOrbits: document.getElementById('show-planet-orbits'),
+            trailWindow: document.getElementById('trail-window'),
+            limitingMagnitude: document.getElementById('limiting-magnitude'),
+            limitingMagnitudeValue: document.getElementById('limiting-magnitude-value'),
+            bortleClass: document.getElementById('bortle-class'),
+            twinkle: document.getElementById('twinkle'),
             showEcliptic: document.getElementById('show-ecliptic'),
+            showEphemerisComparison: document.getElementById('show-ephemeris-comparison'),
             currentDate: document.getElementById('current-date'),
-            planetPositions: document.getElementById('planet-positions')
+            planetPositions: document.getElementById('planet-positions'),
+            ephemerisComparison: document.getElementById('ephemeris-comparison'),
+            modelComparison: document.getElementById('model-comparison'),
+            modelErrorChart: document.getElementById('model-error-chart'),
+            objectDetails: document.getElementById('object-details'),
+            objectDetailsTitle: document.getElementById('object-details-title'),
+            objectDetailsBody: document.getElementById('object-details-body'),
+            objectDetailsClose: document.getElementById('object-details-close'),
+            objectTrack: document.getElementById('object-track'),
+            objectSearch: document.getElementById('object-search'),
+            searchResults: document.getElementById('search-results'),
+            searchStatus: document.getElementById('search-status')
         };
         
         // 状态
         this.isPlaying = false;
         this.currentSpeed = 1;
+        this.isTracking = false;
+        this.searchResults = []; // 当前显示的搜索结果
+        this.activeSearchResult = 0;
+        this.searchTimer = null; // 输入停顿后才搜索，见 SEARCH_DELAY
+        this.eventSearchEnabled = true; // 天象事件只在地球上观测时可用
+        this.eventSearchBusy = false;
         
         // 事件监听器
         this.listeners = new Map();
@@ -70,6 +121,121 @@ export class UIController {
             });
         }
 
+        // 视图模式变化
+        if (this.elements.viewMode) {
+            this.elements.viewMode.addEventListener('change', (event) => {
+                this.emit('viewModeChange', event.target.value);
+            });
+        }
+        
+        // 相机控制方式变化
+        if (this.elements.controlMode) {
+            this.elements.controlMode.addEventListener('change', (event) => {
+                this.emit('controlModeChange', event.target.value);
+            });
+        }
+        
+        // 地面样式与上传的全景图
+        if (this.elements.landscape) {
+            this.elements.landscape.addEventListener('change', (event) => {
+                this.emit('landscapeChange', event.target.value);
+            });
+        }
+        
+        if (this.elements.landscapeFile) {
+            this.elements.landscapeFile.addEventListener('change', (event) => {
+                const file = event.target.files[0];
+                if (file) {
+                    this.emit('landscapeUpload', file);
+                }
+            });
+        }
+        
+        if (this.elements.groundTransparent) {
+            this.elements.groundTransparent.addEventListener('change', (event) => {
+                this.emit('groundTransparentChange', event.target.checked);
+            });
+        }
+        
+        // 坐标网格与参考线
+        const coordinateGrids = {
+            equatorial: this.elements.showEquatorialGrid,
+            ecliptic: this.elements.showEclipticGrid,
+            galactic: this.elements.showGalacticGrid,
+            altaz: this.elements.showAltAzGrid,
+            celestialEquator: this.elements.showCelestialEquator,
+            meridian: this.elements.showMeridian
+        };
+        Object.entries(coordinateGrids).forEach(([kind, checkbox]) => {
+            checkbox?.addEventListener('change', (event) => {
+                this.emit('coordinateGridChange', { kind, visible: event.target.checked });
+            });
+        });
+
+        // 历史模型对照变化
+        if (this.elements.historicalModel) {
+            this.elements.historicalModel.addEventListener('change', (event) => {
+                this.emit('historicalModelChange', event.target.value);
+            });
+        }
+
+        // 星历后端变化
+        if (this.elements.ephemerisBackend) {
+            this.elements.ephemerisBackend.addEventListener('change', (event) => {
+                this.emit('ephemerisBackendChange', event.target.value);
+            });
+        }
+
+        // 坐标历元变化
+        if (this.elements.equinox) {
+            this.elements.equinox.addEventListener('change', (event) => {
+                this.emit('equinoxChange', event.target.value);
+            });
+        }
+
+        // 天象事件：搜索、选择与前后跳转
+        if (this.elements.eventSearch) {
+            this.elements.eventSearch.addEventListener('click', () => {
+                const maxSeparation = parseFloat(this.elements.conjunctionThreshold?.value);
+                this.emit('eventSearch', { maxSeparation: maxSeparation > 0 ? maxSeparation : 3 });
+            });
+        }
+        
+        if (this.elements.eventList) {
+            this.elements.eventList.addEventListener('change', (event) => {
+                if (event.target.value) {
+                    this.emit('eventSelect', event.target.value);
+                }
+            });
+        }
+        
+        if (this.elements.solarTerm) {
+            this.elements.solarTerm.addEventListener('change', (event) => {
+                if (event.target.value) {
+                    this.emit('solarTermSelect', event.target.value);
+                }
+            });
+        }
+        
+        if (this.elements.eventPrevious) {
+            this.elements.eventPrevious.addEventListener('click', () => {
+                this.emit('eventPrevious');
+            });
+        }
+        
+        if (this.elements.eventNext) {
+            this.elements.eventNext.addEventListener('click', () => {
+                this.emit('eventNext');
+            });
+        }
+
+        // 观测平台变化
+        if (this.elements.observerBody) {
+            this.elements.observerBody.addEventListener('change', (event) => {
+                this.emit('observerBodyChange', event.target.value);
+            });
+        }
+
         // 观察地点变化
         if (this.elements.observerLocation) {
             this.elements.observerLocation.addEventListener('change', (event) => {
@@ -120,12 +286,89 @@ export class UIController {
             });
         }
         
+        // 星空亮度：极限星等、光污染与闪烁
+        if (this.elements.limitingMagnitude) {
+            this.elements.limitingMagnitude.addEventListener('input', (event) => {
+                const magnitude = parseFloat(event.target.value);
+                if (this.elements.limitingMagnitudeValue) {
+                    this.elements.limitingMagnitudeValue.textContent = magnitude.toFixed(1);
+                }
+                this.emit('limitingMagnitudeChange', magnitude);
+            });
+        }
+        
+        if (this.elements.bortleClass) {
+            this.elements.bortleClass.addEventListener('change', (event) => {
+                this.emit('bortleClassChange', parseInt(event.target.value, 10));
+            });
+        }
+        
+        if (this.elements.twinkle) {
+            this.elements.twinkle.addEventListener('change', (event) => {
+                this.emit('twinkleChange', event.target.checked);
+            });
+        }
+        
+        if (this.elements.trailWindow) {
+            this.elements.trailWindow.addEventListener('change', (event) => {
+                this.emit('trailWindowChange', parseInt(event.target.value, 10));
+            });
+        }
+        
         if (this.elements.showEcliptic) {
             this.elements.showEcliptic.addEventListener('change', (event) => {
                 this.emit('showEclipticChange', event.target.checked);
             });
         }
         
+        if (this.elements.showEphemerisComparison) {
+            this.elements.showEphemerisComparison.addEventListener('change', (event) => {
+                this.emit('showEphemerisComparisonChange', event.target.checked);
+            });
+        }
+        
+        // 天体搜索：输入停顿后搜索，↑/↓ 选择、回车转到、Esc 清空
+        if (this.elements.objectSearch) {
+            this.elements.objectSearch.addEventListener('input', () => {
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => this.flushSearch(), SEARCH_DELAY);
+            });
+            this.elements.objectSearch.addEventListener('keydown', (event) => {
+                if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                    event.preventDefault();
+                    const step = event.key === 'ArrowDown' ? 1 : -1;
+                    const count = this.searchResults.length;
+                    if (count > 0) {
+                        this.highlightSearchResult((this.activeSearchResult + step + count) % count);
+                    }
+                } else if (event.key === 'Enter') {
+                    event.preventDefault();
+                    // 停顿未到就回车时先按当前输入搜索
+                    if (this.searchTimer !== null) this.flushSearch();
+                    this.selectSearchResult(this.activeSearchResult);
+                } else if (event.key === 'Escape') {
+                    clearTimeout(this.searchTimer);
+                    this.searchTimer = null;
+                    event.target.value = '';
+                    this.setSearchResults([]);
+                    event.target.blur();
+                }
+            });
+        }
+        
+        // 天体信息卡：关闭与居中跟踪
+        if (this.elements.objectDetailsClose) {
+            this.elements.objectDetailsClose.addEventListener('click', () => {
+                this.emit('objectDetailsClose');
+            });
+        }
+        
+        if (this.elements.objectTrack) {
+            this.elements.objectTrack.addEventListener('click', () => {
+                this.emit('trackObjectChange', !this.isTracking);
+            });
+        }
+        
         // 键盘快捷键
         this.initializeKeyboardShortcuts();
     }
@@ -169,6 +412,18 @@ export class UIController {
                     event.preventDefault();
                     this.emit('jumpToToday');
                     break;
+                case 'BracketLeft':
+                    event.preventDefault();
+                    this.emit('eventPrevious');
+                    break;
+                case 'BracketRight':
+                    event.preventDefault();
+                    this.emit('eventNext');
+                    break;
+                case 'Slash':
+                    event.preventDefault();
+                    this.elements.objectSearch?.focus();
+                    break;
             }
         });
     }
@@ -234,8 +489,11 @@ export class UIController {
     
     /**
      * 更新行星信息显示
+     * @param {Object} planetPositions - 各天体位置
+     * @param {Object} [riseSet] - AstronomicalCalculator.calculateRiseTransitSet 的结果
+     * @param {Object} [retrogradeStates] - 各行星 AstronomicalCalculator.getRetrogradeState 的结果
      */
-    updatePlanetInfo(planetPositions) {
+    updatePlanetInfo(planetPositions, riseSet = {}, retrogradeStates = {}) {
         if (!this.elements.planetPositions) return;
         
         let infoHTML = '';
@@ -243,7 +501,13 @@ export class UIController {
         for (const [key, planet] of Object.entries(planetPositions)) {
             const ra = planet.celestialCoords.ra.toFixed(1);
             const dec = planet.celestialCoords.dec.toFixed(1);
-            const mag = planet.magnitude.toFixed(1);
+            const mag = Number.isFinite(planet.magnitude) ? planet.magnitude.toFixed(1) : '—';
+            // 月球及明显呈现相位的行星（如水星、金星）显示被照亮比例
+            const showPhase = planet.type !== 'sun' && planet.phase
+                && (planet.type === 'moon' || planet.phase.illuminatedFraction < 0.99);
+            const phaseInfo = showPhase
+                ? `<span>照亮: ${(planet.phase.illuminatedFraction * 100).toFixed(0)}%</span>`
+                : '';
             
             infoHTML += `
                 <div class="planet-info">
@@ -254,13 +518,558 @@ export class UIController {
                     <span>赤经: ${ra}h</span>
                     <span>赤纬: ${dec}°</span>
                     <span>星等: ${mag}</span>
+                    ${phaseInfo}
                 </div>
+                ${this.formatHorizonInfo(planet.horizontalCoords, riseSet[key])}
+                ${this.formatRetrogradeInfo(retrogradeStates[key])}
             `;
         }
         
         this.elements.planetPositions.innerHTML = infoHTML;
     }
     
+    /**
+     * 格式化顺行/逆行状态与下一次留
+     */
+    formatRetrogradeInfo(state) {
+        if (!state) return '';
+        
+        const motion = state.retrograde
+            ? '<span style="color: #f66;">逆行</span>'
+            : '<span>顺行</span>';
+        const next = state.nextStationary
+            ? `<span>下次留: ${state.nextStationary.date.toISOString().split('T')[0]} (${state.nextStationary.type === 'retrogradeStart' ? '转逆行' : '转顺行'})</span>`
+            : '';
+        
+        return `
+            <div class="planet-info" style="font-size: 10px; color: #999; margin-top: -6px; margin-bottom: 8px;">
+                ${motion}
+                ${next}
+            </div>
+        `;
+    }
+    
+    /**
+     * 格式化地平坐标与出没时刻（浏览器时区，见 RISE_SET_HINT）
+     */
+    formatHorizonInfo(horizontalCoords, riseSet) {
+        if (!horizontalCoords) return '';
+        
+        const formatTime = (date) => date
+            ? `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`
+            : '--:--';
+        
+        const position = horizontalCoords.aboveHorizon
+            ? `<span>高度: ${horizontalCoords.altitude.toFixed(1)}°</span><span>方位: ${horizontalCoords.azimuth.toFixed(1)}°</span>`
+            : `<span style="color: #c66;">地平线下 (${horizontalCoords.altitude.toFixed(1)}°)</span><span>方位: ${horizontalCoords.azimuth.toFixed(1)}°</span>`;
+        
+        let times = '';
+        if (riseSet?.state === 'circumpolar') {
+            times = `<span>拱极，全天不落</span><span>中天: ${formatTime(riseSet.transit)}</span>`;
+        } else if (riseSet?.state === 'neverRises') {
+            times = '<span>全天在地平线下</span>';
+        } else if (riseSet) {
+            times = `<span>升: ${formatTime(riseSet.rise)}</span><span>中天: ${formatTime(riseSet.transit)}</span><span>落: ${formatTime(riseSet.set)}</span>`;
+        }
+        
+        return `
+            <div class="planet-info" style="font-size: 10px; color: #999; margin-top: -6px; margin-bottom: 8px;">
+                ${position}
+            </div>
+            ${times ? `<div class="planet-info" style="font-size: 10px; color: #999; margin-top: -6px; margin-bottom: 8px;" title="${RISE_SET_HINT}">${times}</div>` : ''}
+        `;
+    }
+    
+    /**
+     * 更新星历模型比较表
+     * @param {Object|null} comparison - AstronomicalCalculator.compareEphemerides 的结果，null 时隐藏
+     */
+    updateEphemerisComparison(comparison) {
+        if (!this.elements.ephemerisComparison) return;
+        
+        if (!comparison) {
+            this.elements.ephemerisComparison.innerHTML = '';
+            return;
+        }
+        
+        let rowsHTML = '';
+        for (const item of Object.values(comparison)) {
+            const diff = item.supportedByVSOP87
+                ? `${item.separationArcmin.toFixed(1)}′`
+                : '仅开普勒';
+            rowsHTML += `
+                <div class="planet-info" style="font-size: 11px;">
+                    <span class="planet-name">${item.name}</span>
+                    <span>${item.keplerian.ra.toFixed(2)}h / ${item.vsop87.ra.toFixed(2)}h</span>
+                    <span style="color: #87ceeb;">${diff}</span>
+                </div>
+            `;
+        }
+        
+        this.elements.ephemerisComparison.innerHTML = `
+            <h4 style="margin: 10px 0 5px; color: #ffd700; font-size: 12px;">星历比较 (JPL 根数 / VSOP87，角距)</h4>
+            ${rowsHTML}
+        `;
+    }
+    
+    /**
+     * 更新历史模型对照：各行星的预报误差，以及一颗行星前后一年的角距误差曲线
+     * @param {Object|null} comparison - AstronomicalCalculator.compareModels 的结果，null 时隐藏
+     * @param {Object} [series] - AstronomicalCalculator.getModelErrorSeries 的结果
+     * @param {Date} [date] - 当前日期，在曲线上标出
+     */
+    updateModelComparison(comparison, series, date) {
+        if (!this.elements.modelComparison) return;
+        
+        if (!comparison) {
+            this.elements.modelComparison.innerHTML = '';
+            if (this.elements.modelErrorChart) {
+                this.elements.modelErrorChart.style.display = 'none';
+            }
+            return;
+        }
+        
+        let rowsHTML = '';
+        for (const item of Object.values(comparison)) {
+            const errors = Object.values(item.models)
+                .map(model => `<span style="color: ${model.modelColor};">${model.separation.toFixed(1)}°</span>`)
+                .join(' / ');
+            rowsHTML += `
+                <div class="planet-info" style="font-size: 11px;">
+                    <span class="planet-name">${item.name}</span>
+                    <span>${errors}</span>
+                </div>
+            `;
+        }
+        const legend = series.models
+            .map(model => `<span style="color: ${model.color};">${model.name}</span>`)
+            .join(' / ');
+        
+        this.elements.modelComparison.innerHTML = `
+            <h4 style="margin: 10px 0 5px; color: #ffd700; font-size: 12px;">历史模型与开普勒的地心角距 (${legend})</h4>
+            ${rowsHTML}
+            <div style="margin-top: 8px; font-size: 11px; color: #ccc;">${series.name}前后一年的误差</div>
+        `;
+        this.drawModelErrorChart(series, date);
+    }
+    
+    /**
+     * 在画布上绘制角距误差随时间的曲线
+     */
+    drawModelErrorChart(series, date) {
+        const canvas = this.elements.modelErrorChart;
+        if (!canvas) return;
+        canvas.style.display = 'block';
+        
+        const context = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const padding = { left: 30, right: 8, top: 8, bottom: 18 };
+        const start = series.samples[0].date.getTime();
+        const end = series.samples[series.samples.length - 1].date.getTime();
+        const maxError = Math.max(1, ...series.samples.flatMap(sample => Object.values(sample.errors)));
+        const top = Math.ceil(maxError / 5) * 5;
+        const toX = (time) => padding.left + (time - start) / (end - start) * (width - padding.left - padding.right);
+        const toY = (error) => height - padding.bottom - error / top * (height - padding.top - padding.bottom);
+        
+        context.clearRect(0, 0, width, height);
+        context.fillStyle = 'rgba(255, 255, 255, 0.05)';
+        context.fillRect(0, 0, width, height);
+        
+        // 坐标轴与刻度
+        context.strokeStyle = '#555';
+        context.fillStyle = '#aaa';
+        context.font = '10px Arial, sans-serif';
+        context.lineWidth = 1;
+        context.textAlign = 'right';
+        context.textBaseline = 'middle';
+        for (const value of [0, top / 2, top]) {
+            context.beginPath();
+            context.moveTo(padding.left, toY(value));
+            context.lineTo(width - padding.right, toY(value));
+            context.stroke();
+            context.fillText(`${value}°`, padding.left - 4, toY(value));
+        }
+        context.textAlign = 'center';
+        context.textBaseline = 'top';
+        const formatMonth = (time) => {
+            const d = new Date(time);
+            return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+        };
+        context.fillText(formatMonth(start), padding.left + 20, height - padding.bottom + 4);
+        context.fillText(formatMonth(end), width - padding.right - 20, height - padding.bottom + 4);
+        
+        // 每个模型一条曲线
+        context.lineWidth = 1.5;
+        for (const model of series.models) {
+            context.strokeStyle = model.color;
+            context.beginPath();
+            let drawing = false;
+            for (const sample of series.samples) {
+                const error = sample.errors[model.key];
+                if (error === undefined) continue;
+                const x = toX(sample.date.getTime());
+                const y = toY(error);
+                if (drawing) {
+                    context.lineTo(x, y);
+                } else {
+                    context.moveTo(x, y);
+                    drawing = true;
+                }
+            }
+            context.stroke();
+        }
+        
+        // 当前日期
+        if (date) {
+            context.strokeStyle = '#fff';
+            context.lineWidth = 1;
+            context.beginPath();
+            context.moveTo(toX(date.getTime()), padding.top);
+            context.lineTo(toX(date.getTime()), height - padding.bottom);
+            context.stroke();
+        }
+    }
+    
+    /**
+     * 立即按搜索框的内容发出 searchQuery，取消等待中的延迟搜索
+     */
+    flushSearch() {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = null;
+        this.emit('searchQuery', this.elements.objectSearch.value.trim());
+    }
+    
+    /**
+     * 显示搜索结果列表
+     * @param {Array<{ label: string, detail: string }>} results - CelestialSearch.search 的结果
+     */
+    setSearchResults(results) {
+        this.searchResults = results;
+        this.activeSearchResult = 0;
+        const container = this.elements.searchResults;
+        if (!container) return;
+        
+        container.innerHTML = '';
+        results.forEach((result, index) => {
+            const button = document.createElement('button');
+            button.className = 'search-result';
+            button.textContent = result.label;
+            const detail = document.createElement('small');
+            detail.textContent = result.detail;
+            button.appendChild(detail);
+            button.addEventListener('click', () => this.selectSearchResult(index));
+            container.appendChild(button);
+        });
+        this.highlightSearchResult(0);
+        
+        const query = this.elements.objectSearch?.value.trim();
+        this.setSearchStatus(query && results.length === 0 ? '没有找到匹配的天体' : '');
+    }
+    
+    /**
+     * 高亮键盘选中的搜索结果
+     */
+    highlightSearchResult(index) {
+        this.activeSearchResult = index;
+        const buttons = this.elements.searchResults?.children || [];
+        Array.from(buttons).forEach((button, i) => {
+            button.classList.toggle('active', i === index);
+        });
+    }
+    
+    /**
+     * 选中搜索结果：收起列表并通知转向该天体
+     */
+    selectSearchResult(index) {
+        const result = this.searchResults[index];
+        if (!result) return;
+        
+        if (this.elements.objectSearch) {
+            this.elements.objectSearch.value = result.label;
+        }
+        this.setSearchResults([]);
+        this.emit('searchSelect', result);
+    }
+    
+    /**
+     * 显示搜索状态提示，如目标在地平线下
+     * @param {string} message
+     * @param {boolean} [warning=false] - 以警示色显示
+     */
+    setSearchStatus(message, warning = false) {
+        if (!this.elements.searchStatus) return;
+        this.elements.searchStatus.textContent = message;
+        this.elements.searchStatus.style.color = warning ? '#f66' : '#999';
+    }
+    
+    /**
+     * 显示点选天体的信息卡
+     * @param {Object|null} details - null 时隐藏
+     * @param {string} details.name - 名称
+     * @param {string} details.kind - 类别，如 恒星、行星、星座
+     * @param {string} [details.subtitle] - 副标题（英文名等）
+     * @param {string} [details.catalogId] - 星表编号，如 HIP 27989
+     * @param {{ ra: number, dec: number }} details.celestialCoords - 赤经 (小时)、赤纬 (度)
+     * @param {string} details.equinox - 坐标历元
+     * @param {Object} details.horizontalCoords - 地平坐标，见 AstronomicalCalculator.calculateHorizontalCoords
+     * @param {number} [details.magnitude] - 视星等
+     * @param {number} [details.bv] - B-V 色指数
+     * @param {{ value: number, unit: string }} [details.distance] - 距离
+     * @param {string} [details.constellation] - 所在星座
+     * @param {number} [details.elongation] - 距角 (度)
+     */
+    showObjectDetails(details) {
+        const panel = this.elements.objectDetails;
+        if (!panel) return;
+        if (!details) {
+            panel.style.display = 'none';
+            return;
+        }
+        
+        const row = (label, value) => value === null || value === undefined
+            ? ''
+            : `<div class="planet-info"><span style="color: #999;">${label}</span><span>${value}</span></div>`;
+        const { celestialCoords, horizontalCoords, distance } = details;
+        const epoch = details.equinox === 'date' ? '瞬时' : 'J2000';
+        const horizon = horizontalCoords.aboveHorizon
+            ? `${horizontalCoords.altitude.toFixed(1)}° / ${horizontalCoords.azimuth.toFixed(1)}°`
+            : `<span style="color: #c66;">地平线下 ${horizontalCoords.altitude.toFixed(1)}°</span> / ${horizontalCoords.azimuth.toFixed(1)}°`;
+        
+        this.elements.objectDetailsTitle.textContent = details.name;
+        this.elements.objectDetailsBody.innerHTML = `
+            <div class="planet-info" style="font-size: 10px; color: #999; margin-bottom: 8px;">
+                <span>${details.kind}${details.subtitle ? ` · ${details.subtitle}` : ''}</span>
+                ${details.catalogId ? `<span>${details.catalogId}</span>` : ''}
+            </div>
+            ${row(`赤经 (${epoch})`, this.formatRightAscension(celestialCoords.ra))}
+            ${row(`赤纬 (${epoch})`, this.formatDeclination(celestialCoords.dec))}
+            ${row('高度 / 方位', horizon)}
+            ${row('星等', Number.isFinite(details.magnitude) ? details.magnitude.toFixed(2) : null)}
+            ${row('色指数 B-V', Number.isFinite(details.bv) ? details.bv.toFixed(2) : null)}
+            ${row('距离', distance ? `${distance.value.toPrecision(4)} ${distance.unit}` : null)}
+            ${row('所在星座', details.constellation)}
+            ${row('距角', Number.isFinite(details.elongation) ? `${details.elongation.toFixed(1)}°` : null)}
+        `;
+        panel.style.display = 'block';
+    }
+    
+    /**
+     * 同步居中跟踪按钮状态
+     */
+    setTrackingState(isTracking) {
+        this.isTracking = isTracking;
+        if (this.elements.objectTrack) {
+            this.elements.objectTrack.textContent = isTracking ? '停止跟踪' : '居中跟踪';
+            this.elements.objectTrack.className = isTracking ? 'btn btn-secondary' : 'btn btn-primary';
+        }
+    }
+    
+    /**
+     * 赤经 (小时) → 12h 34m 56s
+     */
+    formatRightAscension(hours) {
+        const totalSeconds = Math.round((((hours % 24) + 24) % 24) * 3600) % 86400;
+        const h = Math.floor(totalSeconds / 3600);
+        const m = Math.floor((totalSeconds % 3600) / 60);
+        const sec = totalSeconds % 60;
+        return `${h}h ${String(m).padStart(2, '0')}m ${String(sec).padStart(2, '0')}s`;
+    }
+    
+    /**
+     * 赤纬 (度) → +12° 34′ 56″
+     */
+    formatDeclination(degrees) {
+        const totalSeconds = Math.round(Math.abs(degrees) * 3600);
+        const d = Math.floor(totalSeconds / 3600);
+        const m = Math.floor((totalSeconds % 3600) / 60);
+        const sec = totalSeconds % 60;
+        return `${degrees < 0 ? '−' : '+'}${d}° ${String(m).padStart(2, '0')}′ ${String(sec).padStart(2, '0')}″`;
+    }
+    
+    /**
+     * 显示视线中心的地平坐标与视场
+     * @param {{ azimuth: number, altitude: number, fov: number }} view - StarMapRenderer.getViewHorizontal 的结果 (度)
+     */
+    updateViewReadout(view) {
+        const readout = this.elements.viewReadout;
+        if (!readout) return;
+        const directions = ['北', '东北', '东', '东南', '南', '西南', '西', '西北'];
+        const direction = directions[Math.round(view.azimuth / 45) % 8];
+        const fov = view.fov < 10 ? view.fov.toFixed(1) : view.fov.toFixed(0);
+        readout.textContent = `方位 ${view.azimuth.toFixed(1)}° (${direction})  高度 ${view.altitude.toFixed(1)}°  视场 ${fov}°`;
+    }
+    
+    /**
+     * 同步地面样式下拉框；上传全景图后启用"自定义全景图"选项
+     * @param {'procedural'|'none'|'custom'} style
+     */
+    setLandscapeStyle(style) {
+        const select = this.elements.landscape;
+        if (!select) return;
+        const custom = select.querySelector('option[value="custom"]');
+        if (style === 'custom' && custom) {
+            custom.disabled = false;
+        }
+        select.value = style;
+    }
+    
+    /**
+     * 根据天体注册表重建聚焦下拉框
+     * @param {Array<{key: string, name: string}>} bodies
+     */
+    setBodyOptions(bodies) {
+        const select = this.elements.planetFocus;
+        if (!select) return;
+        
+        const current = select.value || 'all';
+        select.innerHTML = '';
+        
+        const allOption = document.createElement('option');
+        allOption.value = 'all';
+        allOption.textContent = '全部显示';
+        select.appendChild(allOption);
+        
+        bodies.forEach(body => {
+            const option = document.createElement('option');
+            option.value = body.key;
+            option.textContent = body.name;
+            select.appendChild(option);
+        });
+        
+        // 当前聚焦的天体被移除时回退到全部显示
+        select.value = bodies.some(body => body.key === current) ? current : 'all';
+        if (select.value !== current) {
+            this.emit('planetFocusChange', select.value);
+        }
+    }
+    
+    /**
+     * 重建观测平台下拉框
+     * @param {Array<{key: string, name: string}>} bodies - 可作为观测平台的天体
+     * @param {string} current - 当前观测平台
+     */
+    setObserverBodyOptions(bodies, current) {
+        const select = this.elements.observerBody;
+        if (!select) return;
+        
+        select.innerHTML = '';
+        bodies.forEach(body => {
+            const option = document.createElement('option');
+            option.value = body.key;
+            option.textContent = body.name;
+            select.appendChild(option);
+        });
+        select.value = current;
+    }
+    
+    /**
+     * 启用或禁用天象事件搜索与节气跳转（在其他行星上观测时禁用）
+     * @param {boolean} enabled
+     */
+    setEventSearchEnabled(enabled) {
+        const title = enabled ? '' : '天象事件按地心计算，请切换回地球观测';
+        this.eventSearchEnabled = enabled;
+        [this.elements.eventSearch, this.elements.solarTerm].forEach(element => {
+            if (!element) return;
+            element.disabled = !enabled;
+            element.title = title;
+        });
+        this.setEventSearchBusy(this.eventSearchBusy);
+    }
+    
+    /**
+     * 标记天象事件搜索是否正在进行：进行中按钮显示"搜索中…"且不可再次点击
+     * @param {boolean} busy
+     */
+    setEventSearchBusy(busy) {
+        this.eventSearchBusy = busy;
+        const button = this.elements.eventSearch;
+        if (!button) return;
+        button.textContent = busy ? '搜索中…' : '搜索一年';
+        button.disabled = busy || !this.eventSearchEnabled;
+    }
+    
+    /**
+     * 重建天象事件下拉框
+     * @param {Array<{id: string, date: Date, title: string, separation?: number, eclipseMagnitude?: number}>} events - 按时间排序的事件
+     */
+    setEventOptions(events) {
+        const select = this.elements.eventList;
+        if (!select) return;
+        
+        select.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = events.length > 0 ? `共 ${events.length} 个事件` : '（范围内没有事件）';
+        select.appendChild(placeholder);
+        
+        events.forEach(event => {
+            const option = document.createElement('option');
+            option.value = event.id;
+            const time = event.date.toLocaleString('zh-CN', {
+                year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hour12: false
+            });
+            let detail = '';
+            if (Number.isFinite(event.separation)) {
+                detail = ` (${event.separation.toFixed(2)}°)`;
+            } else if (Number.isFinite(event.eclipseMagnitude)) {
+                detail = ` (食分 ${event.eclipseMagnitude.toFixed(3)})`;
+            }
+            option.textContent = `${time} ${event.title}${detail}`;
+            select.appendChild(option);
+        });
+    }
+    
+    /**
+     * 填充二十四节气下拉框
+     * @param {Array<{key: string, name: string}>} terms - 节气列表
+     */
+    setSolarTermOptions(terms) {
+        const select = this.elements.solarTerm;
+        if (!select) return;
+        
+        select.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = '选择节气';
+        select.appendChild(placeholder);
+        
+        terms.forEach(term => {
+            const option = document.createElement('option');
+            option.value = term.key;
+            option.textContent = term.name;
+            select.appendChild(option);
+        });
+    }
+    
+    /**
+     * 在事件下拉框中选中指定事件（不触发 eventSelect）
+     */
+    setSelectedEvent(id) {
+        if (this.elements.eventList) {
+            this.elements.eventList.value = id || '';
+        }
+    }
+    
+    /**
+     * 在节气下拉框中选中指定节气，非节气事件时清空选择
+     */
+    setSelectedSolarTerm(key) {
+        if (this.elements.solarTerm) {
+            this.elements.solarTerm.value = key || '';
+        }
+    }
+    
+    /**
+     * 同步观测时间输入框
+     * @param {string} hhmm - HH:MM
+     */
+    setFixedTime(hhmm) {
+        if (this.elements.fixedTime) {
+            this.elements.fixedTime.value = hhmm;
+        }
+    }
+    
     /**
      * 更新速度显示
      */
@@ -330,10 +1139,17 @@ R: 重置
 T: 跳转到今天
 方向键 ←/→: 前进/后退一天
 方向键 ↑/↓: 增加/减少时间速度
+[ / ]: 上一个/下一个天象事件
+/: 搜索天体
 
 鼠标操作：
-拖拽: 旋转视角
-滚轮: 缩放
+拖拽: 转动视线 (观测者视角) / 旋转天球 (环绕视角)
+滚轮: 缩放视场 (观测者视角 180°–1°) / 拉近拉远 (环绕视角)
+单击天体: 查看信息，可居中跟踪
+
+观测者视角：
+W/A/S/D: 向上/左/下/右转动视线
++ / -: 缩小/放大视场
         `;
         alert(helpText);
     }
@@ -0,0 +1,247 @@
+// 希腊字母 → 拉丁拼写，使 "α Sco" 与 "alpha Sco" 都能匹配
+const GREEK_LETTERS = {
+    'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'δ': 'delta', 'ε': 'epsilon', 'ζ': 'zeta',
+    'η': 'eta', 'θ': 'theta', 'ι': 'iota', 'κ': 'kappa', 'λ': 'lambda', 'μ': 'mu',
+    'ν': 'nu', 'ξ': 'xi', 'ο': 'omicron', 'π': 'pi', 'ρ': 'rho', 'σ': 'sigma',
+    'τ': 'tau', 'υ': 'upsilon', 'φ': 'phi', 'χ': 'chi', 'ψ': 'psi', 'ω': 'omega'
+};
+
+// 太阳系天体的英文名（注册表中只有中文名）
+const BODY_ALIASES = {
+    sun: ['Sun', 'Sol'],
+    moon: ['Moon', 'Luna'],
+    mercury: ['Mercury'],
+    venus: ['Venus'],
+    earth: ['Earth'],
+    mars: ['Mars'],
+    jupiter: ['Jupiter'],
+    saturn: ['Saturn'],
+    uranus: ['Uranus'],
+    neptune: ['Neptune'],
+    pluto: ['Pluto']
+};
+
+// 同分时的排序：太阳系天体、星座、恒星
+const TYPE_ORDER = { planet: 0, constellation: 1, star: 2 };
+
+/**
+ * 天体搜索
+ * 在行星、88 星座与有名称的恒星中按中文名、英文名、拜耳/弗兰斯蒂德命名与 HIP 星号模糊查找
+ * 匹配程度依次为：完全相同、前缀、包含、少量拼写错误 (编辑距离 1–2)、按顺序包含全部字符
+ * 结果的 selection 与 StarMapRenderer.pickObject 的返回值结构相同
+ */
+export class CelestialSearch {
+    /**
+     * @param {import('./ConstellationData.js').ConstellationData} constellationData - 已加载的星座与恒星数据
+     * @param {Array<{key: string, name: string}>} [bodies] - 太阳系天体，见 AstronomicalCalculator.getBodies
+     */
+    constructor(constellationData, bodies = []) {
+        this.constellationData = constellationData;
+        this.bodyEntries = [];
+        this.catalogEntries = this.buildCatalogEntries();
+        this.setBodies(bodies);
+    }
+
+    /**
+     * 更新太阳系天体（天体注册表变化时调用）
+     */
+    setBodies(bodies) {
+        this.bodyEntries = bodies.map(body => this.createEntry(
+            { type: 'planet', key: body.key },
+            body.name,
+            body.key === 'sun' ? '太阳' : body.key === 'moon' ? '月球' : '太阳系天体',
+            [body.name, body.key, ...(BODY_ALIASES[body.key] || [])],
+            0
+        ));
+    }
+
+    /**
+     * 建立星座与恒星的索引
+     */
+    buildCatalogEntries() {
+        const entries = [];
+        const constellationNames = new Map();
+
+        for (const [key, constellation] of this.constellationData.getConstellations()) {
+            constellationNames.set(constellation.abbr, constellation.name);
+            entries.push(this.createEntry(
+                { type: 'constellation', key },
+                `${constellation.name} ${constellation.latin || ''}`.trim(),
+                '星座',
+                [constellation.name, constellation.english, constellation.latin, constellation.abbr, key],
+                0
+            ));
+        }
+
+        for (const star of this.constellationData.getNamedStars().values()) {
+            const constellationName = constellationNames.get(star.constellation);
+            const aliases = [star.name, star.nameZh];
+            if (star.bayer && star.constellation) {
+                aliases.push(`${star.bayer} ${star.constellation}`);
+                if (constellationName) {
+                    // 中文习惯：天蝎座α、天蝎α
+                    aliases.push(`${constellationName}${star.bayer}`, `${constellationName.replace(/座$/, '')}${star.bayer}`);
+                }
+            }
+            if (star.flamsteed && star.constellation) {
+                aliases.push(`${star.flamsteed} ${star.constellation}`);
+            }
+            entries.push(this.createEntry(
+                { type: 'star', star },
+                star.nameZh ? `${star.nameZh} ${star.name}` : star.name,
+                `恒星 · ${constellationName || star.constellation || ''} · ${star.mag.toFixed(1)} 等`,
+                aliases,
+                star.mag
+            ));
+        }
+
+        return entries;
+    }
+
+    /**
+     * 创建索引条目，别名预先规范化；magnitude 只用于同类条目按亮度排序
+     */
+    createEntry(selection, label, detail, aliases, magnitude) {
+        return {
+            selection,
+            label,
+            detail,
+            magnitude,
+            aliases: [...new Set(aliases.filter(Boolean).map(alias => CelestialSearch.normalize(alias)))]
+        };
+    }
+
+    /**
+     * 模糊搜索
+     * @param {string} query - 查询文本
+     * @param {number} [limit=10] - 最多返回条数
+     * @returns {Array<{ selection: Object, label: string, detail: string }>} 按匹配程度、类别与亮度排序
+     */
+    search(query, limit = 10) {
+        const normalized = CelestialSearch.normalize(query || '');
+        if (!normalized) return [];
+
+        const matches = [];
+        // HIP 星号直接查星表，不要求恒星有名称
+        const hipMatch = /^(?:hip)?(\d+)$/.exec(normalized);
+        if (hipMatch) {
+            const star = this.constellationData.getStar(Number(hipMatch[1]));
+            if (star) {
+                matches.push({
+                    score: -1,
+                    entry: this.createEntry({ type: 'star', star }, `HIP ${star.hip}${star.name !== `HIP ${star.hip}` ? ` ${star.name}` : ''}`,
+                        `恒星 · ${star.mag.toFixed(1)} 等`, [], star.mag)
+                });
+            }
+        }
+
+        for (const entry of [...this.bodyEntries, ...this.catalogEntries]) {
+            let best = Infinity;
+            for (const alias of entry.aliases) {
+                best = Math.min(best, CelestialSearch.matchScore(normalized, alias));
+                if (best === 0) break;
+            }
+            if (best < Infinity) {
+                matches.push({ score: best, entry });
+            }
+        }
+
+        matches.sort((a, b) => a.score - b.score
+            || TYPE_ORDER[a.entry.selection.type] - TYPE_ORDER[b.entry.selection.type]
+            || a.entry.magnitude - b.entry.magnitude);
+
+        const seen = new Set();
+        const results = [];
+        for (const { entry } of matches) {
+            const id = this.getSelectionId(entry.selection);
+            if (seen.has(id)) continue;
+            seen.add(id);
+            results.push({ selection: entry.selection, label: entry.label, detail: entry.detail });
+            if (results.length >= limit) break;
+        }
+        return results;
+    }
+
+    /**
+     * 选择对象的唯一标识，用于去重
+     */
+    getSelectionId(selection) {
+        if (selection.type === 'star') {
+            return `star:${selection.star.hip ?? `${selection.star.ra},${selection.star.dec}`}`;
+        }
+        return `${selection.type}:${selection.key}`;
+    }
+
+    /**
+     * 单个别名的匹配分数，越小越好；不匹配时为 Infinity
+     * 拼写错误排在按顺序包含之前：后者在长名称中很容易偶然成立
+     */
+    static matchScore(query, alias) {
+        if (alias === query) return 0;
+        if (alias.startsWith(query)) return 1;
+        if (alias.includes(query)) return 2;
+
+        // 拼写错误：与整个别名或同长度的前缀比较
+        const maxEdits = query.length >= 8 ? 2 : query.length >= 4 ? 1 : 0;
+        if (maxEdits > 0) {
+            const distance = Math.min(
+                CelestialSearch.editDistance(query, alias, maxEdits),
+                CelestialSearch.editDistance(query, alias.slice(0, query.length), maxEdits)
+            );
+            if (distance <= maxEdits) return 2 + distance;
+        }
+        if (query.length >= 3 && CelestialSearch.isSubsequence(query, alias)) return 5;
+        return Infinity;
+    }
+    
+    /**
+     * query 的字符是否按顺序出现在 text 中
+     */
+    static isSubsequence(query, text) {
+        let index = 0;
+        for (const char of text) {
+            if (char === query[index]) index++;
+            if (index === query.length) return true;
+        }
+        return false;
+    }
+
+    /**
+     * 编辑距离（含相邻字符对调），超过 maxEdits 时提前返回
+     */
+    static editDistance(a, b, maxEdits) {
+        if (Math.abs(a.length - b.length) > maxEdits) return maxEdits + 1;
+
+        let previous2 = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (previous2 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previous2[j - 2] + 1);
+                }
+                current.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > maxEdits) return maxEdits + 1;
+            previous2 = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * 规范化文本：小写、去掉变音符号与空白标点、希腊字母转为拼写
+     */
+    static normalize(text) {
+        return String(text)
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[α-ω]/g, letter => GREEK_LETTERS[letter] || letter)
+            .replace(/[\s\-_.'’·,]+/g, '');
+    }
+}
\ No newline at end of file
@@ -1,359 +1,172 @@
+import { ConstellationBoundaries } from '../astronomy/ConstellationBoundaries.js';
+
 /**
  * 星座数据管理器
- * 提供星座的星点连线数据，用于在星图中绘制星座图案
+ * 提供全部 88 个 IAU 星座的星点连线数据，用于在星图中绘制星座图案
+ * 连线取自 public/data/constellations.json，恒星位置来自同目录下的 HYG 星表
  */
 export class ConstellationData {
     constructor() {
         this.constellations = new Map();
-        this.stars = new Map();
+        this.stars = new Map(); // HIP → 有名称或在连线中的恒星
+        this.catalogByHip = new Map(); // HIP → 星表条目
+        this.starNames = {};
         this.brightStars = new Map();
+        this.boundaries = new ConstellationBoundaries();
     }
     
     /**
      * 加载星座数据
+     * 星座连线以 HIP 星号给出，恒星位置与星等从 HYG 星表按 HIP 星号查得
+     * @param {{ catalogUrl?: string, constellationsUrl?: string }} [options]
      */
-    async load() {
-        // 加载主要星座数据
-        this.loadMajorConstellations();
-        // 加载亮星数据
+    async load(options = {}) {
+        const {
+            catalogUrl = './data/hyg_v3_mag6.json',
+            constellationsUrl = './data/constellations.json'
+        } = options;
+
+        // 加载亮星数据（内置，不依赖数据文件）
         this.loadBrightStars();
+        // 加载全部 88 个星座
+        const [catalog, data] = await Promise.all([
+            this.fetchJson(catalogUrl),
+            this.fetchJson(constellationsUrl)
+        ]);
+        this.loadConstellations(data, catalog);
+        // 亮星的中文名取自星座数据
+        for (const star of this.brightStars.values()) {
+            star.nameZh = this.starNames[star.hip]?.nameZh;
+        }
+    }
+
+    /**
+     * 请求 JSON 数据文件
+     */
+    async fetchJson(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`星座数据请求失败：${url} ${response.status} ${response.statusText}`);
+        }
+        return response.json();
     }
     
     /**
-     * 加载主要星座数据
-     * 包含12黄道星座和其他重要星座
+     * 由星座数据文件与星表建立星座
+     * 数据文件格式：
+     *   constellations  [{ key, abbr, name, english, latin, rank, lines: [[hipA, hipB], ...] }]
+     *   stars           { [hip]: { name?, nameZh?, bayer?, flamsteed?, constellation? } }
+     * rank 为星座的显著程度 (1 最显著，3 最暗弱)；stars 含连线恒星及星表中其他有专名、拜耳名或弗兰斯蒂德名的恒星，
+     * constellation 为命名所属星座的缩写
+     * @param {Object} data - 星座数据
+     * @param {Array<{ ra: number, dec: number, mag: number, bv?: number, hip?: number }>} catalog - 星表
      */
-    loadMajorConstellations() {
-        // 黄道十二星座和其他重要星座的主要星点连线数据
-        const constellationData = {
-            // 黄道十二星座
-            'aries': {
-                name: '白羊座',
-                english: 'Aries',
-                stars: [
-                    { name: 'Hamal', ra: 31.8, dec: 23.5, mag: 2.0 },
-                    { name: 'Sheratan', ra: 28.7, dec: 20.8, mag: 2.6 },
-                    { name: 'Mesarthim', ra: 28.4, dec: 19.3, mag: 3.9 },
-                    { name: 'Botein', ra: 44.9, dec: 19.7, mag: 4.3 },
-                    { name: '35 Arietis', ra: 41.9, dec: 27.7, mag: 4.7 },
-                    { name: '39 Arietis', ra: 44.1, dec: 29.2, mag: 4.5 },
-                    { name: '33 Arietis', ra: 40.6, dec: 27.0, mag: 5.3 }
-                ],
-                lines: [[0, 1], [1, 2], [0, 4], [4, 5], [5, 3], [0, 6]]
-            },
-            
-            'taurus': {
-                name: '金牛座',
-                english: 'Taurus',
-                stars: [
-                    { name: 'Aldebaran', ra: 68.9, dec: 16.5, mag: 0.9 },
-                    { name: 'Elnath', ra: 81.6, dec: 28.6, mag: 1.7 },
-                    { name: 'Ain', ra: 67.2, dec: 19.2, mag: 3.5 },
-                    { name: 'Prima Hyadum', ra: 65.7, dec: 15.6, mag: 3.7 }
-                ],
-                lines: [[0, 1], [0, 2], [0, 3]]
-            },
-            
-            'gemini': {
-                name: '双子座',
-                english: 'Gemini',
-                stars: [
-                    { name: 'Castor', ra: 113.6, dec: 31.9, mag: 1.6 },
-                    { name: 'Pollux', ra: 116.3, dec: 28.0, mag: 1.1 },
-                    { name: 'Alhena', ra: 99.4, dec: 16.4, mag: 1.9 },
-                    { name: 'Wasat', ra: 107.8, dec: 22.0, mag: 3.5 },
-                    { name: 'Mebsuta', ra: 95.7, dec: 25.1, mag: 3.0 },
-                    { name: 'Tejat', ra: 93.7, dec: 22.5, mag: 2.9 },
-                    { name: 'Mekbuda', ra: 109.2, dec: 25.0, mag: 3.8 },
-                    { name: 'Propus', ra: 94.3, dec: 22.5, mag: 3.3 }
-                ],
-                lines: [[0, 1], [1, 2], [2, 5], [5, 7], [7, 4], [4, 0], [3, 6], [6, 1], [0, 3]]
-            },
-            
-            'cancer': {
-                name: '巨蟹座',
-                english: 'Cancer',
-                stars: [
-                    { name: 'Acubens', ra: 134.6, dec: 11.9, mag: 4.3 },
-                    { name: 'Al Tarf', ra: 131.2, dec: 9.2, mag: 3.5 },
-                    { name: 'Asellus Australis', ra: 130.1, dec: 18.2, mag: 3.9 },
-                    { name: 'Asellus Borealis', ra: 129.0, dec: 21.5, mag: 4.7 }
-                ],
-                lines: [[0, 1], [1, 2], [2, 3]]
-            },
-            
-            'leo': {
-                name: '狮子座',
-                english: 'Leo',
-                stars: [
-                    { name: 'Regulus', ra: 152.1, dec: 11.9, mag: 1.4 },
-                    { name: 'Denebola', ra: 177.3, dec: 14.6, mag: 2.1 },
-                    { name: 'Algieba', ra: 154.9, dec: 19.8, mag: 2.6 },
-                    { name: 'Zosma', ra: 169.6, dec: 20.5, mag: 2.6 },
-                    { name: 'Adhafera', ra: 153.7, dec: 23.4, mag: 3.4 },
-                    { name: 'Chort', ra: 168.6, dec: 15.4, mag: 3.3 },
-                    { name: 'Ras Elased Australis', ra: 148.2, dec: 23.8, mag: 3.9 },
-                    { name: 'Ras Elased Borealis', ra: 148.0, dec: 26.0, mag: 4.0 },
-                    { name: 'Subra', ra: 143.7, dec: 9.9, mag: 3.5 }
-                ],
-                lines: [[0, 2], [2, 4], [4, 6], [6, 7], [2, 3], [3, 5], [5, 1], [0, 8]]
-            },
-            
-            'virgo': {
-                name: '处女座',
-                english: 'Virgo',
-                stars: [
-                    { name: 'Spica', ra: 201.3, dec: -11.2, mag: 1.0 },
-                    { name: 'Zavijava', ra: 188.6, dec: 1.8, mag: 3.6 },
-                    { name: 'Porrima', ra: 190.4, dec: -1.4, mag: 2.7 },
-                    { name: 'Vindemiatrix', ra: 195.5, dec: 10.9, mag: 2.9 }
-                ],
-                lines: [[1, 2], [2, 0], [2, 3]]
-            },
-            
-            'libra': {
-                name: '天秤座',
-                english: 'Libra',
-                stars: [
-                    { name: 'Zubeneschamali', ra: 229.3, dec: -9.4, mag: 2.6 },
-                    { name: 'Zubenelgenubi', ra: 222.7, dec: -16.0, mag: 2.8 },
-                    { name: 'Brachium', ra: 233.8, dec: -15.4, mag: 3.3 }
-                ],
-                lines: [[0, 1], [1, 2]]
-            },
-            
-            'scorpius': {
-                name: '天蝎座',
-                english: 'Scorpius',
-                stars: [
-                    { name: 'Antares', ra: 247.4, dec: -26.4, mag: 1.1 },
-                    { name: 'Shaula', ra: 263.4, dec: -37.1, mag: 1.6 },
-                    { name: 'Sargas', ra: 264.3, dec: -43.0, mag: 1.9 },
-                    { name: 'Dschubba', ra: 240.1, dec: -22.6, mag: 2.3 }
-                ],
-                lines: [[3, 0], [0, 1], [1, 2]]
-            },
-            
-            'sagittarius': {
-                name: '射手座',
-                english: 'Sagittarius',
-                stars: [
-                    { name: 'Kaus Australis', ra: 276.0, dec: -34.4, mag: 1.8 },
-                    { name: 'Nunki', ra: 283.8, dec: -26.3, mag: 2.0 },
-                    { name: 'Ascella', ra: 290.7, dec: -29.9, mag: 2.6 },
-                    { name: 'Kaus Media', ra: 278.3, dec: -29.8, mag: 2.7 }
-                ],
-                lines: [[0, 3], [3, 1], [1, 2]]
-            },
-            
-            'capricornus': {
-                name: '摩羯座',
-                english: 'Capricornus',
-                stars: [
-                    { name: 'Deneb Algedi', ra: 322.2, dec: -16.1, mag: 2.9 },
-                    { name: 'Dabih', ra: 305.3, dec: -14.8, mag: 3.1 },
-                    { name: 'Nashira', ra: 325.0, dec: -16.7, mag: 3.7 }
-                ],
-                lines: [[1, 0], [0, 2]]
-            },
-            
-            'aquarius': {
-                name: '水瓶座',
-                english: 'Aquarius',
-                stars: [
-                    { name: 'Sadalsuud', ra: 322.9, dec: -5.6, mag: 2.9 },
-                    { name: 'Sadalmelik', ra: 331.4, dec: -0.3, mag: 3.0 },
-                    { name: 'Sadachbia', ra: 334.2, dec: -7.8, mag: 3.8 }
-                ],
-                lines: [[0, 1], [1, 2]]
-            },
-            
-            'pisces': {
-                name: '双鱼座',
-                english: 'Pisces',
-                stars: [
-                    { name: 'Alpherg', ra: 350.2, dec: 3.8, mag: 3.6 },
-                    { name: 'Fumalsamakah', ra: 349.3, dec: 6.4, mag: 4.5 },
-                    { name: 'Alrescha', ra: 30.5, dec: 2.8, mag: 4.3 }
-                ],
-                lines: [[0, 1], [1, 2]]
-            },
-
-            // 其他重要星座
-            'ursa_major': {
-                name: '大熊座',
-                english: 'Ursa Major',
-                stars: [
-                    { name: 'Dubhe', ra: 165.9, dec: 61.8, mag: 1.8 },
-                    { name: 'Merak', ra: 165.5, dec: 56.4, mag: 2.4 },
-                    { name: 'Phecda', ra: 178.5, dec: 53.7, mag: 2.4 },
-                    { name: 'Megrez', ra: 183.9, dec: 57.0, mag: 3.3 },
-                    { name: 'Alioth', ra: 193.5, dec: 55.9, mag: 1.8 },
-                    { name: 'Mizar', ra: 200.9, dec: 54.9, mag: 2.1 },
-                    { name: 'Alkaid', ra: 206.9, dec: 49.3, mag: 1.9 },
-                    { name: 'Talitha', ra: 134.8, dec: 48.0, mag: 3.1 },
-                    { name: 'Tania Borealis', ra: 155.6, dec: 41.5, mag: 3.1 },
-                    { name: 'Tania Australis', ra: 154.3, dec: 38.3, mag: 3.1 },
-                    { name: 'Alula Borealis', ra: 169.6, dec: 33.1, mag: 3.5 },
-                    { name: 'Alula Australis', ra: 169.5, dec: 31.5, mag: 3.8 },
-                    { name: 'Muscida', ra: 130.0, dec: 60.7, mag: 3.4 }
-                ],
-                lines: [[0, 1], [1, 2], [2, 3], [3, 4], [4, 5], [5, 6], [0, 12], [1, 8], [8, 9], [2, 10], [10, 11]]
-            },
+    loadConstellations(data, catalog) {
+        if (!data || !Array.isArray(data.constellations)) {
+            throw new Error('星座数据格式错误：缺少 constellations 数组');
+        }
+        if (!Array.isArray(catalog)) {
+            throw new Error('星表格式错误：期望为数组');
+        }
 
-            'ursa_minor': {
-                name: '小熊座',
-                english: 'Ursa Minor',
-                stars: [
-                    { name: 'Polaris', ra: 37.9, dec: 89.3, mag: 2.0 },
-                    { name: 'Kochab', ra: 222.7, dec: 74.2, mag: 2.1 },
-                    { name: 'Pherkad', ra: 230.2, dec: 71.8, mag: 3.0 },
-                    { name: 'Yildun', ra: 263.1, dec: 86.6, mag: 4.4 }
-                ],
-                lines: [[0, 1], [1, 2], [2, 3], [3, 0]]
-            },
+        this.catalogByHip.clear();
+        for (const entry of catalog) {
+            if (Number.isInteger(entry.hip)) {
+                this.catalogByHip.set(entry.hip, entry);
+            }
+        }
+        this.starNames = data.stars || {};
 
-            'orion': {
-                name: '猎户座',
-                english: 'Orion',
-                stars: [
-                    { name: 'Betelgeuse', ra: 88.8, dec: 7.4, mag: 0.5 },
-                    { name: 'Rigel', ra: 78.6, dec: -8.2, mag: 0.1 },
-                    { name: 'Bellatrix', ra: 81.3, dec: 6.3, mag: 1.6 },
-                    { name: 'Mintaka', ra: 83.0, dec: -0.3, mag: 2.2 },
-                    { name: 'Alnilam', ra: 84.1, dec: -1.2, mag: 1.7 },
-                    { name: 'Alnitak', ra: 85.2, dec: -1.9, mag: 1.9 },
-                    { name: 'Saiph', ra: 86.9, dec: -9.7, mag: 2.1 },
-                    { name: 'Meissa', ra: 83.8, dec: 9.9, mag: 3.4 },
-                    { name: 'Hatysa', ra: 84.7, dec: -2.6, mag: 3.7 },
-                    { name: 'Tabit', ra: 76.6, dec: 6.3, mag: 3.2 },
-                    { name: 'Nair al Saif', ra: 85.4, dec: -5.9, mag: 2.8 }
-                ],
-                lines: [[0, 2], [2, 3], [3, 4], [4, 5], [5, 1], [1, 6], [3, 6], [7, 0], [7, 2], [2, 9], [4, 8], [5, 10]]
-            },
+        this.constellations.clear();
+        this.stars.clear();
+        for (const constellation of data.constellations) {
+            const stars = [];
+            const indexByHip = new Map();
+            const lines = [];
 
-            'canis_major': {
-                name: '大犬座',
-                english: 'Canis Major',
-                stars: [
-                    { name: 'Sirius', ra: 101.3, dec: -16.7, mag: -1.5 },
-                    { name: 'Mirzam', ra: 95.7, dec: -17.9, mag: 1.9 },
-                    { name: 'Wezen', ra: 107.1, dec: -26.4, mag: 1.8 },
-                    { name: 'Adhara', ra: 104.7, dec: -28.9, mag: 1.5 }
-                ],
-                lines: [[0, 1], [1, 2], [2, 3]]
-            },
+            const indexOf = (hip) => {
+                if (!indexByHip.has(hip)) {
+                    const star = this.getCatalogStar(hip, constellation.abbr);
+                    if (!star) return -1;
+                    indexByHip.set(hip, stars.length);
+                    stars.push(star);
+                }
+                return indexByHip.get(hip);
+            };
 
-            'canis_minor': {
-                name: '小犬座',
-                english: 'Canis Minor',
-                stars: [
-                    { name: 'Procyon', ra: 114.8, dec: 5.2, mag: 0.3 },
-                    { name: 'Gomeisa', ra: 111.8, dec: 8.3, mag: 2.9 }
-                ],
-                lines: [[0, 1]]
-            },
+            for (const [hipA, hipB] of constellation.lines) {
+                const a = indexOf(hipA);
+                const b = indexOf(hipB);
+                // 星表中缺少的恒星跳过相应连线，不影响星座其余部分
+                if (a >= 0 && b >= 0) {
+                    lines.push([a, b]);
+                }
+            }
 
-            'cygnus': {
-                name: '天鹅座',
-                english: 'Cygnus',
-                stars: [
-                    { name: 'Deneb', ra: 310.4, dec: 45.3, mag: 1.3 },
-                    { name: 'Sadr', ra: 305.5, dec: 40.2, mag: 2.2 },
-                    { name: 'Gienah', ra: 304.5, dec: 33.4, mag: 2.5 },
-                    { name: 'Delta Cygni', ra: 299.6, dec: 45.1, mag: 2.9 },
-                    { name: 'Albireo', ra: 292.7, dec: 27.9, mag: 3.1 }
-                ],
-                lines: [[0, 1], [1, 2], [1, 3], [3, 4]]
-            },
+            this.constellations.set(constellation.key, {
+                name: constellation.name,
+                english: constellation.english,
+                latin: constellation.latin,
+                abbr: constellation.abbr,
+                rank: constellation.rank,
+                stars,
+                lines
+            });
+        }
 
-            'lyra': {
-                name: '天琴座',
-                english: 'Lyra',
-                stars: [
-                    { name: 'Vega', ra: 279.2, dec: 38.8, mag: 0.0 },
-                    { name: 'Sheliak', ra: 282.5, dec: 33.4, mag: 3.5 },
-                    { name: 'Sulafat', ra: 284.9, dec: 32.7, mag: 3.3 }
-                ],
-                lines: [[0, 1], [1, 2]]
-            },
+        const figureStars = this.stars.size;
+        // 其余有名称的恒星供搜索使用
+        for (const hip of Object.keys(this.starNames)) {
+            this.getCatalogStar(Number(hip));
+        }
 
-            'aquila': {
-                name: '天鹰座',
-                english: 'Aquila',
-                stars: [
-                    { name: 'Altair', ra: 297.7, dec: 8.9, mag: 0.8 },
-                    { name: 'Tarazed', ra: 296.6, dec: 10.6, mag: 2.7 },
-                    { name: 'Alshain', ra: 298.8, dec: 6.4, mag: 3.7 }
-                ],
-                lines: [[0, 1], [0, 2]]
-            },
+        console.log(`ConstellationData: 已加载 ${this.constellations.size} 个星座，${figureStars} 颗连线恒星，${this.stars.size} 颗有名恒星`);
+    }
 
-            'cassiopeia': {
-                name: '仙后座',
-                english: 'Cassiopeia',
-                stars: [
-                    { name: 'Schedar', ra: 10.1, dec: 56.5, mag: 2.2 },
-                    { name: 'Caph', ra: 2.3, dec: 59.1, mag: 2.3 },
-                    { name: 'Cih', ra: 14.2, dec: 60.7, mag: 2.5 },
-                    { name: 'Ruchbah', ra: 21.5, dec: 60.2, mag: 2.7 },
-                    { name: 'Segin', ra: 28.6, dec: 63.7, mag: 3.4 },
-                    { name: 'Achird', ra: 19.4, dec: 57.8, mag: 3.4 }
-                ],
-                lines: [[1, 0], [0, 2], [2, 3], [3, 4], [3, 5]]
-            },
+    /**
+     * 按 HIP 星号从星表取得恒星并附上名称
+     * 名称优先取专名，其次为拜耳名、弗兰斯蒂德名 (如 α Ori、58 Ori)，都没有时用 HIP 星号
+     * @param {number} hip - HIP 星号
+     * @param {string} [fallbackAbbr] - 数据未注明命名所属星座时使用的星座缩写
+     * @returns {{ hip: number, name: string, nameZh?: string, bayer?: string, flamsteed?: string, constellation?: string,
+     *   ra: number, dec: number, mag: number, bv?: number }|null}
+     */
+    getCatalogStar(hip, fallbackAbbr) {
+        if (this.stars.has(hip)) {
+            return this.stars.get(hip);
+        }
 
-            // 南半球重要星座
-            'southern_cross': {
-                name: '南十字座',
-                english: 'Crux',
-                stars: [
-                    { name: 'Acrux', ra: 186.6, dec: -63.1, mag: 0.8 },
-                    { name: 'Gacrux', ra: 187.8, dec: -57.1, mag: 1.6 },
-                    { name: 'Imai', ra: 183.8, dec: -59.7, mag: 1.3 },
-                    { name: 'Mimosa', ra: 191.9, dec: -59.7, mag: 1.3 },
-                    { name: 'Intrometida', ra: 185.3, dec: -60.4, mag: 4.0 }
-                ],
-                lines: [[0, 1], [1, 3], [3, 2], [2, 0], [4, 1]]
-            },
+        const entry = this.catalogByHip.get(hip);
+        if (!entry) {
+            console.warn(`ConstellationData: 星表中没有 HIP ${hip}`);
+            return null;
+        }
 
-            'centaurus': {
-                name: '半人马座',
-                english: 'Centaurus',
-                stars: [
-                    { name: 'Rigil Kentaurus', ra: 219.9, dec: -60.8, mag: -0.3 },
-                    { name: 'Hadar', ra: 210.9, dec: -60.4, mag: 0.6 },
-                    { name: 'Menkent', ra: 211.7, dec: -36.4, mag: 2.1 },
-                    { name: 'Alnair', ra: 208.9, dec: -47.3, mag: 2.3 },
-                    { name: 'Muhlifain', ra: 204.9, dec: -53.5, mag: 2.2 },
-                    { name: 'Ma Wei', ra: 173.9, dec: -31.9, mag: 2.9 }
-                ],
-                lines: [[0, 1], [1, 4], [4, 3], [3, 2], [2, 5]]
-            },
+        const info = this.starNames[hip] || {};
+        const abbr = info.constellation || fallbackAbbr;
+        let name = `HIP ${hip}`;
+        if (info.name) {
+            name = info.name;
+        } else if (info.bayer) {
+            name = `${info.bayer} ${abbr}`;
+        } else if (info.flamsteed) {
+            name = `${info.flamsteed} ${abbr}`;
+        }
 
-            'scorpius_extended': {
-                name: '天蝎座',
-                english: 'Scorpius',
-                stars: [
-                    { name: 'Antares', ra: 247.4, dec: -26.4, mag: 1.1 },
-                    { name: 'Shaula', ra: 263.4, dec: -37.1, mag: 1.6 },
-                    { name: 'Sargas', ra: 264.3, dec: -43.0, mag: 1.9 },
-                    { name: 'Dschubba', ra: 240.1, dec: -22.6, mag: 2.3 },
-                    { name: 'Larawag', ra: 262.7, dec: -37.0, mag: 2.7 },
-                    { name: 'Lesath', ra: 262.6, dec: -37.3, mag: 2.7 },
-                    { name: 'Wei', ra: 239.7, dec: -26.1, mag: 2.9 },
-                    { name: 'Acrab', ra: 241.4, dec: -19.8, mag: 2.6 },
-                    { name: 'Fang', ra: 245.3, dec: -25.6, mag: 2.9 },
-                    { name: 'Iklil', ra: 239.2, dec: -28.2, mag: 3.0 }
-                ],
-                lines: [[3, 7], [7, 0], [0, 8], [8, 6], [6, 9], [0, 4], [4, 5], [5, 1], [1, 2]]
-            }
+        const star = {
+            hip,
+            name,
+            nameZh: info.nameZh,
+            bayer: info.bayer,
+            flamsteed: info.flamsteed,
+            constellation: abbr,
+            ra: entry.ra,
+            dec: entry.dec,
+            mag: entry.mag,
+            bv: entry.bv
         };
-        
-        // 存储星座数据
-        for (const [key, constellation] of Object.entries(constellationData)) {
-            this.constellations.set(key, constellation);
-        }
+        this.stars.set(hip, star);
+        return star;
     }
     
     /**
@@ -361,35 +174,49 @@ export class ConstellationData {
      * 用于绘制背景星空
      */
     loadBrightStars() {
-        // 一些重要的亮星数据 (赤经单位：度，赤纬单位：度，星等)
+        // 一些重要的亮星数据 (HIP 星号，赤经单位：度，赤纬单位：度，星等)
         const brightStars = [
-            { name: 'Sirius', ra: 101.3, dec: -16.7, mag: -1.46 },
-            { name: 'Canopus', ra: 95.9, dec: -52.7, mag: -0.74 },
-            { name: 'Arcturus', ra: 213.9, dec: 19.2, mag: -0.05 },
-            { name: 'Vega', ra: 279.2, dec: 38.8, mag: 0.03 },
-            { name: 'Capella', ra: 79.2, dec: 45.9, mag: 0.08 },
-            { name: 'Rigel', ra: 78.6, dec: -8.2, mag: 0.13 },
-            { name: 'Procyon', ra: 114.8, dec: 5.2, mag: 0.34 },
-            { name: 'Betelgeuse', ra: 88.8, dec: 7.4, mag: 0.50 },
-            { name: 'Achernar', ra: 24.6, dec: -57.2, mag: 0.46 },
-            { name: 'Altair', ra: 297.7, dec: 8.9, mag: 0.77 },
-            { name: 'Aldebaran', ra: 68.9, dec: 16.5, mag: 0.87 },
-            { name: 'Spica', ra: 201.3, dec: -11.2, mag: 0.98 },
-            { name: 'Antares', ra: 247.4, dec: -26.4, mag: 1.06 },
-            { name: 'Pollux', ra: 116.3, dec: 28.0, mag: 1.14 },
-            { name: 'Fomalhaut', ra: 344.4, dec: -29.6, mag: 1.16 },
-            { name: 'Deneb', ra: 310.4, dec: 45.3, mag: 1.25 },
-            { name: 'Regulus', ra: 152.1, dec: 11.9, mag: 1.36 },
-            { name: 'Castor', ra: 113.6, dec: 31.9, mag: 1.58 },
-            { name: 'Shaula', ra: 263.4, dec: -37.1, mag: 1.62 },
-            { name: 'Bellatrix', ra: 81.3, dec: 6.3, mag: 1.64 }
+            { name: 'Sirius', hip: 32349, ra: 101.3, dec: -16.7, mag: -1.46 },
+            { name: 'Canopus', hip: 30438, ra: 95.9, dec: -52.7, mag: -0.74 },
+            { name: 'Arcturus', hip: 69673, ra: 213.9, dec: 19.2, mag: -0.05 },
+            { name: 'Vega', hip: 91262, ra: 279.2, dec: 38.8, mag: 0.03 },
+            { name: 'Capella', hip: 24608, ra: 79.2, dec: 45.9, mag: 0.08 },
+            { name: 'Rigel', hip: 24436, ra: 78.6, dec: -8.2, mag: 0.13 },
+            { name: 'Procyon', hip: 37279, ra: 114.8, dec: 5.2, mag: 0.34 },
+            { name: 'Betelgeuse', hip: 27989, ra: 88.8, dec: 7.4, mag: 0.50 },
+            { name: 'Achernar', hip: 7588, ra: 24.6, dec: -57.2, mag: 0.46 },
+            { name: 'Altair', hip: 97649, ra: 297.7, dec: 8.9, mag: 0.77 },
+            { name: 'Aldebaran', hip: 21421, ra: 68.9, dec: 16.5, mag: 0.87 },
+            { name: 'Spica', hip: 65474, ra: 201.3, dec: -11.2, mag: 0.98 },
+            { name: 'Antares', hip: 80763, ra: 247.4, dec: -26.4, mag: 1.06 },
+            { name: 'Pollux', hip: 37826, ra: 116.3, dec: 28.0, mag: 1.14 },
+            { name: 'Fomalhaut', hip: 113368, ra: 344.4, dec: -29.6, mag: 1.16 },
+            { name: 'Deneb', hip: 102098, ra: 310.4, dec: 45.3, mag: 1.25 },
+            { name: 'Regulus', hip: 49669, ra: 152.1, dec: 11.9, mag: 1.36 },
+            { name: 'Castor', hip: 36850, ra: 113.6, dec: 31.9, mag: 1.58 },
+            { name: 'Shaula', hip: 85927, ra: 263.4, dec: -37.1, mag: 1.62 },
+            { name: 'Bellatrix', hip: 25336, ra: 81.3, dec: 6.3, mag: 1.64 }
         ];
         
         brightStars.forEach((star, index) => {
-            this.brightStars.set(star.name, { ...star, id: index });
+            this.brightStars.set(star.name, {
+                ...star,
+                id: index,
+                constellation: this.identifyConstellation(star.ra, star.dec).name
+            });
         });
     }
     
+    /**
+     * 按 IAU 边界查找星点所在星座，供恒星标注与点击识别使用
+     * @param {number} ra - J2000 赤经 (度)
+     * @param {number} dec - J2000 赤纬 (度)
+     * @returns {{abbreviation: string, name: string, englishName: string, ra1875: number, dec1875: number}}
+     */
+    identifyConstellation(ra, dec) {
+        return this.boundaries.identify((((ra % 360) + 360) % 360) / 15, dec);
+    }
+    
     /**
      * 获取所有星座数据
      */
@@ -404,6 +231,24 @@ export class ConstellationData {
         return this.constellations.get(name);
     }
     
+    /**
+     * 按 HIP 星号获取恒星，星表中没有时返回 undefined
+     */
+    getStar(hip) {
+        if (this.stars.has(hip)) {
+            return this.stars.get(hip);
+        }
+        const entry = this.catalogByHip.get(hip);
+        return entry ? { hip, name: `HIP ${hip}`, ra: entry.ra, dec: entry.dec, mag: entry.mag, bv: entry.bv } : undefined;
+    }
+    
+    /**
+     * 获取所有有名称的恒星 (HIP → 恒星)
+     */
+    getNamedStars() {
+        return this.stars;
+    }
+    
     /**
      * 获取所有亮星数据
      */
@@ -1,8 +1,11 @@
 import { StarMapRenderer } from './renderer/StarMapRenderer.js';
 import { AstronomicalCalculator } from './astronomy/AstronomicalCalculator.js';
+import { EventSearch } from './astronomy/EventSearch.js';
 import { TimeController } from './controllers/TimeController.js';
 import { UIController } from './controllers/UIController.js';
 import { ConstellationData } from './data/ConstellationData.js';
+import { CelestialSearch } from './data/CelestialSearch.js';
+import { ReferenceFrames } from './astronomy/ReferenceFrames.js';
 
 /**
  * 太阳系星图观测器主程序
@@ -18,11 +21,23 @@ class SolarSystemStarMap {
         this.calculator = null;
         this.timeController = null;
         this.uiController = null;
+        this.eventSearch = null;
+        this.constellationData = null;
+        this.celestialSearch = null;
         
         // 状态管理
         this.isInitialized = false;
         this.animationId = null;
         this.fixedObservationTime = '00:00'; // HH:MM
+        this.showEphemerisComparison = false;
+        this.historicalModels = []; // 参与对照的历史行星模型
+        this.focusPlanet = 'all';
+        this.trailMonths = 3; // 行星轨迹前后的时间窗口 (月)
+        
+        // 点选的天体（StarMapRenderer.pickObject 的结果）及最近一次计算的时刻与行星位置
+        this.selection = null;
+        this.observationDate = null;
+        this.planetPositions = null;
     }
     
     /**
@@ -54,10 +69,43 @@ class SolarSystemStarMap {
             this.uiController = new UIController();
             this.setupUIEventHandlers();
             
+            // 天体注册表变化时同步聚焦下拉框并重绘
+            this.uiController.setBodyOptions(this.calculator.getBodies());
+            this.uiController.setObserverBodyOptions(this.calculator.getObserverBodies(), this.calculator.observerBody);
+            this.calculator.on('bodiesChange', (bodies) => {
+                this.uiController.setBodyOptions(bodies);
+                this.celestialSearch?.setBodies(bodies);
+                this.uiController.setObserverBodyOptions(this.calculator.getObserverBodies(), this.calculator.observerBody);
+                this.updateStarMap(this.timeController.getCurrentDate());
+            });
+            
             // 加载星座数据
-            const constellationData = new ConstellationData();
-            await constellationData.load();
-            this.renderer.setConstellationData(constellationData);
+            this.constellationData = new ConstellationData();
+            try {
+                await this.constellationData.load();
+            } catch (error) {
+                console.warn('加载星座数据失败，星图将不显示星座连线：', error);
+            }
+            this.renderer.setConstellationData(this.constellationData);
+            
+            // 天体搜索：行星、星座与有名称的恒星
+            this.celestialSearch = new CelestialSearch(this.constellationData, this.calculator.getBodies());
+            
+            // 天象事件搜索（合恒星使用亮星表）
+            this.eventSearch = new EventSearch(this.calculator, this.constellationData.getBrightStars().values());
+            this.timeController.setEventSearch(this.eventSearch);
+            this.uiController.setSolarTermOptions(this.eventSearch.getSolarTerms());
+            this.timeController.on('eventsChange', (events) => {
+                this.uiController.setEventOptions(events);
+            });
+            this.timeController.on('eventJump', (event) => {
+                // 观测时间切换到事件发生的时刻
+                const hhmm = event.date.toTimeString().slice(0, 5);
+                this.fixedObservationTime = hhmm;
+                this.uiController.setFixedTime(hhmm);
+                this.uiController.setSelectedEvent(event.id);
+                this.uiController.setSelectedSolarTerm(event.term);
+            });
             
             this.showLoading('准备就绪...');
             
@@ -109,17 +157,138 @@ class SolarSystemStarMap {
         
         // 行星聚焦变化
         this.uiController.on('planetFocusChange', (planet) => {
+            this.focusPlanet = planet;
             this.renderer.setFocusPlanet(planet);
+            // 误差曲线跟随聚焦行星
+            if (this.historicalModels.length > 0) {
+                this.updateStarMap(this.timeController.getCurrentDate());
+            }
+        });
+        
+        // 历史模型对照：'none'、单个模型或 'all'
+        this.uiController.on('historicalModelChange', (value) => {
+            const models = this.calculator.getHistoricalModels().map(model => model.key);
+            this.historicalModels = value === 'all' ? models : models.filter(key => key === value);
+            this.updateStarMap(this.timeController.getCurrentDate());
+        });
+        
+        // 视图模式变化：地心星空、日心俯视或并排对照
+        this.uiController.on('viewModeChange', (mode) => {
+            this.renderer.setViewMode(mode);
+            if (mode !== 'sky') {
+                this.updateStarMap(this.timeController.getCurrentDate());
+            }
+        });
+        
+        // 相机控制方式：观测者视角或环绕视角
+        this.uiController.on('controlModeChange', (mode) => {
+            this.renderer.setControlMode(mode);
+        });
+        
+        this.renderer.on('viewChange', (view) => {
+            this.uiController.updateViewReadout(view);
+        });
+        
+        // 地面：样式、上传全景图与透视
+        this.uiController.on('landscapeChange', (style) => {
+            this.renderer.setLandscapeStyle(style);
+        });
+        
+        this.uiController.on('landscapeUpload', async (file) => {
+            try {
+                await this.renderer.loadLandscapeImage(file);
+                this.uiController.setLandscapeStyle('custom');
+            } catch (error) {
+                console.error('全景图加载失败:', error);
+                this.uiController.showError(error.message);
+            }
+        });
+        
+        this.uiController.on('groundTransparentChange', (transparent) => {
+            this.renderer.setGroundTransparent(transparent);
+        });
+        
+        // 坐标网格：赤道、黄道、银道、地平坐标，天赤道与天极，子午线
+        this.uiController.on('coordinateGridChange', ({ kind, visible }) => {
+            this.renderer.setCoordinateGridVisible(kind, visible);
+        });
+        
+        // 星历后端变化
+        this.uiController.on('ephemerisBackendChange', (backend) => {
+            this.calculator.setEphemerisBackend(backend);
+            this.updateStarMap(this.timeController.getCurrentDate());
+        });
+        
+        // 坐标历元变化
+        this.uiController.on('equinoxChange', (equinox) => {
+            this.calculator.setEquinox(equinox);
+            this.updateStarMap(this.timeController.getCurrentDate());
+        });
+        
+        this.uiController.on('showEphemerisComparisonChange', (show) => {
+            this.showEphemerisComparison = show;
+            this.updateStarMap(this.timeController.getCurrentDate());
+        });
+        
+        // 天象事件：从当前日期起搜索一年，结果交给时间控制器导航
+        // 搜索分段执行，进行中再次点击无效
+        this.uiController.on('eventSearch', async ({ maxSeparation }) => {
+            if (this.uiController.eventSearchBusy) return;
+            const start = this.timeController.getCurrentDate();
+            const end = new Date(start);
+            end.setFullYear(end.getFullYear() + 1);
+            this.uiController.setEventSearchBusy(true);
+            try {
+                const events = await this.eventSearch.search(start, end, { maxSeparation });
+                console.log(`天象事件搜索完成：${events.length} 个事件`);
+                this.timeController.setEvents(events);
+            } catch (error) {
+                console.error('天象事件搜索失败:', error);
+                this.uiController.showError(error.message);
+            } finally {
+                this.uiController.setEventSearchBusy(false);
+            }
+        });
+        
+        this.uiController.on('eventSelect', (id) => {
+            this.timeController.jumpToEvent(id);
+        });
+        
+        // 节气：跳转到当前年份的交节时刻
+        this.uiController.on('solarTermSelect', (key) => {
+            try {
+                this.timeController.jumpToEvent(key);
+            } catch (error) {
+                console.error('节气计算失败:', error);
+                this.uiController.showError(error.message);
+            }
+        });
+        
+        this.uiController.on('eventPrevious', () => {
+            this.timeController.jumpToPreviousEvent();
+        });
+        
+        this.uiController.on('eventNext', () => {
+            this.timeController.jumpToNextEvent();
         });
         
         // 观察地点变化
         this.uiController.on('observerChange', ({ lat, lon }) => {
+            this.calculator.setObserverLocation(lat, lon);
             this.renderer.setObserverLocation(lat, lon);
             // 刷新一次姿态与渲染
             const date = this.timeController.getCurrentDate();
             this.updateStarMap(date);
         });
 
+        // 观测平台变化：经纬度沿用当前设置，按所选天体的行星面坐标解释
+        this.uiController.on('observerBodyChange', (body) => {
+            this.calculator.setObserverBody(body);
+            // 天象事件与节气按地心计算，只在地球上可用
+            this.uiController.setEventSearchEnabled(body === 'earth');
+            this.updateStarMap(this.timeController.getCurrentDate());
+        });
+
         // 固定观测时间
         this.uiController.on('fixedTimeChange', (hhmm) => {
             this.fixedObservationTime = hhmm || '00:00';
@@ -135,12 +304,74 @@ class SolarSystemStarMap {
         
         this.uiController.on('showOrbitTrailsChange', (show) => {
             this.renderer.setOrbitTrailsVisible(show);
+            this.updateStarMap(this.timeController.getCurrentDate());
+        });
+        
+        // 星空亮度
+        this.uiController.on('limitingMagnitudeChange', (magnitude) => {
+            this.renderer.setLimitingMagnitude(magnitude);
+        });
+        
+        this.uiController.on('bortleClassChange', (level) => {
+            this.renderer.setBortleClass(level);
+        });
+        
+        this.uiController.on('twinkleChange', (enabled) => {
+            this.renderer.setTwinkle(enabled);
+        });
+        
+        // 轨迹时间窗口 (月)
+        this.uiController.on('trailWindowChange', (months) => {
+            this.trailMonths = months;
+            this.updateStarMap(this.timeController.getCurrentDate());
         });
         
         this.uiController.on('showEclipticChange', (show) => {
             this.renderer.setEclipticVisible(show);
         });
         
+        // 点选天体：显示信息卡，点到空白处关闭
+        this.renderer.on('pick', (selection) => {
+            this.selection = selection;
+            this.renderer.setTrackedTarget(null);
+            this.updateObjectDetails();
+        });
+        
+        this.renderer.on('trackingChange', (target) => {
+            this.uiController.setTrackingState(Boolean(target));
+        });
+        
+        this.uiController.on('trackObjectChange', (track) => {
+            this.renderer.setTrackedTarget(track && this.selection ? this.selection : null);
+        });
+        
+        // 天体搜索：选中结果后转向目标并显示信息卡
+        this.uiController.on('searchQuery', (query) => {
+            this.uiController.setSearchResults(this.celestialSearch ? this.celestialSearch.search(query) : []);
+        });
+        
+        this.uiController.on('searchSelect', ({ selection }) => {
+            this.selection = selection;
+            const details = this.updateObjectDetails();
+            if (!details || !this.renderer.flyTo(selection)) {
+                this.uiController.setSearchStatus('该天体当前不在星图中', true);
+                return;
+            }
+            
+            const { altitude, aboveHorizon } = details.horizontalCoords;
+            if (aboveHorizon) {
+                this.uiController.setSearchStatus(`已转向${details.name}，高度 ${altitude.toFixed(1)}°`);
+            } else {
+                this.uiController.setSearchStatus(`${details.name}目前在地平线下 (高度 ${altitude.toFixed(1)}°)，已转向其方位`, true);
+            }
+        });
+        
+        this.uiController.on('objectDetailsClose', () => {
+            this.selection = null;
+            this.renderer.setTrackedTarget(null);
+            this.updateObjectDetails();
+        });
+        
         // 重置
         this.uiController.on('reset', () => {
             this.timeController.setDate(new Date('2024-01-01'));
@@ -163,14 +394,208 @@ class SolarSystemStarMap {
 
         // 计算当前日期所有行星的位置（使用固定时间）
         const planetPositions = this.calculator.calculatePlanetPositions(effectiveDate);
+        this.planetPositions = planetPositions;
+        this.observationDate = effectiveDate;
+        
+        // 顺行/逆行状态，以及前后半年内的留点（标记在轨迹上）
+        const retrogradeStates = {};
+        const stationaryPoints = {};
+        const halfYear = 183 * 86400000;
+        for (const { key } of this.calculator.getBodies()) {
+            if (key === 'sun' || key === 'moon' || key === this.calculator.observerBody) continue;
+            retrogradeStates[key] = this.calculator.getRetrogradeState(key, effectiveDate);
+            stationaryPoints[key] = this.calculator.getStationaryPoints(key, effectiveDate)
+                .filter(point => Math.abs(point.date.getTime() - effectiveDate.getTime()) <= halfYear);
+        }
         
         // 更新3D场景
         this.renderer.updatePlanetPositions(planetPositions);
-        this.renderer.updateStarField(effectiveDate);
+        this.renderer.setOrbitTrails(this.getOrbitTrails(planetPositions, effectiveDate), effectiveDate);
+        this.renderer.setStationaryPoints(stationaryPoints);
+        // 月球进入半影时显示地球的本影与半影（仅在地球上观测时）
+        const earthShadow = this.calculator.observerBody === 'earth'
+            ? this.calculator.calculateEarthShadow(effectiveDate)
+            : null;
+        this.renderer.setEarthShadow(earthShadow && earthShadow.penumbralMagnitude > 0 ? earthShadow : null);
+        // 日心俯视图隐藏时不计算轨道，切换视图时再补上
+        if (this.renderer.viewMode !== 'sky') {
+            this.renderer.updateOrrery(this.getOrreryState(planetPositions, effectiveDate));
+        }
+        // 星表、星座连线与地平姿态使用与行星相同的坐标历元
+        const skyFrame = this.calculator.getSkyFrame(effectiveDate);
+        this.renderer.updateStarField(effectiveDate, skyFrame);
         
         // 更新UI信息显示
         this.uiController.updateDateDisplay(effectiveDate);
-        this.uiController.updatePlanetInfo(planetPositions);
+        this.uiController.updatePlanetInfo(
+            planetPositions,
+            this.calculator.calculateRiseTransitSet(effectiveDate),
+            retrogradeStates
+        );
+        this.uiController.updateEphemerisComparison(
+            this.showEphemerisComparison ? this.calculator.compareEphemerides(effectiveDate) : null
+        );
+        this.updateModelComparison(effectiveDate);
+        this.updateObjectDetails();
+    }
+    
+    /**
+     * 按当前时刻刷新点选天体的信息卡；天体已不存在（如被注销）时关闭
+     * @returns {Object|null} 信息卡内容
+     */
+    updateObjectDetails() {
+        const details = this.selection && this.observationDate
+            ? this.describeSelection(this.selection, this.observationDate)
+            : null;
+        if (!details) {
+            this.selection = null;
+        }
+        this.uiController.showObjectDetails(details);
+        return details;
+    }
+    
+    /**
+     * 整理点选天体的信息卡内容，字段见 UIController.showObjectDetails
+     * @param {Object} selection - StarMapRenderer.pickObject 的结果
+     * @param {Date} date - 观测时刻
+     */
+    describeSelection(selection, date) {
+        if (selection.type === 'planet') {
+            const position = this.planetPositions?.[selection.key];
+            if (!position) return null;
+            
+            const distance = position.celestialCoords.distance;
+            return {
+                name: position.name,
+                kind: { sun: '恒星', moon: '卫星' }[position.type] || '行星',
+                equinox: position.equinox,
+                celestialCoords: position.celestialCoords,
+                horizontalCoords: position.horizontalCoords,
+                magnitude: position.magnitude,
+                // 月球距离以千米表示
+                distance: position.type === 'moon'
+                    ? { value: distance * this.calculator.auKm, unit: 'km' }
+                    : { value: distance, unit: 'AU' },
+                constellation: position.constellation,
+                elongation: position.phase?.elongation
+            };
+        }
+        
+        if (selection.type === 'constellation') {
+            const constellation = this.constellationData.getConstellation(selection.key);
+            if (!constellation || constellation.stars.length === 0) return null;
+            
+            // 以星座连线恒星的平均方向作为星座位置
+            const sum = constellation.stars.reduce((total, star) => {
+                const vector = ReferenceFrames.fromSpherical(star.ra, star.dec);
+                return { x: total.x + vector.x, y: total.y + vector.y, z: total.z + vector.z };
+            }, { x: 0, y: 0, z: 0 });
+            const center = ReferenceFrames.toSpherical(sum);
+            const position = this.calculator.calculateStarPosition(center.lon, center.lat, date);
+            return {
+                name: constellation.name,
+                kind: '星座',
+                subtitle: constellation.latin,
+                catalogId: constellation.abbr,
+                equinox: position.equinox,
+                celestialCoords: position.celestialCoords,
+                horizontalCoords: position.horizontalCoords
+            };
+        }
+        
+        // 恒星：星表中只有坐标、星等与色指数，没有距离；名称从星座数据按 HIP 星号查找
+        const { star } = selection;
+        const named = Number.isInteger(star.hip) ? this.constellationData.getStar(star.hip) : null;
+        const name = named?.name || star.name;
+        const nameZh = named?.nameZh || star.nameZh;
+        const position = this.calculator.calculateStarPosition(star.ra, star.dec, date);
+        return {
+            name: nameZh || name || (Number.isInteger(star.hip) ? `HIP ${star.hip}` : '恒星'),
+            kind: '恒星',
+            subtitle: nameZh ? name : undefined,
+            catalogId: Number.isInteger(star.hip) ? `HIP ${star.hip}` : undefined,
+            equinox: position.equinox,
+            celestialCoords: position.celestialCoords,
+            horizontalCoords: position.horizontalCoords,
+            magnitude: star.mag,
+            bv: star.bv,
+            constellation: position.constellation
+        };
+    }
+    
+    /**
+     * 历史模型对照：叠加各模型的预报位置，并绘制聚焦行星（默认火星）前后一年的角距误差
+     */
+    updateModelComparison(date) {
+        if (this.historicalModels.length === 0) {
+            this.renderer.setModelComparison(null);
+            this.uiController.updateModelComparison(null);
+            return;
+        }
+        
+        const comparison = this.calculator.compareModels(date, this.historicalModels);
+        const chartKey = [this.focusPlanet, 'mars', ...Object.keys(comparison)].find(key => comparison[key]);
+        // 历史模型只有地心预报，在其他行星上观测时不在星空中标出
+        this.renderer.setModelComparison(this.calculator.observerBody === 'earth' ? comparison : null);
+        this.uiController.updateModelComparison(
+            comparison,
+            this.calculator.getModelErrorSeries(chartKey, date, this.historicalModels),
+            date
+        );
+    }
+    
+    /**
+     * 各天体前后 trailMonths 个月的视运动轨迹，逐日采样；月球一月绕天一周，只取前后 3 天、每 3 小时一点
+     */
+    getOrbitTrails(planetPositions, date) {
+        if (!this.renderer.showOrbitTrails) return {};
+        
+        const keys = Object.keys(planetPositions).filter(key => key !== 'moon');
+        const paths = this.calculator.calculateApparentPaths(keys, date, { windowDays: this.trailMonths * 30.4, stepDays: 1 });
+        if (planetPositions.moon) {
+            Object.assign(paths, this.calculator.calculateApparentPaths(['moon'], date, { windowDays: 3, stepDays: 0.125 }));
+        }
+        
+        const trails = {};
+        for (const [key, samples] of Object.entries(paths)) {
+            trails[key] = { color: planetPositions[key].color, samples };
+        }
+        return trails;
+    }
+    
+    /**
+     * 整理日心俯视图所需的地球、观测平台与行星日心坐标及轨道
+     */
+    getOrreryState(planetPositions, date) {
+        const earth = this.calculator.calculateEarthPosition(date);
+        const observer = this.calculator.observerBody;
+        const bodies = {
+            earth: {
+                ...this.calculator.earthData,
+                heliocentricCoords: earth,
+                orbit: this.calculator.calculateOrbitPath('earth', date)
+            }
+        };
+        if (observer !== 'earth') {
+            // 观测平台不在 planetPositions 中
+            const { name, color } = this.calculator.planetData[observer];
+            bodies[observer] = {
+                name,
+                color,
+                heliocentricCoords: this.calculator.calculateObserverPosition(date),
+                orbit: this.calculator.calculateOrbitPath(observer, date)
+            };
+        }
+        for (const [key, position] of Object.entries(planetPositions)) {
+            if (!position.heliocentricCoords) continue;
+            bodies[key] = {
+                name: position.name,
+                color: position.color,
+                heliocentricCoords: position.heliocentricCoords,
+                orbit: this.calculator.calculateOrbitPath(key, date)
+            };
+        }
+        return { earth, observer, bodies };
     }
     
     /**
@@ -0,0 +1,98 @@
+import * as THREE from 'three';
+
+const vertexShader = /* glsl */ `
+    uniform vec3 diffuse;
+
+    varying vec3 vColor;
+
+    #include <clipping_planes_pars_vertex>
+
+    void main() {
+        #ifdef USE_INSTANCING_COLOR
+            vColor = instanceColor;
+        #else
+            vColor = diffuse;
+        #endif
+
+        vec4 mvPosition = vec4(position, 1.0);
+        #ifdef USE_INSTANCING
+            mvPosition = instanceMatrix * mvPosition;
+        #endif
+        mvPosition = modelViewMatrix * mvPosition;
+        gl_Position = projectionMatrix * mvPosition;
+
+        #include <clipping_planes_vertex>
+    }
+`;
+
+const fragmentShader = /* glsl */ `
+    uniform float opacity;
+    uniform float constellationOpacity;
+    uniform float highlight;
+    uniform float flicker;
+    uniform float phase;
+    uniform float time;
+
+    varying vec3 vColor;
+
+    #include <clipping_planes_pars_fragment>
+
+    void main() {
+        #include <clipping_planes_fragment>
+
+        // 闪烁围绕固定的基准透明度上下摆动，不会逐帧累积
+        float wave = 1.0 - flicker * 0.05 * (1.0 + sin(time * 2.0 + phase));
+        // 高亮时提亮并偏向暖色
+        vec3 color = mix(vColor, vec3(1.0, 0.85, 0.45), highlight * 0.35) * (1.0 + 0.5 * highlight);
+        gl_FragColor = vec4(color, clamp(opacity * wave * constellationOpacity * (1.0 + 0.5 * highlight), 0.0, 1.0));
+    }
+`;
+
+/**
+ * 星座恒星与连线的材质
+ * 同一星座的恒星 (InstancedMesh)、光晕与连线 (LineSegments) 共用一组 uniform：
+ *   constellationOpacity  星座整体透明度
+ *   highlight             高亮程度 0–1
+ *   phase                 闪烁相位，各星座不同
+ * time 由所有星座共用，每帧只改一次
+ * 实例颜色取 instanceColor，否则取 color
+ */
+export class ConstellationMaterial extends THREE.ShaderMaterial {
+    /**
+     * @param {Object} options
+     * @param {Object} options.state - 星座共用的 uniform：{ constellationOpacity, highlight, phase }
+     * @param {{ value: number }} options.time - 全局时间 uniform (秒)
+     * @param {number} [options.color=0xffffff] - 无实例颜色时的颜色
+     * @param {number} [options.opacity=1] - 基准透明度
+     * @param {boolean} [options.flicker=false] - 是否随时间轻微闪烁
+     * @param {THREE.Blending} [options.blending]
+     */
+    constructor({ state, time, color = 0xffffff, opacity = 1, flicker = false, blending = THREE.NormalBlending }) {
+        super({
+            uniforms: {
+                diffuse: { value: new THREE.Color(color) },
+                opacity: { value: opacity },
+                flicker: { value: flicker ? 1 : 0 },
+                time,
+                ...state
+            },
+            vertexShader,
+            fragmentShader,
+            transparent: true,
+            depthWrite: false,
+            blending,
+            clipping: true
+        });
+    }
+
+    /**
+     * 创建一个星座的共用 uniform
+     */
+    static createState() {
+        return {
+            constellationOpacity: { value: 1 },
+            highlight: { value: 0 },
+            phase: { value: Math.random() * Math.PI * 2 }
+        };
+    }
+}
\ No newline at end of file
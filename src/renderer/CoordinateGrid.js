@@ -0,0 +1,141 @@
+import * as THREE from 'three';
+
+// 经纬线的折线分段 (度)
+const SEGMENT_DEG = 2;
+
+/**
+ * 天球坐标网格：经线、纬线、刻度标签，以及加亮的基本圈与两极标注
+ * 在以 +y 为北极的局部球坐标中绘制，经度 λ、纬度 β 处的方向为 (cosβ cosλ, sinβ, cosβ sinλ)，
+ * 与 ConstellationData.raDecToCartesian 相同；把 group 放进哪个分组、如何旋转，决定它是哪个坐标系的网格
+ * 全部经纬线合并为一个 LineSegments，只占一次绘制调用；间隔为 0 时不画经线或纬线，只保留基本圈与两极
+ */
+export class CoordinateGrid {
+    /**
+     * @param {Object} options
+     * @param {number} options.radius - 网格所在球面的半径
+     * @param {number} options.color - 线条颜色
+     * @param {number} [options.opacity=0.3]
+     * @param {number} [options.lonStep=15] - 经线间隔 (度)
+     * @param {number} [options.latStep=10] - 纬线间隔 (度)
+     * @param {(text: string, color: string) => THREE.Sprite} [options.createLabel] - 文字精灵工厂，缺省时不加标签
+     * @param {(lon: number) => string|null} [options.formatLon] - 经线标签，返回 null 时不标注
+     * @param {(lat: number) => string|null} [options.formatLat] - 纬线标签，返回 null 时不标注
+     * @param {number|number[]} [options.labelLat=0] - 经线标签所在的纬度 (度)，可以标注多行
+     * @param {number|number[]} [options.labelLon=0] - 纬线标签所在的经度 (度)，可以标注多列
+     * @param {boolean} [options.equator=false] - 是否加亮纬度 0° 的基本圈（赤道、黄道、银道）
+     * @param {[string, string]} [options.poleLabels] - 北极与南极的标注文字
+     */
+    constructor({
+        radius,
+        color,
+        opacity = 0.3,
+        lonStep = 15,
+        latStep = 10,
+        createLabel = null,
+        formatLon = null,
+        formatLat = null,
+        labelLat = 0,
+        labelLon = 0,
+        equator = false,
+        poleLabels = null
+    }) {
+        this.radius = radius;
+        this.group = new THREE.Group();
+
+        if (lonStep > 0 || latStep > 0) {
+            this.group.add(new THREE.LineSegments(
+                this.createGeometry(lonStep, latStep),
+                new THREE.LineBasicMaterial({ color, transparent: true, opacity, depthWrite: false })
+            ));
+        }
+        if (equator) {
+            const points = [];
+            for (let lon = 0; lon < 360; lon += SEGMENT_DEG / 2) {
+                points.push(CoordinateGrid.direction(lon, 0, radius));
+            }
+            this.group.add(new THREE.LineLoop(
+                new THREE.BufferGeometry().setFromPoints(points),
+                new THREE.LineBasicMaterial({ color, transparent: true, opacity: Math.min(1, opacity * 2.5), depthWrite: false })
+            ));
+        }
+
+        if (createLabel) {
+            const labelColor = `#${new THREE.Color(color).getHexString()}`;
+            const addLabel = (text, lon, lat, scale = 0.6) => {
+                if (!text) return;
+                const sprite = createLabel(text, labelColor);
+                sprite.scale.multiplyScalar(scale);
+                sprite.position.copy(CoordinateGrid.direction(lon, lat, radius));
+                this.group.add(sprite);
+            };
+            for (let lon = 0; lonStep > 0 && lon < 360; lon += lonStep) {
+                [].concat(labelLat).forEach(lat => addLabel(formatLon?.(lon), lon, lat));
+            }
+            for (let lat = -90 + latStep; latStep > 0 && lat < 90; lat += latStep) {
+                [].concat(labelLon).forEach(lon => addLabel(formatLat?.(lat), lon, lat));
+            }
+            if (poleLabels) {
+                addLabel(poleLabels[0], 0, 90, 0.8);
+                addLabel(poleLabels[1], 0, -90, 0.8);
+            }
+        }
+    }
+
+    /**
+     * 局部球坐标 → 笛卡尔坐标
+     */
+    static direction(lonDeg, latDeg, radius = 1) {
+        const lon = THREE.MathUtils.degToRad(lonDeg);
+        const lat = THREE.MathUtils.degToRad(latDeg);
+        return new THREE.Vector3(
+            radius * Math.cos(lat) * Math.cos(lon),
+            radius * Math.sin(lat),
+            radius * Math.cos(lat) * Math.sin(lon)
+        );
+    }
+
+    /**
+     * 经线从南极画到北极，纬线为完整的小圆，都按 SEGMENT_DEG 分段
+     */
+    createGeometry(lonStep, latStep) {
+        const positions = [];
+        const addSegment = (lonA, latA, lonB, latB) => {
+            const a = CoordinateGrid.direction(lonA, latA, this.radius);
+            const b = CoordinateGrid.direction(lonB, latB, this.radius);
+            positions.push(a.x, a.y, a.z, b.x, b.y, b.z);
+        };
+
+        for (let lon = 0; lonStep > 0 && lon < 360; lon += lonStep) {
+            for (let lat = -90; lat < 90; lat += SEGMENT_DEG) {
+                addSegment(lon, lat, lon, Math.min(lat + SEGMENT_DEG, 90));
+            }
+        }
+        for (let lat = -90 + latStep; latStep > 0 && lat < 90; lat += latStep) {
+            for (let lon = 0; lon < 360; lon += SEGMENT_DEG) {
+                addSegment(lon, lat, lon + SEGMENT_DEG, lat);
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        return geometry;
+    }
+
+    /**
+     * 显示或隐藏网格与标签
+     */
+    setVisible(visible) {
+        this.group.visible = visible;
+    }
+
+    /**
+     * 释放几何体、材质与标签贴图
+     */
+    dispose() {
+        this.group.traverse(object => {
+            object.geometry?.dispose();
+            object.material?.map?.dispose();
+            object.material?.dispose();
+        });
+    }
+}
\ No newline at end of file
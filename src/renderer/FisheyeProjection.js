@@ -0,0 +1,144 @@
+import * as THREE from 'three';
+
+// 透视投影可用的最大视场 (度)，更大的视场改用广角投影
+export const PERSPECTIVE_FOV_LIMIT = 90;
+// 视场达到此值时完全过渡为球极平面投影
+const STEREOGRAPHIC_FOV = 150;
+
+const vertexShader = /* glsl */ `
+    varying vec2 vUv;
+
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+const fragmentShader = /* glsl */ `
+    uniform samplerCube envMap;
+    uniform mat3 viewRotation;
+    uniform float aspect;
+    uniform float edgeRadius;
+    uniform float blend;
+
+    varying vec2 vUv;
+
+    void main() {
+        vec2 point = (vUv * 2.0 - 1.0) * vec2(aspect, 1.0);
+        float len = length(point);
+        // 由投影半径 r = k sinθ / (L + cosθ), k = L + 1 反解离视线中心的角距 θ
+        float r = len * edgeRadius;
+        float k = blend + 1.0;
+        float theta = atan(r, k) + asin(clamp(r * blend / sqrt(k * k + r * r), -1.0, 1.0));
+        vec2 side = len > 0.0 ? point / len : vec2(0.0);
+        vec3 direction = viewRotation * vec3(sin(theta) * side, -cos(theta));
+        gl_FragColor = textureCube(envMap, direction);
+
+        #include <colorspace_fragment>
+    }
+`;
+
+/**
+ * 广角投影
+ * 透视投影在视场接近 180° 时画面边缘无限拉伸，这里先用 CubeCamera 把整个天空渲染到立方体贴图，
+ * 再在全屏四边形中逐像素按"广义透视投影"采样：
+ *   r = (L + 1) sin θ / (L + cos θ)
+ * L = 0 为普通透视 (r = tan θ)，L = 1 为球极平面投影 (r = 2 tan(θ/2))，可以完整显示半个天球
+ * L 随视场从 PERSPECTIVE_FOV_LIMIT 起逐渐增大，切换处与透视投影的画面完全一致
+ */
+export class FisheyeProjection {
+    /**
+     * @param {number} [cubeSize=1024] - 立方体贴图每个面的边长 (像素)
+     */
+    constructor(cubeSize = 1024) {
+        this.renderTarget = new THREE.WebGLCubeRenderTarget(cubeSize);
+        this.cubeCamera = new THREE.CubeCamera(0.1, 5000, this.renderTarget);
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                envMap: { value: this.renderTarget.texture },
+                viewRotation: { value: new THREE.Matrix3() },
+                aspect: { value: 1 },
+                edgeRadius: { value: 1 },
+                blend: { value: 0 }
+            },
+            vertexShader,
+            fragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+        const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+        quad.frustumCulled = false;
+        this.scene = new THREE.Scene();
+        this.scene.add(quad);
+        this.screenCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    }
+
+    /**
+     * 视场对应的投影参数 L：透视极限处为 0，达到 STEREOGRAPHIC_FOV 时为 1
+     */
+    static getBlend(fov) {
+        return THREE.MathUtils.clamp((fov - PERSPECTIVE_FOV_LIMIT) / (STEREOGRAPHIC_FOV - PERSPECTIVE_FOV_LIMIT), 0, 1);
+    }
+
+    /**
+     * 画面上下边缘 (离中心半个视场) 的投影半径
+     */
+    static getEdgeRadius(fov) {
+        const blend = FisheyeProjection.getBlend(fov);
+        const halfFov = THREE.MathUtils.degToRad(fov / 2);
+        return (blend + 1) * Math.sin(halfFov) / (blend + Math.cos(halfFov));
+    }
+
+    /**
+     * 渲染一帧：相机位置处的立方体贴图 → 当前视口
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {THREE.Scene} scene
+     * @param {THREE.PerspectiveCamera} camera - 提供位置与朝向
+     * @param {number} fov - 竖直方向视场 (度)
+     * @param {number} aspect - 视口宽高比
+     */
+    render(renderer, scene, camera, fov, aspect) {
+        // 广角模式下相机本身不参与渲染，拾取仍需要它的世界矩阵
+        camera.updateMatrixWorld();
+        this.cubeCamera.position.setFromMatrixPosition(camera.matrixWorld);
+        this.cubeCamera.updateMatrixWorld();
+        this.cubeCamera.update(renderer, scene);
+
+        const { uniforms } = this.material;
+        uniforms.viewRotation.value.setFromMatrix4(camera.matrixWorld);
+        uniforms.aspect.value = aspect;
+        uniforms.edgeRadius.value = FisheyeProjection.getEdgeRadius(fov);
+        uniforms.blend.value = FisheyeProjection.getBlend(fov);
+        renderer.render(this.scene, this.screenCamera);
+    }
+
+    /**
+     * 屏幕位置对应的视线方向，与着色器中的反解相同，用于拾取
+     * @param {THREE.Vector2} pointer - 归一化设备坐标 (−1…1)
+     * @param {THREE.PerspectiveCamera} camera
+     * @param {number} fov - 竖直方向视场 (度)
+     * @param {number} aspect - 视口宽高比
+     * @returns {THREE.Vector3} 世界坐标中的单位向量
+     */
+    getRayDirection(pointer, camera, fov, aspect) {
+        const x = pointer.x * aspect;
+        const y = pointer.y;
+        const length = Math.hypot(x, y);
+        const r = length * FisheyeProjection.getEdgeRadius(fov);
+        const blend = FisheyeProjection.getBlend(fov);
+        const k = blend + 1;
+        const theta = Math.atan2(r, k) + Math.asin(THREE.MathUtils.clamp(r * blend / Math.hypot(k, r), -1, 1));
+        const scale = length > 0 ? Math.sin(theta) / length : 0;
+        return new THREE.Vector3(x * scale, y * scale, -Math.cos(theta)).transformDirection(camera.matrixWorld);
+    }
+
+    /**
+     * 释放立方体贴图与四边形
+     */
+    dispose() {
+        this.renderTarget.dispose();
+        this.material.dispose();
+        this.scene.children.forEach(mesh => mesh.geometry.dispose());
+    }
+}
\ No newline at end of file
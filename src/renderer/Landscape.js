@@ -0,0 +1,321 @@
+import * as THREE from 'three';
+import { CoordinateGrid } from './CoordinateGrid.js';
+
+// 八个方位的标注：方位角 (度)、文字、是否为四个正方向
+const DIRECTION_LABELS = [
+    [0, '北', true], [45, '东北', false], [90, '东', true], [135, '东南', false],
+    [180, '南', true], [225, '西南', false], [270, '西', true], [315, '西北', false]
+];
+
+// 透视地面时地面的不透明度
+const TRANSPARENT_GROUND_OPACITY = 0.3;
+
+const vertexShader = /* glsl */ `
+    varying vec3 vDirection;
+
+    void main() {
+        vDirection = position;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const fragmentShader = /* glsl */ `
+    #define PI 3.141592653589793
+
+    uniform sampler2D map;
+    uniform float opacity;
+    uniform float cutAboveHorizon;
+
+    varying vec3 vDirection;
+
+    void main() {
+        // 等距柱状投影：u 为从北经东量起的方位角，v 为高度角 (天底 0，天顶 1)
+        vec3 direction = normalize(vDirection);
+        float azimuth = atan(direction.x, -direction.z);
+        vec2 uv = vec2(fract(azimuth / (2.0 * PI)), 0.5 + asin(clamp(direction.y, -1.0, 1.0)) / PI);
+        vec4 texel = texture2D(map, uv);
+        if (cutAboveHorizon > 0.5 && direction.y > 0.0) texel.a = 0.0;
+        if (texel.a < 0.01) discard;
+        gl_FragColor = vec4(texel.rgb, texel.a * opacity);
+
+        #include <colorspace_fragment>
+    }
+`;
+
+/**
+ * 地面、地平线、方位标注、子午线与地平坐标网格
+ * 全部位于地平坐标系：y 轴为天顶、-z 为正北、+x 为正东（渲染器按控制方式整体镜像 group）
+ * 地面为 360° 等距柱状投影全景图：图像左缘为正北，向右依次为东、南、西，上下缘为天顶与天底；
+ * 天空部分应为透明，完全不透明的图片只显示地平线以下的部分
+ * 地面着色器不含裁剪代码，不受地平线裁剪平面影响，并在天空之后绘制，遮住地平线附近的星
+ */
+export class Landscape {
+    /**
+     * @param {(text: string, color: string) => THREE.Sprite} createLabel - 文字精灵工厂，与星空视图共用样式
+     * @param {number} radius - 地面球面半径，应小于天球半径
+     */
+    constructor(createLabel, radius) {
+        this.radius = radius;
+        this.group = new THREE.Group();
+
+        this.proceduralTexture = null;
+        this.customTexture = null;
+        this.style = 'procedural';
+        this.transparent = false;
+
+        this.ground = this.createGround();
+        this.group.add(this.ground);
+        this.horizonLine = this.createHorizonLine();
+        this.group.add(this.horizonLine);
+        this.directionLabels = this.createDirectionLabels(createLabel);
+        this.group.add(this.directionLabels);
+        this.meridian = this.createMeridian();
+        this.meridian.visible = false;
+        this.group.add(this.meridian);
+
+        // 地平坐标网格：方位每 15°、高度每 10°；网格经度从 +x 起算，转 90° 后与从北起算的方位角一致
+        this.altAzGrid = new CoordinateGrid({
+            radius: radius * 0.995,
+            color: 0x66bb88,
+            createLabel,
+            formatLon: azimuth => azimuth % 30 === 0 && azimuth % 90 !== 0 ? `${azimuth}°` : null,
+            formatLat: altitude => `${altitude}°`,
+            labelLat: 4,
+            labelLon: 180
+        });
+        this.altAzGrid.group.rotation.y = Math.PI / 2;
+        this.altAzGrid.setVisible(false);
+        this.group.add(this.altAzGrid.group);
+
+        this.setStyle('procedural');
+    }
+
+    /**
+     * 地面球面，renderOrder 保证在天空之后绘制
+     */
+    createGround() {
+        this.groundMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                map: { value: null },
+                opacity: { value: 1 },
+                cutAboveHorizon: { value: 0 }
+            },
+            vertexShader,
+            fragmentShader,
+            side: THREE.BackSide,
+            transparent: true,
+            depthTest: false,
+            depthWrite: false
+        });
+        const ground = new THREE.Mesh(new THREE.SphereGeometry(this.radius, 96, 48), this.groundMaterial);
+        ground.renderOrder = 1;
+        return ground;
+    }
+
+    /**
+     * 地平线：高度 0° 的大圆，画在地面之上
+     */
+    createHorizonLine() {
+        const points = [];
+        for (let azimuth = 0; azimuth < 360; azimuth += 1) {
+            const angle = THREE.MathUtils.degToRad(azimuth);
+            // 略高于裁剪平面，避免被 y ≥ 0 的裁剪切掉
+            points.push(new THREE.Vector3(this.radius * Math.sin(angle), 0.5, -this.radius * Math.cos(angle)));
+        }
+        const line = new THREE.LineLoop(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color: 0xff9955, transparent: true, opacity: 0.8, depthTest: false })
+        );
+        line.renderOrder = 2;
+        return line;
+    }
+
+    /**
+     * 子午线：经过正北、天顶、正南与天底的大圆 (x = 0 平面)，地平线以下的部分被裁剪
+     */
+    createMeridian() {
+        const points = [];
+        const radius = this.radius * 0.995;
+        for (let angle = 0; angle < 360; angle += 1) {
+            const theta = THREE.MathUtils.degToRad(angle);
+            points.push(new THREE.Vector3(0, radius * Math.sin(theta), radius * Math.cos(theta)));
+        }
+        return new THREE.LineLoop(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color: 0x88cc66, transparent: true, opacity: 0.6, depthWrite: false })
+        );
+    }
+
+    /**
+     * 八个方位的文字，位于地平线上方 2°
+     */
+    createDirectionLabels(createLabel) {
+        const group = new THREE.Group();
+        const altitude = THREE.MathUtils.degToRad(2);
+        for (const [azimuthDeg, text, cardinal] of DIRECTION_LABELS) {
+            const azimuth = THREE.MathUtils.degToRad(azimuthDeg);
+            const sprite = createLabel(text, cardinal ? '#ff9955' : '#cc9977');
+            sprite.scale.multiplyScalar(cardinal ? 1 : 0.7);
+            sprite.material.depthTest = false;
+            sprite.renderOrder = 2;
+            sprite.position.set(
+                this.radius * Math.cos(altitude) * Math.sin(azimuth),
+                this.radius * Math.sin(altitude),
+                -this.radius * Math.cos(altitude) * Math.cos(azimuth)
+            );
+            group.add(sprite);
+        }
+        return group;
+    }
+
+    /**
+     * 程序生成的全景图：地面由地平线向天底逐渐变暗，远山与近山两层起伏的轮廓
+     * 轮廓由整数频率的正弦叠加而成，在方位 0°/360° 处首尾相接；使用固定种子，每次生成相同
+     */
+    static createProceduralPanorama(width = 2048, height = 1024) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        const horizonY = height / 2;
+        const pixelsPerDegree = height / 180;
+
+        const gradient = context.createLinearGradient(0, horizonY, 0, height);
+        gradient.addColorStop(0, '#1f2b22');
+        gradient.addColorStop(1, '#070b08');
+        context.fillStyle = gradient;
+        context.fillRect(0, horizonY, width, height - horizonY);
+
+        let seed = 20240101;
+        const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+        const layers = [
+            { color: '#18241d', base: 1.5, amplitude: 3.5 }, // 远山
+            { color: '#0f1912', base: 0.4, amplitude: 1.6 } // 近处的丘陵与树林
+        ];
+        for (const { color, base, amplitude } of layers) {
+            const waves = [1, 2, 3, 5, 8, 13, 21, 34].map(frequency => ({
+                frequency,
+                weight: Math.pow(frequency, -0.8) * (0.5 + random()),
+                phase: random() * Math.PI * 2
+            }));
+            const total = waves.reduce((sum, wave) => sum + wave.weight, 0);
+
+            context.fillStyle = color;
+            context.beginPath();
+            context.moveTo(0, horizonY + 1);
+            for (let x = 0; x <= width; x += 2) {
+                const value = waves.reduce((sum, wave) =>
+                    sum + wave.weight * Math.sin(2 * Math.PI * wave.frequency * x / width + wave.phase), 0) / total;
+                const elevation = Math.max(0, base + amplitude * value);
+                context.lineTo(x, horizonY - elevation * pixelsPerDegree);
+            }
+            context.lineTo(width, horizonY + 1);
+            context.closePath();
+            context.fill();
+        }
+        return canvas;
+    }
+
+    /**
+     * 全景图纹理：不生成 mipmap，避免方位 0°/360° 接缝处出现一条亮线
+     */
+    static createPanoramaTexture(image) {
+        const texture = new THREE.Texture(image);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        texture.generateMipmaps = false;
+        texture.minFilter = THREE.LinearFilter;
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    /**
+     * 上半部分是否有透明像素（即图片自带透明天空）
+     */
+    static hasTransparentSky(image) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 64;
+        const context = canvas.getContext('2d');
+        // 只取图像上半部分缩小后检查
+        context.drawImage(image, 0, 0, image.width, image.height / 2, 0, 0, canvas.width, canvas.height);
+        const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] < 250) return true;
+        }
+        return false;
+    }
+
+    /**
+     * 设置上传的全景图，并切换为自定义地面
+     * @param {HTMLImageElement} image - 等距柱状投影的 360° 全景图
+     */
+    setPanoramaImage(image) {
+        this.customTexture?.dispose();
+        this.customTexture = Landscape.createPanoramaTexture(image);
+        this.customTexture.userData.cutAboveHorizon = !Landscape.hasTransparentSky(image);
+        this.setStyle('custom');
+    }
+
+    /**
+     * 切换地面样式
+     * @param {'procedural'|'none'|'custom'} style - 程序生成、无地面（只保留地平线与方位）或上传的全景图
+     */
+    setStyle(style) {
+        if (!['procedural', 'none', 'custom'].includes(style)) {
+            throw new Error(`未知的地面样式：${style}`);
+        }
+        if (style === 'custom' && !this.customTexture) {
+            throw new Error('尚未上传全景图片');
+        }
+        this.style = style;
+
+        let texture = null;
+        if (style === 'procedural') {
+            if (!this.proceduralTexture) {
+                this.proceduralTexture = Landscape.createPanoramaTexture(Landscape.createProceduralPanorama());
+            }
+            texture = this.proceduralTexture;
+        } else if (style === 'custom') {
+            texture = this.customTexture;
+        }
+        this.groundMaterial.uniforms.map.value = texture;
+        this.groundMaterial.uniforms.cutAboveHorizon.value = texture?.userData.cutAboveHorizon ? 1 : 0;
+        this.ground.visible = texture !== null;
+    }
+
+    /**
+     * 透视地面：地面半透明，可以看到地平线以下的天体（裁剪平面由渲染器关闭）
+     */
+    setTransparent(transparent) {
+        this.transparent = transparent;
+        this.groundMaterial.uniforms.opacity.value = transparent ? TRANSPARENT_GROUND_OPACITY : 1;
+    }
+
+    /**
+     * 显示或隐藏地平坐标网格
+     */
+    setGridVisible(visible) {
+        this.altAzGrid.setVisible(visible);
+    }
+
+    /**
+     * 显示或隐藏子午线
+     */
+    setMeridianVisible(visible) {
+        this.meridian.visible = visible;
+    }
+
+    /**
+     * 释放几何体、材质与纹理
+     */
+    dispose() {
+        this.proceduralTexture?.dispose();
+        this.customTexture?.dispose();
+        this.group.traverse(object => {
+            object.geometry?.dispose();
+            object.material?.map?.dispose();
+            object.material?.dispose();
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,225 @@
+import * as THREE from 'three';
+
+// 视场范围 (度)：180° 为整个半天球，1° 接近小型望远镜
+export const MIN_FOV = 1;
+export const MAX_FOV = 180;
+
+// 键盘控制：转动视线的方向 (方位, 高度) 与缩放方向
+const PAN_KEYS = {
+    KeyA: [-1, 0],
+    KeyD: [1, 0],
+    KeyW: [0, 1],
+    KeyS: [0, -1]
+};
+const ZOOM_KEYS = {
+    Equal: -1,
+    NumpadAdd: -1,
+    Minus: 1,
+    NumpadSubtract: 1
+};
+
+/**
+ * 观测者视角控制器（第一人称"天象仪"模式）
+ * 相机固定在天球中心，拖动画布转动视线，滚轮缩放视场；W/A/S/D 转动视线，+/- 缩放
+ * 世界坐标中 y 轴为天顶、-z 为正北、+x 为正东，方位角从北经东量起
+ * 视场只在这里记录，由渲染器决定用透视还是广角投影显示
+ */
+export class ObserverControls {
+    /**
+     * @param {THREE.PerspectiveCamera} camera - 位于原点的相机
+     * @param {HTMLElement} domElement - 接收鼠标与滚轮事件的画布
+     */
+    constructor(camera, domElement) {
+        this.camera = camera;
+        this.domElement = domElement;
+        this.enabled = true;
+
+        // 视线中心的地平坐标与视场 (度)，默认朝南方天空
+        this.azimuth = 180;
+        this.altitude = 30;
+        this.fov = 90;
+
+        this.keyPanSpeed = 0.6; // 每秒转过的视场比例
+        this.keyZoomSpeed = 1.5; // 每秒视场按 e^speed 倍缩放
+        this.wheelZoomSpeed = 0.0015;
+
+        this.pressedKeys = new Set();
+        this.dragPosition = null;
+        this.lastUpdate = null;
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onWheel = this.onWheel.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.onBlur = this.onBlur.bind(this);
+
+        this.domElement.addEventListener('pointerdown', this.onPointerDown);
+        this.domElement.addEventListener('pointermove', this.onPointerMove);
+        this.domElement.addEventListener('pointerup', this.onPointerUp);
+        this.domElement.addEventListener('pointercancel', this.onPointerUp);
+        this.domElement.addEventListener('wheel', this.onWheel, { passive: false });
+        document.addEventListener('keydown', this.onKeyDown);
+        document.addEventListener('keyup', this.onKeyUp);
+        window.addEventListener('blur', this.onBlur);
+    }
+
+    /**
+     * 拖动开始
+     */
+    onPointerDown(event) {
+        if (!this.enabled || event.button !== 0) return;
+        this.dragPosition = { x: event.clientX, y: event.clientY };
+        this.domElement.setPointerCapture?.(event.pointerId);
+    }
+
+    /**
+     * 拖动时天空跟随指针移动：向右拖视线向左转（方位角减小，面朝南时转向东），向下拖视线抬高
+     */
+    onPointerMove(event) {
+        if (!this.enabled || !this.dragPosition) return;
+        const degreesPerPixel = this.fov / (this.domElement.clientHeight || 1);
+        this.setView(
+            this.azimuth - (event.clientX - this.dragPosition.x) * degreesPerPixel,
+            this.altitude + (event.clientY - this.dragPosition.y) * degreesPerPixel
+        );
+        this.dragPosition = { x: event.clientX, y: event.clientY };
+    }
+
+    /**
+     * 拖动结束
+     */
+    onPointerUp(event) {
+        if (!this.dragPosition) return;
+        this.dragPosition = null;
+        this.domElement.releasePointerCapture?.(event.pointerId);
+    }
+
+    /**
+     * 滚轮按比例缩放视场，各视场下缩放手感一致
+     */
+    onWheel(event) {
+        if (!this.enabled) return;
+        event.preventDefault();
+        this.setFov(this.fov * Math.exp(event.deltaY * this.wheelZoomSpeed));
+    }
+
+    /**
+     * 记录按下的控制键，在 update 中按时间连续转动
+     */
+    onKeyDown(event) {
+        // 防止在输入框中触发
+        if (!this.enabled || event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT') {
+            return;
+        }
+        if (event.code in PAN_KEYS || event.code in ZOOM_KEYS) {
+            event.preventDefault();
+            this.pressedKeys.add(event.code);
+        }
+    }
+
+    onKeyUp(event) {
+        this.pressedKeys.delete(event.code);
+    }
+
+    /**
+     * 窗口失去焦点时收不到 keyup，清除按键状态
+     */
+    onBlur() {
+        this.pressedKeys.clear();
+        this.dragPosition = null;
+    }
+
+    /**
+     * 是否正在用键盘转动视线（渲染器据此停止跟踪）
+     */
+    isKeyPanning() {
+        return this.enabled && [...this.pressedKeys].some(code => code in PAN_KEYS);
+    }
+
+    /**
+     * 设置视线中心
+     * @param {number} azimuth - 方位角 (度)，从北经东量起
+     * @param {number} altitude - 高度角 (度)，限制在 ±90° 内
+     */
+    setView(azimuth, altitude) {
+        this.azimuth = ((azimuth % 360) + 360) % 360;
+        this.altitude = THREE.MathUtils.clamp(altitude, -90, 90);
+    }
+
+    /**
+     * 设置视场 (度)，限制在 MIN_FOV–MAX_FOV
+     */
+    setFov(fov) {
+        this.fov = THREE.MathUtils.clamp(fov, MIN_FOV, MAX_FOV);
+    }
+
+    /**
+     * 沿世界坐标中的方向观看
+     * @param {THREE.Vector3} direction - 单位向量
+     */
+    lookAt(direction) {
+        this.setView(
+            THREE.MathUtils.radToDeg(Math.atan2(direction.x, -direction.z)),
+            THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(direction.y, -1, 1)))
+        );
+    }
+
+    /**
+     * 视线方向的单位向量 (世界坐标)
+     */
+    getDirection(target = new THREE.Vector3()) {
+        const azimuth = THREE.MathUtils.degToRad(this.azimuth);
+        const altitude = THREE.MathUtils.degToRad(this.altitude);
+        return target.set(
+            Math.sin(azimuth) * Math.cos(altitude),
+            Math.sin(altitude),
+            -Math.cos(azimuth) * Math.cos(altitude)
+        );
+    }
+
+    /**
+     * 每帧调用：按住的控制键按经过的时间转动或缩放，再把相机转到视线方向
+     * 先绕天顶转方位、再抬高度，画面始终保持天顶朝上
+     */
+    update() {
+        const now = performance.now();
+        // 切到后台再回来时避免一次转过很大角度
+        const delta = this.lastUpdate === null ? 0 : Math.min((now - this.lastUpdate) / 1000, 0.1);
+        this.lastUpdate = now;
+
+        if (this.enabled && delta > 0) {
+            for (const code of this.pressedKeys) {
+                if (code in PAN_KEYS) {
+                    const [azimuthStep, altitudeStep] = PAN_KEYS[code];
+                    const step = this.fov * this.keyPanSpeed * delta;
+                    this.setView(this.azimuth + azimuthStep * step, this.altitude + altitudeStep * step);
+                } else if (code in ZOOM_KEYS) {
+                    this.setFov(this.fov * Math.exp(ZOOM_KEYS[code] * this.keyZoomSpeed * delta));
+                }
+            }
+        }
+
+        this.camera.rotation.set(
+            THREE.MathUtils.degToRad(this.altitude),
+            -THREE.MathUtils.degToRad(this.azimuth),
+            0,
+            'YXZ'
+        );
+    }
+
+    /**
+     * 移除事件监听
+     */
+    dispose() {
+        this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+        this.domElement.removeEventListener('pointermove', this.onPointerMove);
+        this.domElement.removeEventListener('pointerup', this.onPointerUp);
+        this.domElement.removeEventListener('pointercancel', this.onPointerUp);
+        this.domElement.removeEventListener('wheel', this.onWheel);
+        document.removeEventListener('keydown', this.onKeyDown);
+        document.removeEventListener('keyup', this.onKeyUp);
+        window.removeEventListener('blur', this.onBlur);
+    }
+}
\ No newline at end of file
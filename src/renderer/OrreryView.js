@@ -0,0 +1,341 @@
+import * as THREE from 'three';
+
+// 黄道十二宫（J2000 黄经每 30° 一宫，自春分点起）
+const ZODIAC_SIGNS = ['白羊', '金牛', '双子', '巨蟹', '狮子', '处女', '天秤', '天蝎', '射手', '摩羯', '水瓶', '双鱼'];
+
+// 场景单位 / AU
+const AU_SCALE = 20;
+
+/**
+ * 日心俯视图（太阳系仪）
+ * 从黄道北极俯视，按真实比例绘制各天体的日心位置与开普勒轨道；
+ * 黄道带以地球为中心绘制，地球→聚焦行星的视线与黄道带的交点即该行星的地心黄经，
+ * 用来说明哥白尼如何以地球绕日解释行星在黄道上的视运动（含逆行）
+ */
+export class OrreryView {
+    /**
+     * @param {(text: string, color: string) => THREE.Sprite} createLabel - 文字精灵工厂，与星空视图共用样式
+     * @param {(sprite: THREE.Sprite, text: string, color: string) => void} updateLabel - 重绘已有文字精灵的内容
+     */
+    constructor(createLabel, updateLabel) {
+        this.createLabel = createLabel;
+        this.updateLabel = updateLabel;
+
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(0x000811);
+
+        // 正交相机从黄道北极（场景 +Y）俯视，屏幕上方为黄经 90° 方向
+        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 10000);
+        this.camera.position.set(0, 5000, 0);
+        this.camera.up.set(0, 0, -1);
+        this.camera.lookAt(0, 0, 0);
+        this.aspect = 1;
+        this.extent = 2; // 视野半高 (AU)
+        this.controls = null;
+
+        this.focusPlanet = 'all';
+        this.observerKey = 'earth';
+        this.bodies = new Map(); // key → { orbit, mesh, label }
+        this.lastState = null;
+
+        this.sun = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 24, 24),
+            new THREE.MeshBasicMaterial({ color: 0xffd700 })
+        );
+        this.scene.add(this.sun);
+
+        this.zodiacGroup = this.createZodiacBand();
+        this.scene.add(this.zodiacGroup);
+
+        this.sightGroup = this.createSightLine();
+        this.scene.add(this.sightGroup);
+    }
+
+    /**
+     * J2000 黄道日心坐标 (AU) → 场景坐标：x 不变，黄道北极朝 +Y
+     */
+    toScene(v) {
+        return new THREE.Vector3(v.x * AU_SCALE, v.z * AU_SCALE, -v.y * AU_SCALE);
+    }
+
+    /**
+     * 创建以单位半径绘制的黄道带，由 zodiacGroup 的缩放决定实际大小
+     */
+    createZodiacBand() {
+        const group = new THREE.Group();
+
+        const ring = new THREE.Mesh(
+            new THREE.RingGeometry(0.9, 1, 120, 1),
+            new THREE.MeshBasicMaterial({
+                color: 0x335577,
+                transparent: true,
+                opacity: 0.35,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            })
+        );
+        // RingGeometry 位于 XY 平面，转到黄道面 (XZ)
+        ring.rotation.x = -Math.PI / 2;
+        group.add(ring);
+
+        const dividers = [];
+        ZODIAC_SIGNS.forEach((sign, index) => {
+            const start = THREE.MathUtils.degToRad(index * 30);
+            dividers.push(
+                new THREE.Vector3(0.9 * Math.cos(start), 0, -0.9 * Math.sin(start)),
+                new THREE.Vector3(Math.cos(start), 0, -Math.sin(start))
+            );
+
+            const middle = THREE.MathUtils.degToRad(index * 30 + 15);
+            const label = this.createLabel(`${sign}宫`, '#88aacc');
+            label.position.set(0.95 * Math.cos(middle), 0, -0.95 * Math.sin(middle));
+            label.scale.set(0.16, 0.04, 1);
+            group.add(label);
+        });
+        group.add(new THREE.LineSegments(
+            new THREE.BufferGeometry().setFromPoints(dividers),
+            new THREE.LineBasicMaterial({ color: 0x5588aa, transparent: true, opacity: 0.6 })
+        ));
+
+        return group;
+    }
+
+    /**
+     * 创建地球→行星的视线及其在黄道带上的投影标记
+     */
+    createSightLine() {
+        const group = new THREE.Group();
+        const line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]),
+            new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.8 })
+        );
+        const marker = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 12, 12),
+            new THREE.MeshBasicMaterial({ color: 0xffffff })
+        );
+        group.add(line);
+        group.add(marker);
+        group.userData = { line, marker, label: null, labelText: '' };
+        group.visible = false;
+        return group;
+    }
+
+    /**
+     * 为天体创建轨道线、圆点与名称标签
+     */
+    createBody(key, body) {
+        const orbit = new THREE.LineLoop(
+            new THREE.BufferGeometry(),
+            new THREE.LineBasicMaterial({ color: body.color, transparent: true, opacity: 0.5 })
+        );
+        const mesh = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 16, 16),
+            new THREE.MeshBasicMaterial({ color: body.color })
+        );
+        const label = this.createLabel(body.name, body.color);
+        this.scene.add(orbit);
+        this.scene.add(mesh);
+        this.scene.add(label);
+
+        const entry = { orbit, mesh, label, pointCount: 0 };
+        this.bodies.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * 移除天体并释放其几何体与材质
+     */
+    removeBody(key) {
+        const entry = this.bodies.get(key);
+        if (!entry) return;
+        [entry.orbit, entry.mesh, entry.label].forEach(object => {
+            this.scene.remove(object);
+            object.geometry?.dispose();
+            object.material.map?.dispose();
+            object.material.dispose();
+        });
+        this.bodies.delete(key);
+    }
+
+    /**
+     * 更新天体位置与轨道
+     * @param {Object} state
+     * @param {{x: number, y: number, z: number}} state.earth - 地球日心坐标 (J2000 黄道，AU)
+     * @param {string} [state.observer] - 观测平台所在天体，黄道带与视线以它为中心，默认为地球
+     * @param {Object<string, {name: string, color: string, heliocentricCoords: Object, orbit: Array}>} state.bodies
+     *   各天体（含地球与观测平台）的名称、颜色、日心坐标与一整圈轨道点
+     */
+    update(state) {
+        this.lastState = state;
+        this.observerKey = state.observer || 'earth';
+
+        for (const key of [...this.bodies.keys()]) {
+            if (!(key in state.bodies)) this.removeBody(key);
+        }
+
+        for (const [key, body] of Object.entries(state.bodies)) {
+            const entry = this.bodies.get(key) || this.createBody(key, body);
+
+            // 轨道点数不变时直接改写顶点缓冲区
+            const positions = entry.orbit.geometry.getAttribute('position');
+            if (!positions || positions.count !== body.orbit.length) {
+                entry.orbit.geometry.setAttribute('position',
+                    new THREE.BufferAttribute(new Float32Array(body.orbit.length * 3), 3));
+            }
+            const attribute = entry.orbit.geometry.getAttribute('position');
+            body.orbit.forEach((point, index) => {
+                const p = this.toScene(point);
+                attribute.setXYZ(index, p.x, p.y, p.z);
+            });
+            attribute.needsUpdate = true;
+            entry.orbit.geometry.computeBoundingSphere();
+
+            entry.mesh.position.copy(this.toScene(body.heliocentricCoords));
+            entry.orbitRadius = Math.max(...body.orbit.map(point => Math.hypot(point.x, point.y, point.z)), 0);
+        }
+
+        this.updateFraming();
+    }
+
+    /**
+     * 设置聚焦行星，决定视线与自动取景范围
+     */
+    setFocusPlanet(key) {
+        this.focusPlanet = key;
+        if (this.controls) {
+            // 切换聚焦时回到以太阳为中心的自动取景
+            this.camera.zoom = 1;
+            this.controls.target.set(0, 0, 0);
+            this.camera.position.set(0, 5000, 0);
+        }
+        if (this.lastState) this.updateFraming();
+    }
+
+    /**
+     * 按聚焦行星确定视野，并更新与视野大小相关的尺寸与视线
+     * 黄道带半径取观测平台到聚焦行星最远距离之外，保证视线总能与之相交
+     */
+    updateFraming() {
+        const focus = this.bodies.get(this.focusPlanet);
+        const observer = this.bodies.get(this.observerKey);
+        const farthest = focus
+            ? Math.max(focus.orbitRadius, observer?.orbitRadius || 1)
+            : Math.max(...[...this.bodies.values()].map(entry => entry.orbitRadius), 1);
+        const zodiacRadius = (farthest + (observer?.orbitRadius || 1)) * 1.05;
+        this.extent = zodiacRadius * 1.08;
+        this.updateProjection();
+
+        // 圆点与标签保持大致固定的屏幕大小
+        const unit = this.extent * AU_SCALE;
+        this.sun.scale.setScalar(unit * 0.02);
+        for (const [key, entry] of this.bodies) {
+            entry.mesh.scale.setScalar(unit * (key === this.focusPlanet || key === this.observerKey ? 0.014 : 0.01));
+            entry.label.scale.set(unit * 0.16, unit * 0.04, 1);
+            entry.label.position.copy(entry.mesh.position).add(new THREE.Vector3(0, 0, -unit * 0.045));
+        }
+
+        // 黄道带以观测平台为中心
+        const observerPosition = observer ? observer.mesh.position : new THREE.Vector3();
+        this.zodiacGroup.position.copy(observerPosition);
+        this.zodiacGroup.scale.setScalar(zodiacRadius * AU_SCALE);
+
+        this.updateSightLine(observerPosition, focus, zodiacRadius * AU_SCALE, unit);
+    }
+
+    /**
+     * 更新观测平台→聚焦行星的视线，延长到黄道带并标出黄经
+     */
+    updateSightLine(observerPosition, focus, zodiacRadius, unit) {
+        const { line, marker } = this.sightGroup.userData;
+        if (!focus || this.focusPlanet === this.observerKey) {
+            this.sightGroup.visible = false;
+            return;
+        }
+
+        const direction = focus.mesh.position.clone().sub(observerPosition);
+        // 只看黄道面内的投影方向，即黄经
+        direction.y = 0;
+        direction.normalize();
+        const end = observerPosition.clone().addScaledVector(direction, zodiacRadius * 0.95);
+
+        const positions = line.geometry.getAttribute('position');
+        positions.setXYZ(0, observerPosition.x, observerPosition.y, observerPosition.z);
+        positions.setXYZ(1, end.x, end.y, end.z);
+        positions.needsUpdate = true;
+        line.geometry.computeBoundingSphere();
+        line.material.color.copy(focus.mesh.material.color);
+
+        marker.position.copy(end);
+        marker.scale.setScalar(unit * 0.012);
+        marker.material.color.copy(focus.mesh.material.color);
+
+        // 黄经标签只创建一次，数值变化时在原画布上重绘
+        const longitude = ((THREE.MathUtils.radToDeg(Math.atan2(-direction.z, direction.x)) % 360) + 360) % 360;
+        const text = `黄经 ${longitude.toFixed(1)}°`;
+        let label = this.sightGroup.userData.label;
+        if (!label) {
+            label = this.createLabel(text, '#ffffff');
+            this.sightGroup.add(label);
+            this.sightGroup.userData.label = label;
+        } else if (text !== this.sightGroup.userData.labelText) {
+            this.updateLabel(label, text, '#ffffff');
+        }
+        this.sightGroup.userData.labelText = text;
+        label.position.copy(end).addScaledVector(direction, unit * 0.06);
+        label.scale.set(unit * 0.16, unit * 0.04, 1);
+
+        this.sightGroup.visible = true;
+    }
+
+    /**
+     * 绑定平移与缩放控制器（俯视图不允许旋转）
+     */
+    setControls(controls) {
+        this.controls = controls;
+        controls.enableRotate = false;
+        controls.screenSpacePanning = true;
+        controls.enabled = false;
+    }
+
+    /**
+     * 设置视口宽高比
+     */
+    setAspect(aspect) {
+        this.aspect = aspect;
+        this.updateProjection();
+    }
+
+    updateProjection() {
+        const halfHeight = this.extent * AU_SCALE;
+        this.camera.left = -halfHeight * this.aspect;
+        this.camera.right = halfHeight * this.aspect;
+        this.camera.top = halfHeight;
+        this.camera.bottom = -halfHeight;
+        this.camera.updateProjectionMatrix();
+    }
+
+    /**
+     * 渲染到当前视口
+     */
+    render(renderer) {
+        if (this.controls?.enabled) {
+            this.controls.update();
+        }
+        renderer.render(this.scene, this.camera);
+    }
+
+    /**
+     * 清理资源
+     */
+    dispose() {
+        for (const key of [...this.bodies.keys()]) {
+            this.removeBody(key);
+        }
+        this.scene.traverse(object => {
+            object.geometry?.dispose();
+            object.material?.map?.dispose();
+            object.material?.dispose();
+        });
+        this.controls?.dispose();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,120 @@
+import * as THREE from 'three';
+
+/**
+ * 波特尔暗夜分级 (Bortle 1–9)
+ * limitingMagnitude 为天顶附近的肉眼极限星等，skyColor 为对应的天空背景色
+ * 来源：J.E. Bortle, "Introducing the Bortle Dark-Sky Scale", Sky & Telescope (2001)
+ */
+export const BORTLE_SCALE = [
+    { level: 1, name: '极暗夜空', limitingMagnitude: 7.6, skyColor: 0x001122 },
+    { level: 2, name: '典型暗夜', limitingMagnitude: 7.1, skyColor: 0x021426 },
+    { level: 3, name: '乡村', limitingMagnitude: 6.6, skyColor: 0x05182b },
+    { level: 4, name: '乡村/郊区过渡', limitingMagnitude: 6.1, skyColor: 0x0a1e31 },
+    { level: 5, name: '郊区', limitingMagnitude: 5.6, skyColor: 0x112538 },
+    { level: 6, name: '明亮郊区', limitingMagnitude: 5.1, skyColor: 0x1a2c3f },
+    { level: 7, name: '郊区/城市过渡', limitingMagnitude: 4.6, skyColor: 0x243446 },
+    { level: 8, name: '城市', limitingMagnitude: 4.1, skyColor: 0x2f3b4b },
+    { level: 9, name: '市中心', limitingMagnitude: 4.0, skyColor: 0x3a4350 }
+];
+
+// 星点大小的参考星等：该星等的恒星绘制为 pointScale 像素
+const REFERENCE_MAGNITUDE = 6.5;
+
+const vertexShader = /* glsl */ `
+    attribute float size;
+    attribute float flux;
+    attribute vec3 color;
+
+    uniform float limitingMagnitude;
+    uniform float pointScale;
+    uniform float maxPointSize;
+    uniform float pixelRatio;
+    uniform float twinkle;
+    uniform float time;
+
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    #include <clipping_planes_pars_vertex>
+
+    void main() {
+        // 距极限星等的余量：m_lim − m = m_lim + 2.5 lg F
+        float margin = limitingMagnitude + 2.5 * log(flux) / log(10.0);
+        vColor = color;
+        // 最后 1 等内逐渐隐去，暗于极限星等的不绘制；亮星在 4 等余量内逐渐提到满亮度
+        vAlpha = clamp(margin, 0.0, 1.0) * mix(0.55, 1.0, clamp(margin / 4.0, 0.0, 1.0));
+
+        // 闪烁：以位置散列为相位，越接近地平线大气越厚、闪烁越强
+        vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+        if (twinkle > 0.0) {
+            float phase = fract(sin(dot(position.xyz, vec3(12.9898, 78.233, 37.719))) * 43758.5453) * 6.2831853;
+            float horizon = 1.0 - clamp(normalize(worldPosition.xyz).y, 0.0, 1.0);
+            float amplitude = twinkle * (0.15 + 0.45 * horizon);
+            vAlpha *= 1.0 + amplitude * sin(time * (3.0 + phase) + phase);
+        }
+
+        vec4 mvPosition = viewMatrix * worldPosition;
+        gl_Position = projectionMatrix * mvPosition;
+        gl_PointSize = margin > 0.0 ? clamp(pointScale * size, 1.0, maxPointSize) * pixelRatio : 0.0;
+
+        #include <clipping_planes_vertex>
+    }
+`;
+
+const fragmentShader = /* glsl */ `
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    #include <clipping_planes_pars_fragment>
+
+    void main() {
+        #include <clipping_planes_fragment>
+
+        // 圆形星点，中心亮、边缘按高斯衰减
+        vec2 offset = gl_PointCoord - vec2(0.5);
+        float r2 = dot(offset, offset);
+        if (r2 > 0.25) discard;
+        float profile = exp(-r2 * 12.0);
+        gl_FragColor = vec4(vColor, vAlpha * profile);
+    }
+`;
+
+/**
+ * 背景恒星的点精灵材质
+ * 每颗星带 size 与 flux 两个属性，均由星等按普森公式得出：
+ *   flux = 10^(−0.4 m)，即相对 0 等星的亮度
+ *   size = 10^(−0.1 (m − 6.5))，星点直径正比于亮度的四次方根，6.5 等星为 1
+ * 极限星等在着色器中比较，调整极限星等与光污染时无需重建几何体
+ */
+export class StarFieldMaterial extends THREE.ShaderMaterial {
+    constructor() {
+        super({
+            uniforms: {
+                limitingMagnitude: { value: REFERENCE_MAGNITUDE },
+                pointScale: { value: 1.6 },
+                maxPointSize: { value: 12.0 },
+                pixelRatio: { value: 1.0 },
+                twinkle: { value: 0.0 },
+                time: { value: 0.0 }
+            },
+            vertexShader,
+            fragmentShader,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending,
+            clipping: true
+        });
+    }
+
+    /**
+     * 由星等计算顶点属性
+     * @param {number} magnitude - 视星等
+     * @returns {{ size: number, flux: number }}
+     */
+    static pogson(magnitude) {
+        return {
+            size: Math.pow(10, -0.1 * (magnitude - REFERENCE_MAGNITUDE)),
+            flux: Math.pow(10, -0.4 * magnitude)
+        };
+    }
+}
\ No newline at end of file
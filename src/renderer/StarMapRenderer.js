@@ -1,6 +1,57 @@
 import * as THREE from 'three';
 import { ConstellationData } from '../data/ConstellationData.js';
+import { ReferenceFrames } from '../astronomy/ReferenceFrames.js';
 import { FPSMonitor } from '../utils/FPSMonitor.js';
+import { OrreryView } from './OrreryView.js';
+import { StarFieldMaterial, BORTLE_SCALE } from './StarFieldMaterial.js';
+import { ConstellationMaterial } from './ConstellationMaterial.js';
+import { ObserverControls } from './ObserverControls.js';
+import { FisheyeProjection, PERSPECTIVE_FOV_LIMIT } from './FisheyeProjection.js';
+import { Landscape } from './Landscape.js';
+import { CoordinateGrid } from './CoordinateGrid.js';
+
+// 点选容差 (像素)：星点很小，点在附近即可选中
+const PICK_TOLERANCE_PX = 6;
+// 轨道视角的相机视场 (度)
+const ORBIT_FOV = 75;
+
+// 天球坐标网格：赤纬、黄纬、银纬每 30° 标注一次，纬度标签分布在四条经线上，总有一列在地平线以上
+const formatLatitude = lat => lat % 30 === 0 ? `${lat > 0 ? '+' : ''}${lat}°` : null;
+const COORDINATE_GRIDS = {
+    equatorial: {
+        color: 0x4f86d9,
+        formatLon: ra => `${ra / 15}h`,
+        formatLat: formatLatitude,
+        labelLon: [0, 90, 180, 270],
+        equator: true,
+        poleLabels: ['北天极', '南天极']
+    },
+    ecliptic: {
+        color: 0xd9b84f,
+        formatLon: lon => lon % 30 === 0 ? `${lon}°` : null,
+        formatLat: formatLatitude,
+        labelLon: [0, 90, 180, 270],
+        equator: true,
+        poleLabels: ['北黄极', '南黄极']
+    },
+    galactic: {
+        color: 0xb36bd9,
+        formatLon: lon => lon === 0 ? '银心' : lon % 30 === 0 ? `${lon}°` : null,
+        formatLat: formatLatitude,
+        labelLon: [0, 90, 180, 270],
+        equator: true,
+        poleLabels: ['北银极', '南银极']
+    },
+    // 只有天赤道与两极，不画经纬线
+    celestialEquator: {
+        color: 0x6fa8ff,
+        opacity: 0.4,
+        lonStep: 0,
+        latStep: 0,
+        equator: true,
+        poleLabels: ['北天极', '南天极']
+    }
+};
 
 /**
  * 星图3D渲染器
@@ -15,7 +66,14 @@ export class StarMapRenderer {
         this.scene = null;
         this.camera = null;
         this.renderer = null;
-        this.controls = null;
+        this.controls = null; // 轨道控制器
+        this.observerControls = null; // 观测者视角控制器
+        this.fisheye = null; // 视场超过透视极限时的广角投影
+        
+        // 相机控制方式：'observer'（从天球中心环顾）或 'orbit'（从外部环绕天球）
+        this.controlMode = 'observer';
+        this.orbitCameraState = null; // 离开轨道视角时的相机位置与目标点，切回时恢复
+        this.viewReadout = null; // 上次通知的视线中心地平坐标
         
         // 渲染对象组
         this.skyGroup = null; // 天球整体分组
@@ -23,19 +81,36 @@ export class StarMapRenderer {
         this.constellationGroup = null;
         this.planetGroup = null;
         this.orbitTrailsGroup = null;
+        this.earthShadowGroup = null; // 月食时的地球本影与半影
+        this.modelComparisonGroup = null; // 历史模型预报位置
+        this.landscape = null; // 地面、地平线、方位标注与地平坐标网格（地平坐标系，不随天球转动）
+        this.coordinateGrids = new Map(); // 天球坐标网格：kind → CoordinateGrid，首次显示时创建
         
         // 数据
         this.constellationData = null;
         this.planetObjects = new Map();
-        this.orbitTrails = new Map();
+        this.orbitTrails = new Map(); // key → { group, line, ticks, labels }
         this.starCatalogRaw = null; // 原始星表（用于半球可见性过滤）
         this.starPoints = null; // 背景恒星 Points 引用
+        this.starMaterial = null; // 背景恒星的星点着色器材质
+        this.constellationObjects = new Map(); // key → 星座分组，userData 含共用 uniform
+        this.constellationTime = { value: 0 }; // 星座闪烁的全局时间 uniform
         
         // 显示控制
         this.showConstellations = true;
         this.showOrbitTrails = true;
         this.showEcliptic = false;
         this.focusPlanet = 'all';
+        this.groundTransparent = false; // 透视地面：关闭地平线裁剪，地面半透明
+        
+        // 星空亮度：用户设定的极限星等、光污染等级 (Bortle 1–9) 与星光闪烁
+        this.limitingMagnitude = 6.5;
+        this.bortleClass = 1;
+        this.twinkle = false;
+        
+        // 视图模式：'sky'（地心星空）、'orrery'（日心俯视）或 'split'（左右并排）
+        this.viewMode = 'sky';
+        this.orreryView = null;
         
         // 渲染参数
         this.celestialSphereRadius = 1000;
@@ -49,6 +124,16 @@ export class StarMapRenderer {
 
         // 地平线裁剪平面
         this.horizonPlane = null;
+        // 当前历元显示坐标中的地平基准：{ zenith, north, east } 单位向量
+        this.horizonBasis = null;
+        
+        // 点选与跟踪：trackedTarget 为 pickObject 返回的选择，每帧把视线对准它
+        this.raycaster = new THREE.Raycaster();
+        this.trackedTarget = null;
+        this.cameraFlight = null; // 转向目标的动画：{ selection, from, start, duration }
+        
+        // 事件监听器
+        this.listeners = new Map();
         
         // FPS监控器
         this.fpsMonitor = new FPSMonitor();
@@ -66,7 +151,7 @@ export class StarMapRenderer {
         
         // 创建相机
         this.camera = new THREE.PerspectiveCamera(
-            75,
+            ORBIT_FOV,
             this.container.clientWidth / this.container.clientHeight,
             0.1,
             5000
@@ -74,6 +159,12 @@ export class StarMapRenderer {
         this.camera.position.set(0, 0, 100);
         console.log('StarMapRenderer: 相机创建完成');
         
+        // 日心俯视图使用独立的场景与相机，与星空视图共用同一个 WebGL 渲染器
+        this.orreryView = new OrreryView(
+            (text, color) => this.createTextSprite(text, color),
+            (sprite, text, color) => this.updateTextSprite(sprite, text, color)
+        );
+        
         // 创建渲染器
         this.renderer = new THREE.WebGLRenderer({ antialias: true });
         this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
@@ -81,12 +172,14 @@ export class StarMapRenderer {
         this.container.appendChild(this.renderer.domElement);
         // 启用局部裁剪（用于半球可见性）
         this.renderer.localClippingEnabled = true;
+        // 分屏时一帧渲染两次，绘制统计改为每帧手动清零
+        this.renderer.info.autoReset = false;
         console.log('StarMapRenderer: 渲染器创建完成');
         
-        // 创建轨道控制器
-        console.log('StarMapRenderer: 开始初始化轨道控制器');
+        // 创建相机控制器
+        console.log('StarMapRenderer: 开始初始化相机控制器');
         await this.initControls();
-        console.log('StarMapRenderer: 轨道控制器初始化完成');
+        console.log('StarMapRenderer: 相机控制器初始化完成');
         
         // 创建场景对象组
         console.log('StarMapRenderer: 开始创建场景对象组');
@@ -108,17 +201,29 @@ export class StarMapRenderer {
         this.createEcliptic();
         console.log('StarMapRenderer: 黄道大圆创建完成');
         
+        // 创建地面与地平线
+        console.log('StarMapRenderer: 开始创建地面与地平线');
+        this.createLandscape();
+        console.log('StarMapRenderer: 地面与地平线创建完成');
+        
         // 窗口resize处理
         this.setupResizeHandler();
         console.log('StarMapRenderer: 窗口resize处理设置完成');
         
+        // 画布点选
+        this.setupPicking();
+        console.log('StarMapRenderer: 点选处理设置完成');
+        
         console.log('3D渲染器初始化完成');
     }
     
     /**
-     * 初始化轨道控制器
+     * 初始化相机控制器：观测者视角与轨道视角各一个，按控制方式启用其一
      */
     async initControls() {
+        this.observerControls = new ObserverControls(this.camera, this.renderer.domElement);
+        this.fisheye = new FisheyeProjection();
+        
         try {
             console.log('StarMapRenderer: 正在加载OrbitControls模块');
             const { OrbitControls } = await import('three/examples/jsm/controls/OrbitControls.js');
@@ -129,10 +234,13 @@ export class StarMapRenderer {
             this.controls.enablePan = true;
             this.controls.maxDistance = 2000;
             this.controls.minDistance = 10;
+            // 日心俯视图只允许平移与缩放，仅在单独显示时启用
+            this.orreryView.setControls(new OrbitControls(this.orreryView.camera, this.renderer.domElement));
             console.log('StarMapRenderer: OrbitControls初始化成功');
         } catch (error) {
             console.warn('无法加载OrbitControls，使用基础相机控制', error);
         }
+        this.setControlMode(this.controlMode);
     }
     
     /**
@@ -142,6 +250,8 @@ export class StarMapRenderer {
         console.log('StarMapRenderer: 创建场景对象组');
         // 顶层天球分组
         this.skyGroup = new THREE.Group();
+        // 姿态由地平基准直接给出，观测者视角下含一次镜像，不能分解为旋转
+        this.skyGroup.matrixAutoUpdate = false;
         this.scene.add(this.skyGroup);
 
         // 子分组
@@ -149,9 +259,17 @@ export class StarMapRenderer {
         this.constellationGroup = new THREE.Group();
         this.planetGroup = new THREE.Group();
         this.orbitTrailsGroup = new THREE.Group();
+        // 留点标记随轨迹一起显示或隐藏
+        this.stationaryMarkersGroup = new THREE.Group();
+        this.orbitTrailsGroup.add(this.stationaryMarkersGroup);
+
+        // 星表分组：恒星与星座连线为 J2000 坐标，按当前坐标历元整体旋转
+        this.catalogGroup = new THREE.Group();
+        this.catalogGroup.matrixAutoUpdate = false;
+        this.catalogGroup.add(this.starField);
+        this.catalogGroup.add(this.constellationGroup);
 
-        this.skyGroup.add(this.starField);
-        this.skyGroup.add(this.constellationGroup);
+        this.skyGroup.add(this.catalogGroup);
         this.skyGroup.add(this.planetGroup);
         this.skyGroup.add(this.orbitTrailsGroup);
 
@@ -162,70 +280,29 @@ export class StarMapRenderer {
     }
     
     /**
-     * 创建星空背景
+     * 创建随机星空背景（星表不可用时的回退）
+     * 星等按 N(<m) ∝ 10^(0.5 m) 的计数规律抽样，颜色取随机 B-V，与真实星表共用同一材质
      */
     createStarField() {
         console.log('StarMapRenderer: 开始创建星空背景');
         const starCount = 2000;
         console.log(`StarMapRenderer: 准备创建${starCount}颗恒星`);
-        const starGeometry = new THREE.BufferGeometry();
-        const starPositions = new Float32Array(starCount * 3);
-        const starColors = new Float32Array(starCount * 3);
-        const starSizes = new Float32Array(starCount);
-        
+        const stars = [];
         for (let i = 0; i < starCount; i++) {
-            // 随机分布在天球上
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(2 * Math.random() - 1);
-            
-            const x = this.celestialSphereRadius * Math.sin(phi) * Math.cos(theta);
-            const y = this.celestialSphereRadius * Math.sin(phi) * Math.sin(theta);
-            const z = this.celestialSphereRadius * Math.cos(phi);
-            
-            starPositions[i * 3] = x;
-            starPositions[i * 3 + 1] = y;
-            starPositions[i * 3 + 2] = z;
-            
-            // 星体颜色 (根据温度分布)
-            const temp = Math.random();
-            if (temp < 0.3) {
-                // 红星
-                starColors[i * 3] = 1.0;
-                starColors[i * 3 + 1] = 0.6;
-                starColors[i * 3 + 2] = 0.4;
-            } else if (temp < 0.7) {
-                // 黄白星
-                starColors[i * 3] = 1.0;
-                starColors[i * 3 + 1] = 1.0;
-                starColors[i * 3 + 2] = 0.8;
-            } else {
-                // 蓝白星
-                starColors[i * 3] = 0.8;
-                starColors[i * 3 + 1] = 0.9;
-                starColors[i * 3 + 2] = 1.0;
-            }
-            
-            // 星体大小 (模拟不同星等)
-            starSizes[i] = Math.random() * 2 + 0.5;
+            // 随机均匀分布在天球上
+            stars.push({
+                ra: Math.random() * 360,
+                dec: THREE.MathUtils.radToDeg(Math.asin(2 * Math.random() - 1)),
+                mag: Math.max(-1.5, 6.5 + 2 * Math.log10(1 - Math.random())),
+                bv: Math.random() * 2.1 - 0.3
+            });
         }
-        
-        starGeometry.setAttribute('position', new THREE.BufferAttribute(starPositions, 3));
-        starGeometry.setAttribute('color', new THREE.BufferAttribute(starColors, 3));
-        starGeometry.setAttribute('size', new THREE.BufferAttribute(starSizes, 1));
-        
-        const starMaterial = new THREE.PointsMaterial({
-            size: 2,
-            sizeAttenuation: false,
-            vertexColors: true,
-            transparent: true,
-            opacity: 0.8
-        });
-        
-        const stars = new THREE.Points(starGeometry, starMaterial);
-        this.starField.add(stars);
+        this.createStarPoints(stars);
+        // 随机星点不是真实恒星，不参与点选
+        this.starPoints.userData.stars = null;
         console.log('StarMapRenderer: 星空背景创建完成');
     }
-
+    
     /**
      * 优先从真实星表创建星空背景，失败时回退到随机分布
      */
@@ -263,61 +340,119 @@ export class StarMapRenderer {
         }
 
         // 过滤与裁剪
+        // 星表中的太阳 (-26.7 等) 由行星系统绘制，这里只保留恒星
         const filtered = stars
             .filter(s => Number.isFinite(s.ra) && Number.isFinite(s.dec) && Number.isFinite(s.mag))
-            .filter(s => s.mag <= maxMagnitude)
+            .filter(s => s.mag > -5 && s.mag <= maxMagnitude)
             .sort((a, b) => a.mag - b.mag);
 
         const sliced = filtered.slice(0, limit);
         console.log(`StarMapRenderer: 星表加载完成，原始=${stars.length}，可见=${filtered.length}，绘制=${sliced.length}`);
 
-        // 构建几何
-        const starGeometry = new THREE.BufferGeometry();
-        const starCount = sliced.length;
+        this.createStarPoints(sliced);
+        console.log('StarMapRenderer: 已使用真实星表创建星空背景');
+    }
+
+    /**
+     * 用星点着色器绘制背景恒星
+     * @param {Array<{ ra: number, dec: number, mag: number, bv?: number, hip?: number, dist?: number }>} stars
+     *   赤经赤纬 (度)、视星等、B-V 色指数、HIP 星号与距离 (秒差距)；后两项只用于点选信息
+     */
+    createStarPoints(stars) {
+        const starCount = stars.length;
         const positions = new Float32Array(starCount * 3);
         const colors = new Float32Array(starCount * 3);
+        const sizes = new Float32Array(starCount);
+        const fluxes = new Float32Array(starCount);
 
         for (let i = 0; i < starCount; i++) {
-            const star = sliced[i];
+            const star = stars[i];
             const pos = ConstellationData.raDecToCartesian(star.ra, star.dec, this.celestialSphereRadius);
             positions[i * 3] = pos.x;
             positions[i * 3 + 1] = pos.y;
             positions[i * 3 + 2] = pos.z;
 
-            // 颜色：优先使用 B-V 估算色温到RGB；否则按亮度映射白光
+            // 颜色：优先使用 B-V 估算色温到RGB；亮度完全由 flux 决定
             const rgb = Number.isFinite(star.bv)
                 ? this.bvToRgb(star.bv)
                 : { r: 1, g: 1, b: 1 };
+            colors[i * 3] = rgb.r;
+            colors[i * 3 + 1] = rgb.g;
+            colors[i * 3 + 2] = rgb.b;
 
-            // 亮度：依据星等缩放颜色强度（增强亮度，让恒星更明显）
-            // 对亮星（低星等）给予更高亮度，暗星（高星等）给予基础亮度
-            const baseIntensity = Math.pow(2.512, -star.mag);
-            const enhancedIntensity = star.mag <= 2.0 ? baseIntensity * 4.0 : 
-                                    star.mag <= 4.0 ? baseIntensity * 3.0 : 
-                                    baseIntensity * 2.0;
-            const intensity = Math.min(1, Math.max(0.3, enhancedIntensity));
-            colors[i * 3] = rgb.r * intensity;
-            colors[i * 3 + 1] = rgb.g * intensity;
-            colors[i * 3 + 2] = rgb.b * intensity;
+            const { size, flux } = StarFieldMaterial.pogson(star.mag);
+            sizes[i] = size;
+            fluxes[i] = flux;
         }
 
+        const starGeometry = new THREE.BufferGeometry();
         starGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
         starGeometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        starGeometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+        starGeometry.setAttribute('flux', new THREE.BufferAttribute(fluxes, 1));
 
         // 清空旧背景并添加新的点云
-        this.starField.clear();
-        const starMaterial = new THREE.PointsMaterial({
-            size: 2.5,
-            sizeAttenuation: true,
-            vertexColors: true,
-            transparent: true,
-            opacity: 1.0
+        this.starField.children.forEach(child => {
+            child.geometry?.dispose();
+            child.material?.dispose();
         });
+        this.starField.clear();
+        this.starMaterial = new StarFieldMaterial();
+        this.starMaterial.uniforms.pixelRatio.value = this.renderer.getPixelRatio();
+        this.updateSkyBrightness();
 
-        const starsPoints = new THREE.Points(starGeometry, starMaterial);
+        const starsPoints = new THREE.Points(starGeometry, this.starMaterial);
+        starsPoints.userData = { type: 'catalog_stars', stars };
         this.starField.add(starsPoints);
         this.starPoints = starsPoints;
-        console.log('StarMapRenderer: 已使用真实星表创建星空背景');
+    }
+
+    /**
+     * 设置极限星等（暗于此星等的恒星不绘制）
+     * @param {number} magnitude - 极限星等
+     */
+    setLimitingMagnitude(magnitude) {
+        if (!Number.isFinite(magnitude)) {
+            throw new Error(`无效的极限星等：${magnitude}`);
+        }
+        console.log(`StarMapRenderer: 设置极限星等为 ${magnitude}`);
+        this.limitingMagnitude = magnitude;
+        this.updateSkyBrightness();
+    }
+
+    /**
+     * 设置光污染等级
+     * @param {number} level - 波特尔暗夜分级 1–9
+     */
+    setBortleClass(level) {
+        if (!BORTLE_SCALE.some(item => item.level === level)) {
+            throw new Error(`无效的波特尔等级：${level}`);
+        }
+        console.log(`StarMapRenderer: 设置光污染等级为 Bortle ${level}`);
+        this.bortleClass = level;
+        this.updateSkyBrightness();
+    }
+
+    /**
+     * 开关星光闪烁
+     */
+    setTwinkle(enabled) {
+        console.log(`StarMapRenderer: 设置星光闪烁为 ${enabled}`);
+        this.twinkle = enabled;
+        this.updateSkyBrightness();
+    }
+
+    /**
+     * 按极限星等与光污染更新星点材质和天空背景色
+     * 实际极限星等取用户设定与该等级肉眼极限中较亮的一个
+     */
+    updateSkyBrightness() {
+        const bortle = BORTLE_SCALE.find(item => item.level === this.bortleClass);
+        this.scene.background = new THREE.Color(bortle.skyColor);
+        if (!this.starMaterial) return;
+
+        this.starMaterial.uniforms.limitingMagnitude.value = Math.min(this.limitingMagnitude, bortle.limitingMagnitude);
+        this.starMaterial.uniforms.twinkle.value = this.twinkle ? 1 : 0;
     }
 
     /**
@@ -378,109 +513,91 @@ export class StarMapRenderer {
         }
         
         // 清除现有星座
-        this.constellationGroup.clear();
+        this.disposeConstellations();
         console.log('StarMapRenderer: 已清除现有星座');
         
+        // 所有星座共用单位球几何体，大小由实例矩阵缩放
+        this.constellationStarGeometry = this.constellationStarGeometry || new THREE.SphereGeometry(1, 12, 12);
+        this.constellationGlowGeometry = this.constellationGlowGeometry || new THREE.SphereGeometry(1, 8, 8);
+        
         const constellations = this.constellationData.getConstellations();
         console.log(`StarMapRenderer: 准备创建${constellations.size}个星座`);
         
+        // 为重要星座的连线提亮
+        const importantConstellations = ['ursa_major', 'orion', 'cassiopeia', 'crux', 'leo'];
+        const matrix = new THREE.Matrix4();
+        const color = new THREE.Color();
+        
         for (const [key, constellation] of constellations) {
             console.log(`StarMapRenderer: 创建星座 ${key}`);
             const constellationObject = new THREE.Group();
+            const state = ConstellationMaterial.createState();
+            const positions = constellation.stars.map(star => {
+                const pos = ConstellationData.raDecToCartesian(star.ra, star.dec, this.celestialSphereRadius);
+                return new THREE.Vector3(pos.x, pos.y, pos.z);
+            });
             
-            // 创建星座中的恒星
+            // 星座中的恒星：一个实例化网格，按星等调整大小和颜色
+            const starMesh = new THREE.InstancedMesh(
+                this.constellationStarGeometry,
+                new ConstellationMaterial({ state, time: this.constellationTime, opacity: 0.9, flicker: true }),
+                constellation.stars.length
+            );
+            const brightStars = [];
             constellation.stars.forEach((star, index) => {
-                const starPos = ConstellationData.raDecToCartesian(star.ra, star.dec, this.celestialSphereRadius);
-                
-                // 根据星等调整恒星大小和亮度（增强效果）
                 const starSize = Math.max(1.5, 6 - star.mag);
-                const starGeometry = new THREE.SphereGeometry(starSize, 12, 12);
-                
-                // 根据星等和光谱类型调整颜色（更丰富的颜色）
-                let starColor = 0xffffaa; // 默认黄色
-                if (star.mag <= 0.5) starColor = 0xffffff; // 最亮星为白色
-                else if (star.mag <= 1.0) starColor = 0xfff8dc; // 极亮星为蜜色
-                else if (star.mag <= 1.5) starColor = 0xffffcc; // 亮星为浅黄色
-                else if (star.mag <= 2.5) starColor = 0xffffaa; // 中等星为黄色
-                else if (star.mag <= 3.5) starColor = 0xffdd77; // 暗星为橙黄色
-                else starColor = 0xffaa44; // 更暗星为橙色
-                
-                const starMaterial = new THREE.MeshBasicMaterial({
-                    color: starColor,
-                    transparent: true,
-                    opacity: Math.max(0.7, Math.min(1.0, 1.3 - star.mag * 0.2))
-                });
-                
-                // 为亮星添加光晕效果
-                if (star.mag <= 2.0) {
-                    const glowSize = starSize * 2.5;
-                    const glowGeometry = new THREE.SphereGeometry(glowSize, 8, 8);
-                    const glowMaterial = new THREE.MeshBasicMaterial({
-                        color: starColor,
-                        transparent: true,
-                        opacity: 0.1,
-                        blending: THREE.AdditiveBlending
-                    });
-                    const glowMesh = new THREE.Mesh(glowGeometry, glowMaterial);
-                    glowMesh.position.set(starPos.x, starPos.y, starPos.z);
-                    constellationObject.add(glowMesh);
-                }
-                
-                const starMesh = new THREE.Mesh(starGeometry, starMaterial);
-                starMesh.position.set(starPos.x, starPos.y, starPos.z);
-                starMesh.userData = { name: star.name, magnitude: star.mag, constellation: constellation.name };
-                
-                constellationObject.add(starMesh);
+                matrix.makeScale(starSize, starSize, starSize).setPosition(positions[index]);
+                starMesh.setMatrixAt(index, matrix);
+                starMesh.setColorAt(index, color.setHex(this.getConstellationStarColor(star.mag)));
+                if (star.mag <= 2.0) brightStars.push(index);
                 
                 // 为亮星添加名字标注（改进样式）
                 if (star.mag <= 2.5) {
                     const labelSprite = this.createTextSprite(star.name, '#ffffff');
-                    labelSprite.position.set(starPos.x + 20, starPos.y + 10, starPos.z);
+                    labelSprite.position.set(positions[index].x + 20, positions[index].y + 10, positions[index].z);
                     labelSprite.scale.multiplyScalar(1.2); // 略微放大标签
-                    labelSprite.userData = { type: 'star_label', starName: star.name };
+                    labelSprite.userData = { type: 'star_label', starName: star.name, star };
                     constellationObject.add(labelSprite);
                 }
             });
+            starMesh.computeBoundingSphere();
+            starMesh.userData = { type: 'constellation_stars', constellation: key, stars: constellation.stars };
+            constellationObject.add(starMesh);
+            
+            // 亮星光晕
+            if (brightStars.length > 0) {
+                const glowMesh = new THREE.InstancedMesh(
+                    this.constellationGlowGeometry,
+                    new ConstellationMaterial({ state, time: this.constellationTime, opacity: 0.1, blending: THREE.AdditiveBlending }),
+                    brightStars.length
+                );
+                brightStars.forEach((starIndex, index) => {
+                    const glowSize = Math.max(1.5, 6 - constellation.stars[starIndex].mag) * 2.5;
+                    matrix.makeScale(glowSize, glowSize, glowSize).setPosition(positions[starIndex]);
+                    glowMesh.setMatrixAt(index, matrix);
+                    glowMesh.setColorAt(index, color.setHex(this.getConstellationStarColor(constellation.stars[starIndex].mag)));
+                });
+                glowMesh.computeBoundingSphere();
+                constellationObject.add(glowMesh);
+            }
             
-            // 创建星座连线
-            if (constellation.lines) {
+            // 星座连线：所有线段合并为一个 LineSegments
+            if (constellation.lines && constellation.lines.length > 0) {
                 console.log(`StarMapRenderer: 为星座 ${key} 创建${constellation.lines.length}条连线`);
-                constellation.lines.forEach(line => {
-                    const startStar = constellation.stars[line[0]];
-                    const endStar = constellation.stars[line[1]];
-                    
-                    const startPos = ConstellationData.raDecToCartesian(startStar.ra, startStar.dec, this.celestialSphereRadius);
-                    const endPos = ConstellationData.raDecToCartesian(endStar.ra, endStar.dec, this.celestialSphereRadius);
-                    
-                    const lineGeometry = new THREE.BufferGeometry().setFromPoints([
-                        new THREE.Vector3(startPos.x, startPos.y, startPos.z),
-                        new THREE.Vector3(endPos.x, endPos.y, endPos.z)
-                    ]);
-                    
-                    // 改进星座连线效果
-                    const lineMaterial = new THREE.LineBasicMaterial({
-                        color: 0x4a90e2,
-                        transparent: true,
-                        opacity: 0.9,
-                        linewidth: 3
-                    });
-                    
-                    // 为重要星座添加双线效果
-                    const importantConstellations = ['ursa_major', 'orion', 'cassiopeia', 'southern_cross', 'leo'];
-                    if (importantConstellations.includes(key)) {
-                        const innerLineMaterial = new THREE.LineBasicMaterial({
-                            color: 0x66aaff,
-                            transparent: true,
-                            opacity: 0.6,
-                            linewidth: 1
-                        });
-                        const innerLine = new THREE.Line(lineGeometry.clone(), innerLineMaterial);
-                        constellationObject.add(innerLine);
-                    }
-                    
-                    const lineMesh = new THREE.Line(lineGeometry, lineMaterial);
-                    constellationObject.add(lineMesh);
+                const linePoints = [];
+                constellation.lines.forEach(([start, end]) => {
+                    linePoints.push(positions[start], positions[end]);
                 });
+                const lineSegments = new THREE.LineSegments(
+                    new THREE.BufferGeometry().setFromPoints(linePoints),
+                    new ConstellationMaterial({
+                        state,
+                        time: this.constellationTime,
+                        color: importantConstellations.includes(key) ? 0x66aaff : 0x4a90e2,
+                        opacity: 0.9
+                    })
+                );
+                constellationObject.add(lineSegments);
             }
             
             // 添加星座名字标注（在星座中心位置）
@@ -490,23 +607,53 @@ export class StarMapRenderer {
                 // 放大星座名称标签（由2倍提升到12倍，使其更醒目）
                 constellationLabel.scale.multiplyScalar(12.0);
                 constellationLabel.position.set(centerPos.x, centerPos.y + 40, centerPos.z);
-                constellationLabel.userData = { type: 'constellation_label', constellationName: constellation.name };
+                constellationLabel.userData = { type: 'constellation_label', constellationName: constellation.name, constellation: key };
                 constellationObject.add(constellationLabel);
             }
             
-            // 为星座对象添加轻微的动画效果
-            constellationObject.userData = { 
-                type: 'constellation', 
+            constellationObject.userData = {
+                type: 'constellation',
+                key,
                 name: constellation.name,
-                animationPhase: Math.random() * Math.PI * 2
+                state
             };
             
-            constellationObject.visible = this.showConstellations;
             this.constellationGroup.add(constellationObject);
+            this.constellationObjects.set(key, constellationObject);
         }
+        this.constellationGroup.visible = this.showConstellations;
         console.log('StarMapRenderer: 星座图案创建完成');
     }
     
+    /**
+     * 按星等取星座恒星的颜色：越亮越白，越暗越偏橙
+     */
+    getConstellationStarColor(magnitude) {
+        if (magnitude <= 0.5) return 0xffffff; // 最亮星为白色
+        if (magnitude <= 1.0) return 0xfff8dc; // 极亮星为蜜色
+        if (magnitude <= 1.5) return 0xffffcc; // 亮星为浅黄色
+        if (magnitude <= 2.5) return 0xffffaa; // 中等星为黄色
+        if (magnitude <= 3.5) return 0xffdd77; // 暗星为橙黄色
+        return 0xffaa44; // 更暗星为橙色
+    }
+    
+    /**
+     * 释放现有星座的材质、连线与标签（共用的单位球几何体保留）
+     */
+    disposeConstellations() {
+        this.constellationGroup.traverse(object => {
+            if (object.isInstancedMesh) {
+                object.dispose();
+            } else if (object.geometry) {
+                object.geometry.dispose();
+            }
+            object.material?.map?.dispose();
+            object.material?.dispose();
+        });
+        this.constellationGroup.clear();
+        this.constellationObjects.clear();
+    }
+    
     /**
      * 计算星座中心位置
      */
@@ -544,7 +691,7 @@ export class StarMapRenderer {
             if (star.mag <= 1.0) {
                 const labelSprite = this.createTextSprite(starName, '#ffff00');
                 labelSprite.position.set(starPos.x + 20, starPos.y, starPos.z);
-                labelSprite.userData = { type: 'bright_star_label', starName: starName };
+                labelSprite.userData = { type: 'bright_star_label', starName: starName, star };
                 this.constellationGroup.add(labelSprite);
             }
         });
@@ -552,65 +699,149 @@ export class StarMapRenderer {
     
     /**
      * 更新行星位置
+     * 行星对象只在首次出现时创建，之后每次只改位置与尺寸；聚焦只切换可见性
      */
     updatePlanetPositions(planetPositions) {
         console.log('StarMapRenderer: 开始更新行星位置');
-        // 清除现有行星
-        this.planetGroup.clear();
-        this.planetObjects.clear();
-        console.log('StarMapRenderer: 已清除现有行星');
+        const updateStart = performance.now();
+        
+        // 移除已不在结果中的天体（注销或切换观测平台）
+        for (const key of [...this.planetObjects.keys()]) {
+            if (!(key in planetPositions)) this.removePlanetObject(key);
+        }
         
-        let planetCount = 0;
         for (const [key, planet] of Object.entries(planetPositions)) {
-            if (this.focusPlanet !== 'all' && this.focusPlanet !== key) {
-                continue; // 跳过不聚焦的行星
-            }
-            
-            console.log(`StarMapRenderer: 创建行星 ${key}`);
-            // 创建行星几何体
-            const planetGeometry = new THREE.SphereGeometry(this.planetScale, 16, 16);
-            const planetMaterial = new THREE.MeshBasicMaterial({
-                color: planet.color,
-                transparent: true,
-                opacity: 0.9
-            });
+            const object = this.planetObjects.get(key) || this.createPlanetObject(key, planet);
+            const { mesh, glow, label, sunLight } = object.userData;
             
-            const planetMesh = new THREE.Mesh(planetGeometry, planetMaterial);
             // 将行星按赤经赤纬映射到天球表面
             const raDeg = planet.celestialCoords.ra * 15.0;
             const decDeg = planet.celestialCoords.dec;
             const proj = ConstellationData.raDecToCartesian(raDeg, decDeg, this.celestialSphereRadius + 2);
-            planetMesh.position.set(proj.x, proj.y, proj.z);
             
-            // 添加行星标签
-            const labelSprite = this.createTextSprite(planet.name, planet.color);
-            // 放大行星名称标签（由2倍提升到10倍）
-            labelSprite.scale.multiplyScalar(10.0);
-            labelSprite.position.set(proj.x, proj.y + 5, proj.z);
+            // 太阳和月球按真实视直径绘制圆面，行星保持固定显示尺寸
+            const hasDisc = (planet.type === 'sun' || planet.type === 'moon') && Number.isFinite(planet.angularDiameter);
+            const bodyRadius = hasDisc ? this.getApparentDiscRadius(planet.angularDiameter) : this.planetScale;
             
-            // 行星发光效果
-            const glowGeometry = new THREE.SphereGeometry(this.planetScale * 1.5, 16, 16);
-            const glowMaterial = new THREE.MeshBasicMaterial({
-                color: planet.color,
-                transparent: true,
-                opacity: 0.3
-            });
-            const glowMesh = new THREE.Mesh(glowGeometry, glowMaterial);
-            glowMesh.position.copy(planetMesh.position);
+            mesh.position.set(proj.x, proj.y, proj.z);
+            mesh.scale.setScalar(bodyRadius);
+            glow.position.copy(mesh.position);
+            glow.scale.setScalar(bodyRadius * (planet.type === 'sun' ? 3 : 1.5));
+            label.position.set(proj.x, proj.y + bodyRadius + 3, proj.z);
             
-            const planetGroup = new THREE.Group();
-            planetGroup.add(planetMesh);
-            planetGroup.add(glowMesh);
-            planetGroup.add(labelSprite);
+            // 注册表更新可能改变名称或颜色
+            if (object.userData.color !== planet.color) {
+                mesh.material.color.set(planet.color);
+                glow.material.color.set(planet.color);
+                object.userData.color = planet.color;
+            }
+            if (object.userData.name !== planet.name) {
+                this.replacePlanetLabel(object, planet);
+            }
             
-            this.planetGroup.add(planetGroup);
-            this.planetObjects.set(key, planetGroup);
+            // 月球由太阳方向的平行光照亮，呈现真实月相
+            if (sunLight && planetPositions.sun) {
+                const sunCoords = planetPositions.sun.celestialCoords;
+                const sunDir = ConstellationData.raDecToCartesian(sunCoords.ra * 15.0, sunCoords.dec, 1);
+                sunLight.position.set(sunDir.x, sunDir.y, sunDir.z);
+            }
             
-            // 更新轨道轨迹
-            this.updateOrbitTrail(key, { x: proj.x, y: proj.y, z: proj.z });
-            planetCount++;
+            object.visible = this.focusPlanet === 'all' || this.focusPlanet === key;
+        }
+        
+        this.fpsMonitor.recordUpdate(performance.now() - updateStart);
+        console.log(`StarMapRenderer: 行星位置更新完成，共 ${this.planetObjects.size} 个天体`);
+    }
+    
+    /**
+     * 创建行星对象：单位半径的球体、光晕与名称标签，尺寸由 scale 控制
+     */
+    createPlanetObject(key, planet) {
+        console.log(`StarMapRenderer: 创建行星 ${key}`);
+        const hasDisc = planet.type === 'sun' || planet.type === 'moon';
+        
+        const planetGeometry = new THREE.SphereGeometry(1, hasDisc ? 32 : 16, hasDisc ? 32 : 16);
+        const planetMaterial = planet.type === 'moon'
+            ? new THREE.MeshLambertMaterial({
+                color: planet.color,
+                emissive: 0x111111 // 地照，使暗面隐约可见
+            })
+            : new THREE.MeshBasicMaterial({
+                color: planet.color,
+                transparent: true,
+                opacity: 0.9
+            });
+        const mesh = new THREE.Mesh(planetGeometry, planetMaterial);
+        
+        // 行星发光效果（月球不加光晕，以免遮住月相）
+        const glow = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 16, 16),
+            new THREE.MeshBasicMaterial({
+                color: planet.color,
+                transparent: true,
+                opacity: planet.type === 'sun' ? 0.25 : 0.3
+            })
+        );
+        glow.visible = planet.type !== 'moon';
+        
+        const object = new THREE.Group();
+        object.add(mesh);
+        object.add(glow);
+        object.userData = { key, mesh, glow, label: null, sunLight: null, color: planet.color, name: null };
+        this.replacePlanetLabel(object, planet);
+        
+        if (planet.type === 'moon') {
+            const sunLight = new THREE.DirectionalLight(0xffffff, Math.PI);
+            object.add(sunLight);
+            object.userData.sunLight = sunLight;
+        }
+        
+        this.planetGroup.add(object);
+        this.planetObjects.set(key, object);
+        return object;
+    }
+    
+    /**
+     * 创建或替换行星名称标签（仅在名称变化时调用）
+     */
+    replacePlanetLabel(object, planet) {
+        const previous = object.userData.label;
+        const label = this.createTextSprite(planet.name, planet.color);
+        // 放大行星名称标签（由2倍提升到10倍）
+        label.scale.multiplyScalar(10.0);
+        if (previous) {
+            label.position.copy(previous.position);
+            previous.material.map.dispose();
+            previous.material.dispose();
+            object.remove(previous);
         }
-        console.log(`StarMapRenderer: 行星位置更新完成，共创建了${planetCount}个行星`);
+        object.add(label);
+        object.userData.label = label;
+        object.userData.name = planet.name;
+    }
+    
+    /**
+     * 移除并释放行星对象
+     */
+    removePlanetObject(key) {
+        const object = this.planetObjects.get(key);
+        if (!object) return;
+        
+        object.traverse(child => {
+            child.geometry?.dispose();
+            child.material?.map?.dispose();
+            child.material?.dispose();
+        });
+        this.planetGroup.remove(object);
+        this.planetObjects.delete(key);
+    }
+    
+    /**
+     * 由视直径计算天球表面上的圆面半径
+     * @param {number} angularDiameter - 视直径 (度)
+     */
+    getApparentDiscRadius(angularDiameter) {
+        return (this.celestialSphereRadius + 2) * Math.tan(THREE.MathUtils.degToRad(angularDiameter / 2));
     }
     
     /**
@@ -619,9 +850,39 @@ export class StarMapRenderer {
     createTextSprite(text, color) {
         console.log(`StarMapRenderer: 创建文字精灵 "${text}"`);
         const canvas = document.createElement('canvas');
-        const context = canvas.getContext('2d');
         canvas.width = 512;
         canvas.height = 128;
+        this.drawTextLabel(canvas, text, color);
+        
+        const texture = new THREE.CanvasTexture(canvas);
+        const material = new THREE.SpriteMaterial({ 
+            map: texture, 
+            transparent: true,
+            alphaTest: 0.1
+        });
+        const sprite = new THREE.Sprite(material);
+        sprite.scale.set(30, 7.5, 1);
+        
+        return sprite;
+    }
+    
+    /**
+     * 改写文字精灵的内容：在原画布上重绘并上传纹理，不新建精灵与纹理
+     * 用于每帧都可能变化的标签（如俯视图中的黄经读数）
+     */
+    updateTextSprite(sprite, text, color) {
+        const texture = sprite.material.map;
+        this.drawTextLabel(texture.image, text, color);
+        texture.needsUpdate = true;
+    }
+    
+    /**
+     * 在画布上绘制标签：半透明黑底、带阴影的居中文字
+     */
+    drawTextLabel(canvas, text, color) {
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.shadowColor = 'transparent';
         
         // 设置背景（半透明黑色）
         context.fillStyle = 'rgba(0, 0, 0, 0.7)';
@@ -641,48 +902,178 @@ export class StarMapRenderer {
         
         // 绘制文字
         context.fillText(text, canvas.width / 2, canvas.height / 2);
-        
-        const texture = new THREE.CanvasTexture(canvas);
-        const material = new THREE.SpriteMaterial({ 
-            map: texture, 
-            transparent: true,
-            alphaTest: 0.1
-        });
-        const sprite = new THREE.Sprite(material);
-        sprite.scale.set(30, 7.5, 1);
-        
-        return sprite;
     }
     
     /**
      * 更新轨道轨迹
+     * 每个天体一条折线，顶点缓冲区复用，只在采样数超过容量时重建；
+     * 越远离当前时刻越透明，并在每月 1 日（短窗口为每日 0 时）处打刻度，聚焦时标注日期
+     * @param {Object<string, {color: string, samples: Array<{date: Date, ra: number, dec: number}>}>} trails
+     *   AstronomicalCalculator.calculateApparentPaths 的采样，附天体颜色；不在其中的旧轨迹会被移除
+     * @param {Date} date - 当前时刻，用于计算渐隐
+     */
+    setOrbitTrails(trails, date) {
+        for (const key of [...this.orbitTrails.keys()]) {
+            if (!(key in trails)) this.removeOrbitTrail(key);
+        }
+        
+        const center = date.getTime();
+        const radius = this.celestialSphereRadius + 1;
+        for (const [key, { color, samples }] of Object.entries(trails)) {
+            if (samples.length < 2) continue;
+            const entry = this.orbitTrails.get(key) || this.createOrbitTrail(key, color);
+            
+            if (samples.length > entry.capacity) {
+                entry.line.geometry.dispose();
+                entry.line.geometry = this.createTrailGeometry(samples.length, true);
+                entry.capacity = samples.length;
+            }
+            const positions = entry.line.geometry.getAttribute('position');
+            const colors = entry.line.geometry.getAttribute('color');
+            const base = new THREE.Color(color);
+            const halfSpan = Math.max(
+                center - samples[0].date.getTime(),
+                samples[samples.length - 1].date.getTime() - center,
+                1
+            );
+            const points = samples.map(sample => {
+                const pos = ConstellationData.raDecToCartesian(sample.ra * 15.0, sample.dec, radius);
+                return new THREE.Vector3(pos.x, pos.y, pos.z);
+            });
+            points.forEach((point, index) => {
+                const fade = 1 - Math.abs(samples[index].date.getTime() - center) / halfSpan;
+                positions.setXYZ(index, point.x, point.y, point.z);
+                colors.setXYZW(index, base.r, base.g, base.b, 0.05 + 0.75 * fade);
+            });
+            positions.needsUpdate = true;
+            colors.needsUpdate = true;
+            entry.line.geometry.setDrawRange(0, samples.length);
+            entry.line.geometry.computeBoundingSphere();
+            
+            this.updateTrailTicks(entry, samples, points, color, radius);
+            entry.group.visible = this.focusPlanet === 'all' || this.focusPlanet === key;
+        }
+    }
+    
+    /**
+     * 创建轨迹的顶点缓冲区
+     * @param {number} capacity - 顶点容量
+     * @param {boolean} [withAlpha=false] - 是否带逐顶点颜色与透明度
      */
-    updateOrbitTrail(planetKey, position) {
-        console.log(`StarMapRenderer: 更新行星 ${planetKey} 的轨道轨迹`);
-        if (!this.orbitTrails.has(planetKey)) {
-            this.orbitTrails.set(planetKey, []);
+    createTrailGeometry(capacity, withAlpha = false) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+        if (withAlpha) {
+            geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(capacity * 4), 4));
         }
+        geometry.setDrawRange(0, 0);
+        return geometry;
+    }
+    
+    /**
+     * 创建单个天体的轨迹对象：折线、刻度点与日期标签
+     */
+    createOrbitTrail(key, color) {
+        const line = new THREE.Line(
+            this.createTrailGeometry(0, true),
+            new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, depthWrite: false })
+        );
+        const ticks = new THREE.Points(
+            this.createTrailGeometry(0),
+            new THREE.PointsMaterial({ color, size: 5, sizeAttenuation: false, transparent: true, opacity: 0.9 })
+        );
+        const group = new THREE.Group();
+        group.add(line);
+        group.add(ticks);
+        group.userData = { key };
+        this.orbitTrailsGroup.add(group);
         
-        const trail = this.orbitTrails.get(planetKey);
-        trail.push(new THREE.Vector3(position.x, position.y, position.z));
+        const entry = { group, line, ticks, capacity: 0, tickCapacity: 0, labels: new Map() };
+        this.orbitTrails.set(key, entry);
+        return entry;
+    }
+    
+    /**
+     * 在轨迹上打日期刻度：窗口超过 20 天时取每月 1 日，否则取每日 0 时（本地时间）
+     * 刻度位置在相邻采样之间线性插值；标签按文字复用，仅聚焦该天体时显示
+     */
+    updateTrailTicks(entry, samples, points, color, radius) {
+        const start = samples[0].date.getTime();
+        const end = samples[samples.length - 1].date.getTime();
+        const monthly = end - start > 20 * 86400000;
         
-        // 限制轨迹长度
-        if (trail.length > 100) {
-            trail.shift();
+        const ticks = [];
+        const cursor = new Date(start);
+        cursor.setHours(0, 0, 0, 0);
+        if (monthly) cursor.setDate(1);
+        while (cursor.getTime() <= end) {
+            const time = cursor.getTime();
+            if (time >= start) {
+                const index = Math.min(samples.findIndex(sample => sample.date.getTime() >= time), samples.length - 1);
+                const previous = Math.max(index - 1, 0);
+                const span = samples[index].date.getTime() - samples[previous].date.getTime();
+                const t = span > 0 ? (time - samples[previous].date.getTime()) / span : 0;
+                const position = points[previous].clone().lerp(points[index], t).setLength(radius);
+                const text = monthly
+                    ? `${cursor.getFullYear()}-${String(cursor.getMonth() + 1).padStart(2, '0')}`
+                    : `${cursor.getMonth() + 1}/${cursor.getDate()}`;
+                ticks.push({ position, text });
+            }
+            if (monthly) {
+                cursor.setMonth(cursor.getMonth() + 1);
+            } else {
+                cursor.setDate(cursor.getDate() + 1);
+            }
         }
         
-        // 更新轨迹显示
-        if (this.showOrbitTrails && trail.length > 1) {
-            const trailGeometry = new THREE.BufferGeometry().setFromPoints(trail);
-            const trailMaterial = new THREE.LineBasicMaterial({
-                color: 0xffffff,
-                transparent: true,
-                opacity: 0.5
-            });
-            
-            const trailLine = new THREE.Line(trailGeometry, trailMaterial);
-            this.orbitTrailsGroup.add(trailLine);
+        if (ticks.length > entry.tickCapacity) {
+            entry.ticks.geometry.dispose();
+            entry.ticks.geometry = this.createTrailGeometry(ticks.length);
+            entry.tickCapacity = ticks.length;
+        }
+        const positions = entry.ticks.geometry.getAttribute('position');
+        ticks.forEach(({ position }, index) => positions.setXYZ(index, position.x, position.y, position.z));
+        positions.needsUpdate = true;
+        entry.ticks.geometry.setDrawRange(0, ticks.length);
+        entry.ticks.geometry.computeBoundingSphere();
+        
+        // 日期标签：新出现的文字才创建精灵，移出窗口的释放
+        const wanted = new Set(ticks.map(tick => tick.text));
+        for (const [text, label] of entry.labels) {
+            if (wanted.has(text)) continue;
+            label.material.map.dispose();
+            label.material.dispose();
+            entry.group.remove(label);
+            entry.labels.delete(text);
         }
+        const showLabels = this.focusPlanet === entry.group.userData.key;
+        for (const { position, text } of ticks) {
+            let label = entry.labels.get(text);
+            if (!label) {
+                label = this.createTextSprite(text, color);
+                label.scale.multiplyScalar(2.0);
+                entry.labels.set(text, label);
+                entry.group.add(label);
+            }
+            label.position.set(position.x, position.y - this.planetScale * 3, position.z);
+            label.visible = showLabels;
+        }
+    }
+    
+    /**
+     * 移除并释放单个天体的轨迹
+     */
+    removeOrbitTrail(key) {
+        const entry = this.orbitTrails.get(key);
+        if (!entry) return;
+        
+        entry.group.traverse(object => {
+            object.geometry?.dispose();
+            object.material?.map?.dispose();
+            object.material?.dispose();
+        });
+        this.orbitTrailsGroup.remove(entry.group);
+        this.orbitTrails.delete(key);
     }
     
     /**
@@ -690,8 +1081,45 @@ export class StarMapRenderer {
      */
     createEcliptic() {
         console.log('StarMapRenderer: 创建黄道大圆（映射到天球表面）');
+        this.eclipticObliquity = ReferenceFrames.J2000_OBLIQUITY;
+        this.eclipticMatrix = ReferenceFrames.identity();
+        const points = this.computeEclipticPoints(this.eclipticObliquity);
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        const material = new THREE.LineBasicMaterial({ color: 0xffff00, transparent: true, opacity: 0.5 });
+        const eclipticLine = new THREE.LineLoop(geometry, material);
+        eclipticLine.visible = this.showEcliptic;
+        this.skyGroup.add(eclipticLine);
+        this.eclipticMesh = eclipticLine;
+        console.log('StarMapRenderer: 黄道大圆创建完成');
+    }
+    
+    /**
+     * 按黄赤交角更新黄道大圆（交角变化很小时跳过）
+     * @param {number} obliquityDeg - 当前坐标历元的黄赤交角 (度)
+     * @param {number[][]} [matrix] - 黄道所在赤道系 → 观测者赤道系的旋转矩阵；在其他行星上观测时为 J2000 → 行星赤道
+     */
+    updateEcliptic(obliquityDeg, matrix = null) {
+        if (!this.eclipticMesh) return;
+        if (matrix) {
+            this.eclipticMatrix = matrix;
+            this.eclipticMesh.matrixAutoUpdate = false;
+            this.eclipticMesh.matrix.copy(this.toDisplayMatrix(matrix));
+            this.eclipticMesh.matrixWorldNeedsUpdate = true;
+        }
+        if (Math.abs(obliquityDeg - this.eclipticObliquity) >= 1e-5) {
+            this.eclipticObliquity = obliquityDeg;
+            this.eclipticMesh.geometry.setFromPoints(this.computeEclipticPoints(obliquityDeg));
+            this.eclipticMesh.geometry.attributes.position.needsUpdate = true;
+        }
+        this.updateEclipticGrid();
+    }
+    
+    /**
+     * 计算黄道大圆在天球表面的点
+     */
+    computeEclipticPoints(obliquityDeg) {
         const points = [];
-        const eps = THREE.MathUtils.degToRad(23.4367);
+        const eps = THREE.MathUtils.degToRad(obliquityDeg);
         const radius = this.celestialSphereRadius;
         for (let lambdaDeg = 0; lambdaDeg <= 360; lambdaDeg += 1) {
             const lam = THREE.MathUtils.degToRad(lambdaDeg);
@@ -704,21 +1132,44 @@ export class StarMapRenderer {
             const pos = ConstellationData.raDecToCartesian(THREE.MathUtils.radToDeg(ra), THREE.MathUtils.radToDeg(dec), radius);
             points.push(new THREE.Vector3(pos.x, pos.y, pos.z));
         }
-        const geometry = new THREE.BufferGeometry().setFromPoints(points);
-        const material = new THREE.LineBasicMaterial({ color: 0xffff00, transparent: true, opacity: 0.5 });
-        const eclipticLine = new THREE.LineLoop(geometry, material);
-        eclipticLine.visible = this.showEcliptic;
-        this.skyGroup.add(eclipticLine);
-        this.eclipticMesh = eclipticLine;
-        console.log('StarMapRenderer: 黄道大圆创建完成');
+        return points;
     }
     
     /**
      * 更新星空 (考虑地球自转和公转)
+     * @param {Date} date - 观测时刻
+     * @param {Object} [skyFrame] - AstronomicalCalculator.getSkyFrame 的结果；缺省时按 J2000 与平恒星时对齐
      */
-    updateStarField(date) {
+    updateStarField(date, skyFrame = null) {
         console.log('StarMapRenderer: 更新星空背景（本地视角对齐）');
-        this.updateSkyOrientation(date);
+        if (skyFrame) {
+            this.applyCatalogFrame(skyFrame.catalogMatrix);
+            this.updateEcliptic(skyFrame.obliquity, skyFrame.eclipticMatrix);
+        }
+        this.updateSkyOrientation(date, skyFrame);
+    }
+    
+    /**
+     * 将 J2000 → 观测者赤道系的旋转矩阵应用到星表分组
+     */
+    applyCatalogFrame(matrix) {
+        this.catalogGroup.matrix.copy(this.toDisplayMatrix(matrix));
+        this.catalogGroup.matrixWorldNeedsUpdate = true;
+    }
+    
+    /**
+     * 赤道坐标旋转矩阵 → 显示坐标的 Matrix4
+     * raDecToCartesian 的显示坐标为 (x, z, y) 排列，矩阵需做相同的行列置换
+     */
+    toDisplayMatrix(matrix) {
+        const p = [0, 2, 1];
+        const m = (i, j) => matrix[p[i]][p[j]];
+        return new THREE.Matrix4().set(
+            m(0, 0), m(0, 1), m(0, 2), 0,
+            m(1, 0), m(1, 1), m(1, 2), 0,
+            m(2, 0), m(2, 1), m(2, 2), 0,
+            0, 0, 0, 1
+        );
     }
     
     /**
@@ -747,40 +1198,244 @@ export class StarMapRenderer {
     setFocusPlanet(planet) {
         console.log(`StarMapRenderer: 设置聚焦行星为 ${planet}`);
         this.focusPlanet = planet;
+        this.orreryView.setFocusPlanet(planet);
+        this.planetObjects.forEach((object, key) => {
+            object.visible = planet === 'all' || key === planet;
+        });
+        this.stationaryMarkersGroup.children.forEach(marker => {
+            marker.visible = planet === 'all' || marker.userData.key === planet;
+        });
+        this.orbitTrails.forEach(({ group, labels }, key) => {
+            group.visible = planet === 'all' || key === planet;
+            labels.forEach(label => {
+                label.visible = key === planet;
+            });
+        });
+        this.modelComparisonGroup?.children.forEach(marker => {
+            marker.visible = marker.userData.active && (planet === 'all' || marker.userData.key === planet);
+        });
     }
     
     /**
-     * 调整星座透明度
+     * 在轨迹上标记行星的留（逆行开始与结束）
+     * @param {Object<string, Array>} stationaryPoints - 按行星标识分组的留点，结构同 AstronomicalCalculator.findStationaryPoints
      */
-    setConstellationOpacity(opacity) {
-        if (!this.constellationGroup) return;
+    setStationaryPoints(stationaryPoints) {
+        // 留点不变时不重建标记
+        const signature = Object.entries(stationaryPoints)
+            .map(([key, points]) => `${key}:${points.map(point => point.date.getTime()).join(',')}`)
+            .join('|');
+        if (signature === this.stationarySignature) return;
+        this.stationarySignature = signature;
         
-        this.constellationGroup.children.forEach(constellation => {
-            constellation.children.forEach(child => {
-                if (child.material && child.material.opacity !== undefined) {
-                    const baseOpacity = child.userData.baseOpacity || child.material.opacity;
-                    child.userData.baseOpacity = baseOpacity;
-                    child.material.opacity = baseOpacity * opacity;
-                }
+        this.stationaryMarkersGroup.children.forEach(marker => {
+            marker.traverse(object => {
+                object.geometry?.dispose();
+                object.material?.map?.dispose();
+                object.material?.dispose();
             });
         });
-    }
-    
-    /**
-     * 高亮指定星座
+        this.stationaryMarkersGroup.clear();
+        
+        for (const [key, points] of Object.entries(stationaryPoints)) {
+            for (const point of points) {
+                const pos = ConstellationData.raDecToCartesian(
+                    point.celestialCoords.ra * 15.0,
+                    point.celestialCoords.dec,
+                    this.celestialSphereRadius + 1
+                );
+                // 空心圆环标出留的位置，逆行开始为红色、结束为绿色
+                const ring = new THREE.Mesh(
+                    new THREE.RingGeometry(this.planetScale * 1.2, this.planetScale * 1.6, 24),
+                    new THREE.MeshBasicMaterial({
+                        color: point.type === 'retrogradeStart' ? 0xff6666 : 0x66ff66,
+                        side: THREE.DoubleSide,
+                        transparent: true,
+                        opacity: 0.8
+                    })
+                );
+                ring.position.set(pos.x, pos.y, pos.z);
+                ring.lookAt(0, 0, 0);
+                
+                const date = point.date;
+                const label = this.createTextSprite(
+                    `留 ${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`,
+                    point.color || '#FFFFFF'
+                );
+                label.scale.multiplyScalar(3.0);
+                label.position.set(pos.x, pos.y - this.planetScale * 4, pos.z);
+                
+                const marker = new THREE.Group();
+                marker.add(ring);
+                marker.add(label);
+                marker.userData = { key, type: point.type, date: point.date };
+                marker.visible = this.focusPlanet === 'all' || this.focusPlanet === key;
+                this.stationaryMarkersGroup.add(marker);
+            }
+        }
+    }
+    
+    /**
+     * 叠加历史模型预报的行星位置：圆环标出预报位置，连线指向开普勒位置
+     * @param {Object|null} comparison - AstronomicalCalculator.compareModels 的结果，null 时隐藏
      */
-    highlightConstellation(constellationName) {
-        if (!this.constellationGroup) return;
+    setModelComparison(comparison) {
+        if (!this.modelComparisonGroup) {
+            this.modelComparisonGroup = new THREE.Group();
+            this.skyGroup.add(this.modelComparisonGroup);
+        }
+        const markers = new Map(this.modelComparisonGroup.children.map(marker => [marker.userData.id, marker]));
+        markers.forEach(marker => {
+            marker.userData.active = false;
+        });
         
-        this.constellationGroup.children.forEach(constellation => {
-            const isTarget = constellation.userData.name === constellationName;
-            const opacity = isTarget ? 1.0 : 0.3;
-            
-            constellation.children.forEach(child => {
-                if (child.material && child.material.opacity !== undefined) {
-                    child.material.opacity = child.material.opacity * opacity;
+        for (const [key, item] of Object.entries(comparison || {})) {
+            const truthPos = ConstellationData.raDecToCartesian(
+                item.truth.celestialCoords.ra * 15.0,
+                item.truth.celestialCoords.dec,
+                this.celestialSphereRadius + 2
+            );
+            for (const [model, position] of Object.entries(item.models)) {
+                const id = `${key}:${model}`;
+                let marker = markers.get(id);
+                if (!marker) {
+                    const ring = new THREE.Mesh(
+                        new THREE.RingGeometry(this.planetScale * 1.0, this.planetScale * 1.3, 24),
+                        new THREE.MeshBasicMaterial({
+                            color: position.modelColor,
+                            side: THREE.DoubleSide,
+                            transparent: true,
+                            opacity: 0.9
+                        })
+                    );
+                    const line = new THREE.Line(
+                        new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]),
+                        new THREE.LineBasicMaterial({ color: position.modelColor, transparent: true, opacity: 0.6 })
+                    );
+                    const label = this.createTextSprite(`${item.name}·${position.modelName}`, position.modelColor);
+                    label.scale.multiplyScalar(2.5);
+                    
+                    marker = new THREE.Group();
+                    marker.add(ring);
+                    marker.add(line);
+                    marker.add(label);
+                    marker.userData = { id, key, model, ring, line, label };
+                    this.modelComparisonGroup.add(marker);
+                    markers.set(id, marker);
                 }
-            });
+                
+                const pos = ConstellationData.raDecToCartesian(
+                    position.celestialCoords.ra * 15.0,
+                    position.celestialCoords.dec,
+                    this.celestialSphereRadius + 2
+                );
+                const { ring, line, label } = marker.userData;
+                ring.position.set(pos.x, pos.y, pos.z);
+                ring.lookAt(0, 0, 0);
+                const linePositions = line.geometry.getAttribute('position');
+                linePositions.setXYZ(0, pos.x, pos.y, pos.z);
+                linePositions.setXYZ(1, truthPos.x, truthPos.y, truthPos.z);
+                linePositions.needsUpdate = true;
+                line.geometry.computeBoundingSphere();
+                label.position.set(pos.x, pos.y - this.planetScale * 3, pos.z);
+                marker.userData.active = true;
+            }
+        }
+        
+        markers.forEach(marker => {
+            marker.visible = marker.userData.active
+                && (this.focusPlanet === 'all' || marker.userData.key === this.focusPlanet);
+        });
+    }
+    
+    /**
+     * 显示月球距离处的地球本影与半影（月食期间）
+     * 影子画在月球圆面前方：半透明圆面使月面变暗，圆环标出影的边界
+     * @param {Object|null} shadow - AstronomicalCalculator.calculateEarthShadow 的结果，null 时隐藏
+     */
+    setEarthShadow(shadow) {
+        if (!shadow) {
+            if (this.earthShadowGroup) this.earthShadowGroup.visible = false;
+            return;
+        }
+        
+        if (!this.earthShadowGroup) {
+            const createLayer = (fillColor, fillOpacity, edgeColor) => {
+                const disc = new THREE.Mesh(
+                    new THREE.CircleGeometry(1, 64),
+                    new THREE.MeshBasicMaterial({
+                        color: fillColor,
+                        transparent: true,
+                        opacity: fillOpacity,
+                        depthWrite: false,
+                        side: THREE.DoubleSide
+                    })
+                );
+                const points = [];
+                for (let i = 0; i < 128; i++) {
+                    const angle = (i / 128) * Math.PI * 2;
+                    points.push(new THREE.Vector3(Math.cos(angle), Math.sin(angle), 0));
+                }
+                const edge = new THREE.LineLoop(
+                    new THREE.BufferGeometry().setFromPoints(points),
+                    new THREE.LineBasicMaterial({ color: edgeColor, transparent: true, opacity: 0.6 })
+                );
+                const layer = new THREE.Group();
+                layer.add(disc);
+                layer.add(edge);
+                return layer;
+            };
+            
+            this.earthShadowGroup = new THREE.Group();
+            this.earthShadowGroup.userData = {
+                penumbra: createLayer(0x000000, 0.3, 0x888888),
+                umbra: createLayer(0x3a0800, 0.7, 0xcc4422)
+            };
+            this.earthShadowGroup.add(this.earthShadowGroup.userData.penumbra);
+            this.earthShadowGroup.add(this.earthShadowGroup.userData.umbra);
+            this.skyGroup.add(this.earthShadowGroup);
+        }
+        
+        // 放在月球圆面之前（月球视半径不超过 0.3°），按角半径换算圆的大小
+        const distance = this.celestialSphereRadius - 5;
+        const center = ConstellationData.raDecToCartesian(shadow.center.ra * 15.0, shadow.center.dec, distance);
+        const { penumbra, umbra } = this.earthShadowGroup.userData;
+        [[penumbra, shadow.penumbraRadius, 0], [umbra, Math.max(shadow.umbraRadius, 0), 0.1]].forEach(([layer, radius, lift]) => {
+            const scale = (distance - lift) * Math.tan(THREE.MathUtils.degToRad(radius));
+            const position = new THREE.Vector3(center.x, center.y, center.z).multiplyScalar((distance - lift) / distance);
+            layer.position.copy(position);
+            layer.scale.setScalar(scale);
+            layer.lookAt(0, 0, 0);
+        });
+        this.earthShadowGroup.visible = true;
+    }
+    
+    /**
+     * 调整星座透明度
+     * 透明度写入各星座共用的 uniform，重复调用不会累积
+     * @param {number} opacity - 0–1
+     * @param {string} [key] - 只调整该星座，缺省时调整全部
+     */
+    setConstellationOpacity(opacity, key = null) {
+        const targets = key === null ? [...this.constellationObjects.values()] : [this.constellationObjects.get(key)];
+        if (targets.some(constellation => !constellation)) {
+            throw new Error(`未知的星座：${key}`);
+        }
+        targets.forEach(constellation => {
+            constellation.userData.state.constellationOpacity.value = THREE.MathUtils.clamp(opacity, 0, 1);
+        });
+    }
+    
+    /**
+     * 高亮指定星座，其余星座淡化到 0.3；传 null 恢复全部
+     * @param {string|null} constellationName - 星座名称或标识
+     */
+    highlightConstellation(constellationName) {
+        this.constellationObjects.forEach((constellation, key) => {
+            const { state, name } = constellation.userData;
+            const isTarget = constellationName === name || constellationName === key;
+            state.highlight.value = isTarget ? 1 : 0;
+            state.constellationOpacity.value = constellationName === null || isTarget ? 1 : 0.3;
         });
     }
     
@@ -790,46 +1445,72 @@ export class StarMapRenderer {
     render() {
         // 开始FPS监控
         this.fpsMonitor.beginRender();
+        this.renderer.info.reset();
+        if (this.starMaterial && this.twinkle) {
+            this.starMaterial.uniforms.time.value = performance.now() / 1000;
+        }
         
         // 为了性能考虑，不在渲染循环中添加日志
-        if (this.controls) {
-            this.controls.update();
-        }
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        const skyWidth = this.viewMode === 'split' ? Math.floor(width / 2) : width;
         
-        // 更新星座动画效果
-        this.updateConstellationAnimations();
+        if (this.viewMode !== 'orrery') {
+            // 用键盘转动视线与拖动一样中断转向与跟踪
+            if (this.controlMode === 'observer' && this.observerControls.isKeyPanning()) {
+                this.cameraFlight = null;
+                if (this.trackedTarget) this.setTrackedTarget(null);
+            }
+            if (this.cameraFlight) {
+                this.updateCameraFlight();
+            }
+            // 跟踪的天体消失（如被注销）时停止跟踪
+            if (this.trackedTarget && !this.centerOnTarget(this.trackedTarget)) {
+                this.setTrackedTarget(null);
+            }
+            if (this.controlMode === 'observer') {
+                this.observerControls.update();
+            } else if (this.controls) {
+                this.controls.update();
+            }
+            this.updateCameraProjection();
+            this.updateViewReadout();
+            
+            // 更新星座动画效果
+            this.updateConstellationAnimations();
+            
+            this.renderer.setViewport(0, 0, skyWidth, height);
+            this.renderer.setScissor(0, 0, skyWidth, height);
+            this.renderer.setScissorTest(this.viewMode === 'split');
+            if (this.usesWideAngleProjection()) {
+                this.fisheye.render(this.renderer, this.scene, this.camera, this.observerControls.fov, skyWidth / height);
+            } else {
+                this.renderer.render(this.scene, this.camera);
+            }
+        }
         
-        this.renderer.render(this.scene, this.camera);
+        if (this.viewMode !== 'sky') {
+            const left = this.viewMode === 'split' ? skyWidth : 0;
+            this.renderer.setViewport(left, 0, width - left, height);
+            this.renderer.setScissor(left, 0, width - left, height);
+            this.renderer.setScissorTest(this.viewMode === 'split');
+            // 地平线裁剪只适用于星空视图
+            const clippingPlanes = this.renderer.clippingPlanes;
+            this.renderer.clippingPlanes = [];
+            this.orreryView.render(this.renderer);
+            this.renderer.clippingPlanes = clippingPlanes;
+        }
         
-        // 结束FPS监控
-        this.fpsMonitor.endRender();
+        // 结束FPS监控（附带本帧的绘制调用与显存对象数，用于性能预算检查）
+        this.fpsMonitor.endRender(this.renderer.info);
     }
     
     /**
      * 更新星座动画效果
      */
     updateConstellationAnimations() {
-        if (!this.constellationGroup) return;
-        
-        const time = Date.now() * 0.001; // 转换为秒
-        
-        this.constellationGroup.children.forEach(constellation => {
-            if (constellation.userData && constellation.userData.type === 'constellation') {
-                const phase = constellation.userData.animationPhase || 0;
-                
-                // 轻微的星光闪烁效果
-                constellation.children.forEach(child => {
-                    if (child.material && child.material.opacity !== undefined) {
-                        if (child.userData && child.userData.name) {
-                            // 恒星闪烁效果
-                            const baseOpacity = child.material.opacity;
-                            const flicker = 0.95 + 0.1 * Math.sin(time * 2 + phase);
-                            child.material.opacity = Math.min(1.0, baseOpacity * flicker);
-                        }
-                    }
-                });
-            }
-        });
+        // 闪烁在着色器中按时间计算，这里只更新共用的时间 uniform
+        this.constellationTime.value = performance.now() * 0.001; // 转换为秒
     }
     
     /**
@@ -838,9 +1519,561 @@ export class StarMapRenderer {
     setupResizeHandler() {
         console.log('StarMapRenderer: 设置窗口resize处理');
         window.addEventListener('resize', () => {
-            this.camera.aspect = this.container.clientWidth / this.container.clientHeight;
-            this.camera.updateProjectionMatrix();
             this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
+            this.updateViewports();
+        });
+        this.updateViewports();
+    }
+    
+    /**
+     * 按视图模式更新两个相机的宽高比
+     */
+    updateViewports() {
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        const skyWidth = this.viewMode === 'split' ? Math.floor(width / 2) : width;
+        const orreryWidth = this.viewMode === 'split' ? width - skyWidth : width;
+        
+        this.camera.aspect = skyWidth / height;
+        this.camera.updateProjectionMatrix();
+        this.orreryView.setAspect(orreryWidth / height);
+    }
+    
+    /**
+     * 设置画布点选：按下与抬起位置相差不超过几个像素时视为点击，拖动视角时停止跟踪
+     */
+    setupPicking() {
+        const canvas = this.renderer.domElement;
+        let downPosition = null;
+        
+        canvas.addEventListener('pointerdown', (event) => {
+            downPosition = event.button === 0 ? { x: event.clientX, y: event.clientY } : null;
+        });
+        canvas.addEventListener('pointermove', (event) => {
+            if (!downPosition || (!this.trackedTarget && !this.cameraFlight)) return;
+            if (Math.hypot(event.clientX - downPosition.x, event.clientY - downPosition.y) > PICK_TOLERANCE_PX) {
+                this.cameraFlight = null;
+                if (this.trackedTarget) this.setTrackedTarget(null);
+            }
+        });
+        canvas.addEventListener('pointerup', (event) => {
+            if (!downPosition) return;
+            const moved = Math.hypot(event.clientX - downPosition.x, event.clientY - downPosition.y);
+            downPosition = null;
+            if (moved <= PICK_TOLERANCE_PX) {
+                this.emit('pick', this.pickObject(event.clientX, event.clientY));
+            }
+        });
+    }
+    
+    /**
+     * 拾取屏幕位置处的天体
+     * 依次比较行星、恒星（星表星点与星座恒星）和标签，同类中取离点击方向最近者；地平线下与隐藏的对象不参与
+     * @param {number} clientX - 视口坐标
+     * @param {number} clientY
+     * @returns {{ type: 'planet', key: string }|{ type: 'star', star: Object, constellation?: string }|{ type: 'constellation', key: string }|null}
+     *   star 为星表或星座数据中的恒星：{ ra, dec, mag, bv?, hip?, name? }，赤经赤纬为 J2000 (度)
+     */
+    pickObject(clientX, clientY) {
+        if (this.viewMode === 'orrery') return null;
+        
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const skyWidth = this.viewMode === 'split' ? Math.floor(rect.width / 2) : rect.width;
+        const x = clientX - rect.left;
+        const y = clientY - rect.top;
+        if (x < 0 || x > skyWidth || y < 0 || y > rect.height) return null;
+        
+        const pointer = new THREE.Vector2((x / skyWidth) * 2 - 1, -(y / rect.height) * 2 + 1);
+        if (this.usesWideAngleProjection()) {
+            const direction = this.fisheye.getRayDirection(pointer, this.camera, this.observerControls.fov, skyWidth / rect.height);
+            this.raycaster.set(this.camera.position, direction);
+            this.raycaster.camera = this.camera;
+        } else {
+            this.raycaster.setFromCamera(pointer, this.camera);
+        }
+        // 星点按到射线的距离判断，容差换算为天球上的长度
+        const tolerance = THREE.MathUtils.degToRad(this.getFieldOfView()) / rect.height * PICK_TOLERANCE_PX;
+        this.raycaster.params.Points.threshold = this.celestialSphereRadius * tolerance;
+        
+        const targets = [this.planetGroup, this.constellationGroup, this.starPoints].filter(Boolean);
+        const bortle = BORTLE_SCALE.find(item => item.level === this.bortleClass);
+        const limitingMagnitude = Math.min(this.limitingMagnitude, bortle.limitingMagnitude);
+        const priorities = { planet: 0, star: 1, label: 2 };
+        
+        let best = null;
+        for (const hit of this.raycaster.intersectObjects(targets, true)) {
+            // 地平线以下被裁剪（透视地面时除外），看不到的对象不能选中
+            if ((!this.groundTransparent && hit.point.y < 0) || !this.isObjectVisible(hit.object)) continue;
+            const candidate = this.getSelectionFromHit(hit, limitingMagnitude);
+            if (!candidate) continue;
+            
+            const offset = (hit.distanceToRay ?? 0) / hit.distance;
+            const rank = priorities[candidate.category];
+            if (!best || rank < best.rank || (rank === best.rank && offset < best.offset)) {
+                best = { rank, offset, selection: candidate.selection };
+            }
+        }
+        return best ? best.selection : null;
+    }
+    
+    /**
+     * 由射线交点得到选择对象，category 用于比较优先级
+     */
+    getSelectionFromHit(hit, limitingMagnitude) {
+        const { object } = hit;
+        const { type } = object.userData;
+        
+        if (type === 'catalog_stars') {
+            const star = object.userData.stars?.[hit.index];
+            if (!star || star.mag > limitingMagnitude) return null;
+            return { category: 'star', selection: { type: 'star', star } };
+        }
+        if (type === 'constellation_stars') {
+            return {
+                category: 'star',
+                selection: { type: 'star', star: object.userData.stars[hit.instanceId], constellation: object.userData.constellation }
+            };
+        }
+        if (type === 'star_label' || type === 'bright_star_label') {
+            return { category: 'label', selection: { type: 'star', star: object.userData.star } };
+        }
+        if (type === 'constellation_label') {
+            return { category: 'label', selection: { type: 'constellation', key: object.userData.constellation } };
+        }
+        
+        // 行星的球体、光晕与名称标签都归属于行星分组
+        const planetKey = object.parent?.userData.key;
+        if (planetKey && this.planetObjects.get(planetKey) === object.parent) {
+            return { category: 'planet', selection: { type: 'planet', key: planetKey } };
+        }
+        return null;
+    }
+    
+    /**
+     * 对象及其所有父级均可见
+     */
+    isObjectVisible(object) {
+        for (let current = object; current; current = current.parent) {
+            if (!current.visible) return false;
+        }
+        return true;
+    }
+    
+    /**
+     * 选择对象当前的世界坐标；天体已不在场景中时返回 null
+     * @param {Object} selection - pickObject 的结果
+     * @returns {THREE.Vector3|null}
+     */
+    getSelectionWorldPosition(selection) {
+        if (selection.type === 'planet') {
+            const object = this.planetObjects.get(selection.key);
+            return object ? object.userData.mesh.getWorldPosition(new THREE.Vector3()) : null;
+        }
+        
+        let position = null;
+        if (selection.type === 'star') {
+            position = ConstellationData.raDecToCartesian(selection.star.ra, selection.star.dec, this.celestialSphereRadius);
+        } else if (selection.type === 'constellation') {
+            const constellation = this.constellationData?.getConstellation(selection.key);
+            position = constellation ? this.calculateConstellationCenter(constellation.stars) : null;
+        }
+        if (!position) return null;
+        // 恒星与星座为 J2000 坐标，经星表分组换算到当前历元与地平姿态
+        return new THREE.Vector3(position.x, position.y, position.z).applyMatrix4(this.catalogGroup.matrixWorld);
+    }
+    
+    /**
+     * 居中并跟踪选择的对象；传 null 停止跟踪
+     * 跟踪期间每帧把视线对准对象，时间推进时对象保持在视野中心
+     * @param {Object|null} selection - pickObject 的结果
+     */
+    setTrackedTarget(selection) {
+        this.trackedTarget = selection;
+        if (selection) {
+            this.cameraFlight = null;
+            this.centerOnTarget(selection);
+        }
+        this.emit('trackingChange', selection);
+    }
+    
+    /**
+     * 转动相机使对象位于视野中心，相机与旋转中心的距离不变
+     * @returns {boolean} 对象已不在场景中时返回 false
+     */
+    centerOnTarget(selection) {
+        const direction = this.getTargetDirection(selection);
+        if (!direction) return false;
+        this.setViewDirection(direction);
+        return true;
+    }
+    
+    /**
+     * 从旋转中心指向对象的单位向量 (世界坐标)
+     */
+    getTargetDirection(selection) {
+        this.scene.updateMatrixWorld();
+        const position = this.getSelectionWorldPosition(selection);
+        if (!position) return null;
+        return position.sub(this.getViewCenter()).normalize();
+    }
+    
+    /**
+     * 相机的旋转中心：观测者视角为天球中心，轨道视角为轨道控制器的目标点
+     */
+    getViewCenter() {
+        if (this.controlMode === 'observer' || !this.controls) {
+            return new THREE.Vector3();
+        }
+        return this.controls.target;
+    }
+    
+    /**
+     * 当前视线方向的单位向量
+     */
+    getViewDirection() {
+        if (this.controlMode === 'observer') {
+            return this.observerControls.getDirection();
+        }
+        return this.getViewCenter().clone().sub(this.camera.position).normalize();
+    }
+    
+    /**
+     * 沿给定方向观看
+     * 观测者视角直接转动视线；轨道视角把相机移到旋转中心的另一侧，与中心的距离不变
+     */
+    setViewDirection(direction) {
+        if (this.controlMode === 'observer') {
+            this.observerControls.lookAt(direction);
+            return;
+        }
+        const center = this.getViewCenter();
+        const distance = this.camera.position.distanceTo(center);
+        this.camera.position.copy(center).addScaledVector(direction, -distance);
+        this.camera.lookAt(center);
+    }
+    
+    /**
+     * 以动画转向对象，结束后触发 flightEnd；拖动视角会中断动画
+     * 动画过程中每帧重新计算对象方向，时间推进时也能准确停在对象上
+     * @param {Object} selection - pickObject 或 CelestialSearch 的选择对象
+     * @param {number} [duration=1200] - 动画时长 (毫秒)
+     * @returns {boolean} 对象不在场景中时返回 false
+     */
+    flyTo(selection, duration = 1200) {
+        if (!this.getTargetDirection(selection)) return false;
+        if (this.trackedTarget) {
+            this.setTrackedTarget(null);
+        }
+        this.cameraFlight = {
+            selection,
+            from: this.getViewDirection(),
+            start: performance.now(),
+            duration
+        };
+        return true;
+    }
+    
+    /**
+     * 推进转向动画：沿大圆从起始方向插值到对象方向，先加速后减速
+     */
+    updateCameraFlight() {
+        const { selection, from, start, duration } = this.cameraFlight;
+        const target = this.getTargetDirection(selection);
+        if (!target) {
+            this.cameraFlight = null;
+            return;
+        }
+        
+        const t = Math.min(1, (performance.now() - start) / duration);
+        const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+        const rotation = new THREE.Quaternion().setFromUnitVectors(from, target);
+        this.setViewDirection(from.clone().applyQuaternion(new THREE.Quaternion().slerp(rotation, eased)));
+        
+        if (t >= 1) {
+            this.cameraFlight = null;
+            this.emit('flightEnd', selection);
+        }
+    }
+    
+    /**
+     * 创建地面：放在场景根部的地平坐标系中，只随控制方式镜像
+     */
+    createLandscape() {
+        this.landscape = new Landscape((text, color) => this.createTextSprite(text, color), this.celestialSphereRadius * 0.95);
+        this.scene.add(this.landscape.group);
+        this.applySkyOrientation();
+    }
+    
+    /**
+     * 切换地面样式
+     * @param {'procedural'|'none'|'custom'} style - 程序生成、无地面或上传的全景图
+     */
+    setLandscapeStyle(style) {
+        console.log(`StarMapRenderer: 切换地面样式为 ${style}`);
+        this.landscape.setStyle(style);
+    }
+    
+    /**
+     * 读取上传的 360° 全景图作为地面
+     * @param {File} file - 等距柱状投影图片，天空部分宜为透明
+     */
+    async loadLandscapeImage(file) {
+        console.log(`StarMapRenderer: 读取全景图 ${file.name}`);
+        const url = URL.createObjectURL(file);
+        try {
+            const image = await new THREE.ImageLoader().loadAsync(url);
+            this.landscape.setPanoramaImage(image);
+        } catch (error) {
+            throw new Error(`无法读取全景图片：${file.name}`);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+    
+    /**
+     * 透视地面：关闭地平线裁剪并把地面改为半透明，可以看到并点选地平线下的天体
+     */
+    setGroundTransparent(transparent) {
+        console.log(`StarMapRenderer: 设置透视地面为 ${transparent}`);
+        this.groundTransparent = transparent;
+        this.renderer.clippingPlanes = transparent ? [] : [this.horizonPlane];
+        this.landscape.setTransparent(transparent);
+    }
+    
+    /**
+     * 显示或隐藏坐标网格与参考线
+     * 地平坐标网格与子午线属于地面；赤道、黄道网格与天赤道随 skyGroup 转动，银道网格放在星表分组中随历元旋转
+     * @param {'equatorial'|'ecliptic'|'galactic'|'altaz'|'celestialEquator'|'meridian'} kind
+     *   赤道、黄道、银道、地平坐标网格，天赤道与天极，子午线
+     * @param {boolean} visible
+     */
+    setCoordinateGridVisible(kind, visible) {
+        console.log(`StarMapRenderer: 设置坐标网格 ${kind} 可见性为 ${visible}`);
+        if (kind === 'altaz') {
+            this.landscape.setGridVisible(visible);
+            return;
+        }
+        if (kind === 'meridian') {
+            this.landscape.setMeridianVisible(visible);
+            return;
+        }
+        if (!COORDINATE_GRIDS[kind]) {
+            throw new Error(`未知的坐标网格：${kind}`);
+        }
+        
+        let grid = this.coordinateGrids.get(kind);
+        if (!grid) {
+            if (!visible) return;
+            grid = this.createCoordinateGrid(kind);
+        }
+        grid.setVisible(visible);
+    }
+    
+    /**
+     * 创建坐标网格并放入对应的分组
+     */
+    createCoordinateGrid(kind) {
+        const grid = new CoordinateGrid({
+            radius: this.celestialSphereRadius * 0.99,
+            createLabel: (text, color) => this.createTextSprite(text, color),
+            ...COORDINATE_GRIDS[kind]
+        });
+        this.coordinateGrids.set(kind, grid);
+        
+        if (kind === 'galactic') {
+            // 银道坐标 → J2000 赤道坐标
+            grid.group.matrixAutoUpdate = false;
+            grid.group.matrix.copy(this.toDisplayMatrix(ReferenceFrames.transpose(ReferenceFrames.J2000_TO_GALACTIC)));
+            this.catalogGroup.add(grid.group);
+        } else {
+            this.skyGroup.add(grid.group);
+        }
+        if (kind === 'ecliptic') {
+            this.updateEclipticGrid();
+        }
+        return grid;
+    }
+    
+    /**
+     * 黄道网格的姿态：黄道坐标按黄赤交角转到赤道坐标，再经与黄道大圆相同的 eclipticMatrix 旋转
+     */
+    updateEclipticGrid() {
+        const grid = this.coordinateGrids.get('ecliptic');
+        if (!grid) return;
+        const toEquatorial = ReferenceFrames.rotationX(-THREE.MathUtils.degToRad(this.eclipticObliquity));
+        grid.group.matrixAutoUpdate = false;
+        grid.group.matrix.copy(this.toDisplayMatrix(ReferenceFrames.multiply(this.eclipticMatrix, toEquatorial)));
+        grid.group.matrixWorldNeedsUpdate = true;
+    }
+    
+    /**
+     * 切换视图模式
+     * @param {'sky'|'orrery'|'split'} mode - 地心星空、日心俯视或左右并排
+     */
+    setViewMode(mode) {
+        if (!['sky', 'orrery', 'split'].includes(mode)) {
+            throw new Error(`未知的视图模式：${mode}`);
+        }
+        console.log(`StarMapRenderer: 切换视图模式为 ${mode}`);
+        this.viewMode = mode;
+        
+        this.updateControlsEnabled();
+        this.updateViewports();
+    }
+    
+    /**
+     * 切换相机控制方式
+     * 观测者视角下相机位于天球中心，东西方向与真实天空一致；
+     * 轨道视角从外部看天球，天球镜像显示，使星座形状与从内部看时相同
+     * @param {'observer'|'orbit'} mode - 第一人称环顾或从外部环绕
+     */
+    setControlMode(mode) {
+        if (!['observer', 'orbit'].includes(mode)) {
+            throw new Error(`未知的控制模式：${mode}`);
+        }
+        console.log(`StarMapRenderer: 切换控制模式为 ${mode}`);
+        if (this.controlMode === 'orbit' && mode === 'observer' && this.controls) {
+            this.orbitCameraState = {
+                position: this.camera.position.clone(),
+                target: this.controls.target.clone()
+            };
+        }
+        this.controlMode = mode;
+        this.cameraFlight = null;
+        
+        if (mode === 'observer') {
+            this.camera.position.set(0, 0, 0);
+        } else {
+            const state = this.orbitCameraState;
+            this.camera.position.copy(state ? state.position : new THREE.Vector3(0, 0, 100));
+            if (this.controls) {
+                this.controls.target.copy(state ? state.target : new THREE.Vector3());
+                this.camera.lookAt(this.controls.target);
+            }
+        }
+        this.updateControlsEnabled();
+        this.updateCameraProjection();
+        this.applySkyOrientation();
+    }
+    
+    /**
+     * 鼠标只控制一个视图：单独显示俯视图时操作俯视图，否则按控制方式操作星空
+     */
+    updateControlsEnabled() {
+        const skyActive = this.viewMode !== 'orrery';
+        if (this.controls) {
+            this.controls.enabled = skyActive && this.controlMode === 'orbit';
+        }
+        if (this.observerControls) {
+            this.observerControls.enabled = skyActive && this.controlMode === 'observer';
+        }
+        if (this.orreryView.controls) {
+            this.orreryView.controls.enabled = this.viewMode === 'orrery';
+        }
+    }
+    
+    /**
+     * 当前视场 (度)：观测者视角取控制器的视场，可超过透视相机的极限
+     */
+    getFieldOfView() {
+        return this.controlMode === 'observer' ? this.observerControls.fov : this.camera.fov;
+    }
+    
+    /**
+     * 观测者视场超过透视极限时改用广角投影渲染
+     */
+    usesWideAngleProjection() {
+        return this.controlMode === 'observer' && this.observerControls.fov > PERSPECTIVE_FOV_LIMIT;
+    }
+    
+    /**
+     * 按控制方式更新透视相机的视场；广角投影时透视相机停在极限视场，仅用于拾取与标签朝向
+     */
+    updateCameraProjection() {
+        const fov = this.controlMode === 'observer'
+            ? Math.min(this.observerControls.fov, PERSPECTIVE_FOV_LIMIT)
+            : ORBIT_FOV;
+        if (this.camera.fov !== fov) {
+            this.camera.fov = fov;
+            this.camera.updateProjectionMatrix();
+        }
+    }
+    
+    /**
+     * 视线中心的地平坐标
+     * @returns {{ azimuth: number, altitude: number, fov: number }} 方位角从北经东量起，单位均为度
+     */
+    getViewHorizontal() {
+        const direction = this.getViewDirection();
+        // 轨道视角下天球镜像，正东在 -x 方向
+        const east = this.controlMode === 'observer' ? 1 : -1;
+        const azimuth = THREE.MathUtils.radToDeg(Math.atan2(east * direction.x, -direction.z));
+        return {
+            azimuth: (azimuth + 360) % 360,
+            altitude: THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(direction.y, -1, 1))),
+            fov: this.getFieldOfView()
+        };
+    }
+    
+    /**
+     * 视线中心或视场变化时触发 viewChange，供界面显示地平坐标读数
+     */
+    updateViewReadout() {
+        const view = this.getViewHorizontal();
+        const last = this.viewReadout;
+        if (last
+            && Math.abs(view.azimuth - last.azimuth) < 0.05
+            && Math.abs(view.altitude - last.altitude) < 0.05
+            && Math.abs(view.fov - last.fov) < 0.05) {
+            return;
+        }
+        this.viewReadout = view;
+        this.emit('viewChange', view);
+    }
+    
+    /**
+     * 更新日心俯视图，与星空视图使用同一时刻
+     * @param {Object} state - 地球与各天体的日心坐标及轨道，见 OrreryView.update
+     */
+    updateOrrery(state) {
+        this.orreryView.update(state);
+    }
+    
+    /**
+     * 添加事件监听器
+     */
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(callback);
+    }
+    
+    /**
+     * 移除事件监听器
+     */
+    off(event, callback) {
+        if (!this.listeners.has(event)) return;
+        
+        const callbacks = this.listeners.get(event);
+        const index = callbacks.indexOf(callback);
+        if (index > -1) {
+            callbacks.splice(index, 1);
+        }
+    }
+    
+    /**
+     * 触发事件
+     */
+    emit(event, data) {
+        if (!this.listeners.has(event)) return;
+        
+        this.listeners.get(event).forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error('渲染器事件回调执行错误:', error);
+            }
         });
     }
     
@@ -862,18 +2095,59 @@ export class StarMapRenderer {
     }
 
     /**
-     * 根据本地恒星时与纬度，将 skyGroup 姿态对齐，使世界坐标 y 轴为当地天顶方向
+     * 根据本地恒星时与纬度求当地的地平基准，再对齐 skyGroup：世界坐标 y 轴为天顶、-z 为正北
+     * 提供 skyFrame 时使用其给出的天顶与北天极（视恒星时，已换算到当前坐标历元）
      */
-    updateSkyOrientation(date) {
-        const lstRad = this.computeLocalSiderealTimeRadians(date, this.observer.longitudeDeg);
-        const zenithRaDeg = THREE.MathUtils.radToDeg(lstRad);
-        const zenithDecDeg = this.observer.latitudeDeg;
-        const zenith = ConstellationData.raDecToCartesian(zenithRaDeg, zenithDecDeg, 1);
-        const zenithVec = new THREE.Vector3(zenith.x, zenith.y, zenith.z).normalize();
+    updateSkyOrientation(date, skyFrame = null) {
+        let zenithRaDeg;
+        let zenithDecDeg;
+        if (skyFrame) {
+            zenithRaDeg = skyFrame.zenith.ra;
+            zenithDecDeg = skyFrame.zenith.dec;
+        } else {
+            zenithRaDeg = THREE.MathUtils.radToDeg(this.computeLocalSiderealTimeRadians(date, this.observer.longitudeDeg));
+            zenithDecDeg = this.observer.latitudeDeg;
+        }
+        const toVector = (raDeg, decDeg) => {
+            const point = ConstellationData.raDecToCartesian(raDeg, decDeg, 1);
+            return new THREE.Vector3(point.x, point.y, point.z).normalize();
+        };
+        const zenith = toVector(zenithRaDeg, zenithDecDeg);
+        const pole = skyFrame ? toVector(skyFrame.pole.ra, skyFrame.pole.dec) : toVector(0, 90);
+
+        // 正北为北天极在地平面上的投影；观测者位于极点时方位无定义，取天顶赤经 + 180° 的方向
+        let north = pole.clone().addScaledVector(zenith, -pole.dot(zenith));
+        if (north.lengthSq() < 1e-12) {
+            const fallback = toVector(zenithRaDeg + 180, 0);
+            north = fallback.addScaledVector(zenith, -fallback.dot(zenith));
+        }
+        north.normalize();
+        // 显示坐标相对真实赤道坐标互换了 y、z 两轴，叉积方向随之反转：东 = 天顶 × 北
+        const east = new THREE.Vector3().crossVectors(zenith, north);
 
-        const up = new THREE.Vector3(0, 1, 0);
-        const q = new THREE.Quaternion().setFromUnitVectors(zenithVec, up);
-        this.skyGroup.setRotationFromQuaternion(q);
+        this.horizonBasis = { zenith, north, east };
+        this.applySkyOrientation();
+    }
+    
+    /**
+     * 按地平基准与控制方式设置 skyGroup 的姿态矩阵：天顶 → +y，正北 → -z，正东 → 观测者视角 +x / 轨道视角 -x
+     * 显示坐标本身是真实天空的镜像，观测者视角下这个矩阵的行列式为 -1，恰好把镜像翻回来
+     * 地面本身按真实方位绘制，轨道视角下沿 x 轴镜像，与天球保持一致
+     */
+    applySkyOrientation() {
+        const sign = this.controlMode === 'observer' ? 1 : -1;
+        if (this.landscape) {
+            this.landscape.group.scale.x = sign;
+        }
+        if (!this.skyGroup || !this.horizonBasis) return;
+        const { zenith, north, east } = this.horizonBasis;
+        this.skyGroup.matrix.set(
+            sign * east.x, sign * east.y, sign * east.z, 0,
+            zenith.x, zenith.y, zenith.z, 0,
+            -north.x, -north.y, -north.z, 0,
+            0, 0, 0, 1
+        );
+        this.skyGroup.matrixWorldNeedsUpdate = true;
     }
 
     /**
@@ -910,11 +2184,31 @@ export class StarMapRenderer {
             this.controls.dispose();
         }
         
+        if (this.observerControls) {
+            this.observerControls.dispose();
+        }
+        
+        if (this.fisheye) {
+            this.fisheye.dispose();
+        }
+        
+        if (this.landscape) {
+            this.landscape.dispose();
+        }
+        
+        this.coordinateGrids.forEach(grid => grid.dispose());
+        this.coordinateGrids.clear();
+        
+        if (this.orreryView) {
+            this.orreryView.dispose();
+        }
+        
         // 重置FPS监控器
         if (this.fpsMonitor) {
             this.fpsMonitor.reset();
         }
         
+        this.listeners.clear();
         console.log('StarMapRenderer: 资源清理完成');
     }
 }
\ No newline at end of file
@@ -1,9 +1,28 @@
+/**
+ * 默认性能预算
+ * renderTime 与 updateTime 为毫秒；geometries 与 textures 为显存中的对象数，
+ * 播放时持续增长说明有对象未释放
+ * 绘制调用与纹理按默认场景（88 个星座、行星与轨迹、地面）实测：默认视场约 160 次，
+ * 整个天球入画约 450 次；广角投影的立方体贴图六个面合计约 630 次，打开全部坐标网格约 800 次；
+ * 文字标签约 290 张纹理，全部坐标网格再加约 120 张
+ */
+export const DEFAULT_PERFORMANCE_BUDGET = {
+    renderTime: 16.67,  // 单帧渲染 (60FPS)
+    updateTime: 8,      // 单次场景更新（行星重定位等）
+    drawCalls: 900,     // 文字标签各占一次，广角投影每个立方体面各算一遍
+    geometries: 400,    // 文字标签共用一个几何体，默认约 140 个
+    textures: 600       // 每个文字标签一张画布纹理
+};
+
 /**
  * FPS监控器
  * 用于跟踪和显示渲染性能指标
  */
 export class FPSMonitor {
-    constructor() {
+    /**
+     * @param {Object} [budget] - 覆盖 DEFAULT_PERFORMANCE_BUDGET 中的部分项
+     */
+    constructor(budget = {}) {
         this.frameCount = 0;
         this.lastTime = performance.now();
         this.fps = 0;
@@ -15,6 +34,12 @@ export class FPSMonitor {
         this.renderTimeHistory = [];
         this.maxHistoryLength = 60; // 保存60帧的历史数据
         
+        // 性能预算：最近一帧的渲染器统计与各项超出预算的帧数
+        this.budget = { ...DEFAULT_PERFORMANCE_BUDGET, ...budget };
+        this.updateTime = 0;
+        this.rendererInfo = { drawCalls: 0, triangles: 0, geometries: 0, textures: 0 };
+        this.budgetViolations = {};
+        
         // DOM元素引用
         this.fpsElement = null;
         this.renderTimeElement = null;
@@ -45,12 +70,22 @@ export class FPSMonitor {
     
     /**
      * 结束渲染计时并更新统计
+     * @param {Object} [info] - WebGLRenderer.info，提供绘制调用数与显存中的几何体、纹理数
      */
-    endRender() {
+    endRender(info = null) {
         const currentTime = performance.now();
         
         // 计算渲染时间
         this.renderTime = currentTime - this.lastRenderStart;
+        if (info) {
+            this.rendererInfo = {
+                drawCalls: info.render.calls,
+                triangles: info.render.triangles,
+                geometries: info.memory.geometries,
+                textures: info.memory.textures
+            };
+        }
+        this.checkBudget();
         
         // 更新帧计数
         this.frameCount++;
@@ -76,6 +111,49 @@ export class FPSMonitor {
         this.updateDisplay();
     }
     
+    /**
+     * 记录一次场景更新（日期变化时重定位天体）的耗时
+     * @param {number} duration - 耗时 (毫秒)
+     */
+    recordUpdate(duration) {
+        this.updateTime = duration;
+        if (duration > this.budget.updateTime) {
+            this.budgetViolations.updateTime = (this.budgetViolations.updateTime || 0) + 1;
+        }
+    }
+    
+    /**
+     * 检查当前帧是否超出预算，超出的项累计帧数
+     */
+    checkBudget() {
+        for (const item of this.getExceededBudget()) {
+            if (item === 'updateTime') continue; // 由 recordUpdate 计数
+            this.budgetViolations[item] = (this.budgetViolations[item] || 0) + 1;
+        }
+    }
+    
+    /**
+     * 当前超出预算的项目
+     * @returns {string[]} 预算项名称
+     */
+    getExceededBudget() {
+        const current = {
+            renderTime: this.renderTime,
+            updateTime: this.updateTime,
+            ...this.rendererInfo
+        };
+        return Object.keys(this.budget).filter(item => current[item] > this.budget[item]);
+    }
+    
+    /**
+     * 修改性能预算
+     * @param {Object} budget - 需要修改的预算项
+     */
+    setBudget(budget) {
+        this.budget = { ...this.budget, ...budget };
+        this.budgetViolations = {};
+    }
+    
     /**
      * 更新显示内容
      */
@@ -162,7 +240,16 @@ export class FPSMonitor {
             averageRenderTime: this.getAverageRenderTime(),
             frameCount: this.frameCount,
             fpsHistory: [...this.fpsHistory],
-            renderTimeHistory: [...this.renderTimeHistory]
+            renderTimeHistory: [...this.renderTimeHistory],
+            updateTime: this.updateTime,
+            ...this.rendererInfo,
+            // 性能预算：exceeded 为当前帧超出的项，violations 为各项累计超出的帧（次）数
+            budget: {
+                limits: { ...this.budget },
+                exceeded: this.getExceededBudget(),
+                withinBudget: this.getExceededBudget().length === 0,
+                violations: { ...this.budgetViolations }
+            }
         };
     }
     
@@ -176,6 +263,8 @@ export class FPSMonitor {
         this.renderTime = 0;
         this.fpsHistory = [];
         this.renderTimeHistory = [];
+        this.updateTime = 0;
+        this.budgetViolations = {};
         this.updateDisplay();
     }
 }
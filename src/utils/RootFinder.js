@@ -0,0 +1,124 @@
+/**
+ * 一维求根工具
+ * 先按固定步长扫描函数变号的区间，再用试位法（Illinois 变体）或二分法细化；用于留点、合冲、节气等时刻搜索
+ */
+export class RootFinder {
+    /**
+     * 查找区间内的全部根
+     * @param {(x: number) => number} f - 目标函数
+     * @param {number} start - 区间起点
+     * @param {number} end - 区间终点
+     * @param {number} step - 扫描步长，须小于相邻两根的最小间隔
+     * @param {number} tolerance - 根的精度
+     * @returns {Array<{x: number, direction: number}>} direction 为 1 表示由负变正，-1 表示由正变负
+     */
+    static findRoots(f, start, end, step, tolerance) {
+        if (!(step > 0) || !(end > start)) {
+            throw new Error('求根区间或步长无效');
+        }
+
+        const roots = [];
+        let a = start;
+        let fa = f(a);
+        while (a < end) {
+            const b = Math.min(a + step, end);
+            const fb = f(b);
+            if (Number.isFinite(fa) && Number.isFinite(fb) && fa !== 0 && (fa < 0) !== (fb < 0)) {
+                roots.push({
+                    x: this.regulaFalsi(f, a, b, tolerance, fa, fb),
+                    direction: fa < 0 ? 1 : -1
+                });
+            } else if (fa === 0) {
+                roots.push({ x: a, direction: fb > 0 ? 1 : -1 });
+            }
+            a = b;
+            fa = fb;
+        }
+        return roots;
+    }
+
+    /**
+     * 在已采样的函数值上查找变号区间并细化，适合多个目标函数共用同一组昂贵的采样
+     * @param {(x: number) => number} f - 目标函数，仅用于细化
+     * @param {number[]} xs - 递增的采样点
+     * @param {number[]} ys - 对应的函数值
+     * @param {number} tolerance - 根的精度
+     * @param {number} [maxJump=Infinity] - 相邻采样值之差超过此值视为不连续（如角度跨越 ±180°），不计为根
+     * @returns {Array<{x: number, direction: number}>} 结构同 findRoots
+     */
+    static findRootsInSamples(f, xs, ys, tolerance, maxJump = Infinity) {
+        const roots = [];
+        for (let i = 0; i < xs.length - 1; i++) {
+            const fa = ys[i];
+            const fb = ys[i + 1];
+            if (!Number.isFinite(fa) || !Number.isFinite(fb) || Math.abs(fb - fa) > maxJump) continue;
+            if (fa !== 0 && (fa < 0) !== (fb < 0)) {
+                roots.push({
+                    x: this.regulaFalsi(f, xs[i], xs[i + 1], tolerance, fa, fb),
+                    direction: fa < 0 ? 1 : -1
+                });
+            } else if (fa === 0) {
+                roots.push({ x: xs[i], direction: fb > 0 ? 1 : -1 });
+            }
+        }
+        return roots;
+    }
+
+    /**
+     * 试位法求根（Illinois 变体），要求 f(a) 与 f(b) 异号
+     * 对光滑函数超线性收敛，求值次数远少于二分法
+     * @param {number} [fa] - 已知的 f(a)
+     * @param {number} [fb] - 已知的 f(b)
+     */
+    static regulaFalsi(f, a, b, tolerance, fa = f(a), fb = f(b)) {
+        let c = a;
+        let side = 0;
+        for (let i = 0; i < 60; i++) {
+            const previous = c;
+            c = (a * fb - b * fa) / (fb - fa);
+            const fc = f(c);
+            if (fc === 0 || b - a < tolerance || (i > 0 && Math.abs(c - previous) < tolerance)) {
+                return c;
+            }
+            if ((fc < 0) === (fb < 0)) {
+                b = c;
+                fb = fc;
+                // 同一端连续保留时将其函数值减半，避免收敛停滞
+                if (side === -1) fa /= 2;
+                side = -1;
+            } else {
+                a = c;
+                fa = fc;
+                if (side === 1) fb /= 2;
+                side = 1;
+            }
+        }
+        return c;
+    }
+
+    /**
+     * 二分法求根，要求 f(a) 与 f(b) 异号
+     * @param {number} [fa] - 已知的 f(a)，省去一次求值
+     */
+    static bisect(f, a, b, tolerance, fa = f(a)) {
+        while (b - a > tolerance) {
+            const mid = (a + b) / 2;
+            const fm = f(mid);
+            if (fm === 0) return mid;
+            if ((fm < 0) === (fa < 0)) {
+                a = mid;
+                fa = fm;
+            } else {
+                b = mid;
+            }
+        }
+        return (a + b) / 2;
+    }
+
+    /**
+     * 将角度差归一化到 [-180, 180)，用于对角度函数求根时消除 360° 跳变
+     */
+    static wrapAngle(degrees) {
+        return ((degrees + 180) % 360 + 360) % 360 - 180;
+    }
+}
\ No newline at end of file